@@ -4,6 +4,45 @@ import { Bar } from 'react-chartjs-2';
 ChartJS.register(CategoryScale, LinearScale, BarElement, Title, Tooltip, Legend);
 
 import React, { useMemo, useState, useEffect, useRef } from "react";
+import {
+  ZONES, ZONE_LABELS, emptyDeck, isEmptyDeck, deckCount, deckNames, playableMap, zoneKey, splitZoneKey,
+  generateDeckText, deckFromRows, addCard, removeCard, renameCard, canonicalizeDeck, parsedNameOf, computeDeckDiff,
+} from "./deck.js";
+import { useScryfall } from "./cardResolver.js";
+import { scryfallFetch, SCRYFALL_API } from "./scryfallClient.js";
+import { EMPTY_FILTERS, buildFilterQuery, fullSearchQuery, loadRecentSearches, rememberSearch } from "./searchQuery.js";
+import SearchFilterBuilder from "./SearchFilterBuilder.jsx";
+import { FORMATS, validateDeck, effectiveFormat, isIllegal } from "./validation.js";
+import {
+  EMPTY_COLLECTION, loadCollection, saveCollection, parseCollection, collectionSize, collectionNeeds, shoppingList,
+} from "./collection.js";
+import { CURRENCIES, loadCurrency, saveCurrency, cardPrice, formatPrice, deckPrice, upgradeCost } from "./prices.js";
+import ValidationSummary, { ValidationBadges } from "./ValidationSummary.jsx";
+import UnresolvedCardsPanel from "./UnresolvedCardsPanel.jsx";
+import { useOfflineDb, searchOffline } from "./offlineDb.js";
+import OfflineDbPanel from "./OfflineDbPanel.jsx";
+import CacheSettingsPanel from "./CacheSettingsPanel.jsx";
+import { importDeck, IMPORT_ACCEPT } from "./importers.js";
+import DeckLibraryPanel from "./DeckLibraryPanel.jsx";
+import CategoryBreakdown from "./CategoryBreakdown.jsx";
+import ManaBaseBreakdown from "./ManaBaseBreakdown.jsx";
+import DrawOddsPanel from "./DrawOddsPanel.jsx";
+import Playtester from "./Playtester.jsx";
+import {
+  GROUP_OPTIONS, SORT_OPTIONS, loadColumnView, saveColumnView, loadCardTags, saveCardTags, parseTags, groupAndSort,
+  EMPTY_COLUMN_FILTER, isFilterActive, matchesColumnFilter,
+} from "./columnView.js";
+import ColumnFilterBar from "./ColumnFilterBar.jsx";
+import { normalizeManaToken, manaValue, analyzeManaBase } from "./manaBase.js";
+import { CARD_TYPES, ROLE_LABELS, categoryBreakdown } from "./cardStats.js";
+import CollectionPanel, { OwnershipBadge } from "./CollectionPanel.jsx";
+import {
+  useDeckLibrary, loadLibraryLinks, saveLibraryLinks, linkedSlotState, findVersion, deckVersionText, VERSION_DEBOUNCE_MS,
+} from "./library.js";
+import { computeThreeWayMerge, THREE_WAY_STATUS_LABELS } from "./threeWay.js";
+import { computeDeckMatrix, computeMultiMerge, defaultMultiChoice } from "./multiDeck.js";
+import { encodeShareState, decodeShareState, readShareHash, buildShareUrl, clearShareHash } from "./permalink.js";
+import { EXPORTERS, exportDeck, downloadFile, fileBaseName, renderDiffMarkdown, renderDiffHtml } from "./exporters.js";
 // --- Merge Deck helpers ----------------------------------------------------
 const MERGE_CHOICES_KEY = "mtg_deck_diff_merge_choices_v1";
 const loadMergeChoices = () => {
@@ -20,104 +59,270 @@ const saveMergeChoices = (obj) => {
     localStorage.setItem(MERGE_CHOICES_KEY, JSON.stringify(obj));
   } catch { }
 };
-// Compute merged deck based on deckA, deckB and mergeChoices.
-// Returns array of { name, qty, choice, options } sorted by name.
-const computeMergedDeck = (deckA, deckB, mergeChoices) => {
-  const names = unionNames(deckA, deckB);
-  return names.map((name) => {
-    const qa = deckA.get(name) || 0;
-    const qb = deckB.get(name) || 0;
-    let options = [];
-    let defaultChoice = null;
-    if (qa > 0 && qb > 0) {
-      if (qa === qb) {
-        options = ["A", "B"];
-        defaultChoice = "A";
-      } else {
-        options = ["A", "B", "Both"];
-        defaultChoice = "Both";
-      }
-    } else if (qa > 0) {
-      options = ["A"];
+// Manual edits to the merged deck: { decks, edits: { [zoneKey]: qty } } overriding the
+// computed quantity (0 removes the card). Keys with no computed merge row are cards
+// added by hand. `decks` is mergeEditsScope of the A/B pair (and base deck, when one
+// is loaded) the edits were made on; edits only apply while those decks are loaded.
+const MERGE_EDITS_KEY = "mtg_deck_diff_merge_edits_v2";
+const EMPTY_MERGE_EDITS = { decks: "", edits: {} };
+const mergeEditsScope = (deckA, deckB, base = null) =>
+  [deckA, deckB, ...(base ? [base] : [])].map((deck) => generateDeckText(deck)).join("\n--\n");
+const loadMergeEdits = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(MERGE_EDITS_KEY) || "null");
+    return saved && typeof saved.edits === "object" ? saved : EMPTY_MERGE_EDITS;
+  } catch {
+    return EMPTY_MERGE_EDITS;
+  }
+};
+const saveMergeEdits = (obj) => {
+  try {
+    localStorage.setItem(MERGE_EDITS_KEY, JSON.stringify(obj));
+  } catch (e) {
+    console.warn("Could not save merge edits", e);
+  }
+};
+// Three-way conflict resolutions: { base, choices: { [zoneKey]: "A" | "B" | "Base" } }.
+// Kept apart from the A/B mergeChoices and tied to the base deck's text, so they
+// only apply to the base they were picked against.
+const THREE_WAY_KEY = "mtg_deck_diff_three_way_v1";
+const EMPTY_THREE_WAY = { base: "", choices: {} };
+const loadThreeWay = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(THREE_WAY_KEY) || "null");
+    return saved && typeof saved.choices === "object" ? saved : EMPTY_THREE_WAY;
+  } catch {
+    return EMPTY_THREE_WAY;
+  }
+};
+const saveThreeWay = (obj) => {
+  try {
+    localStorage.setItem(THREE_WAY_KEY, JSON.stringify(obj));
+  } catch (e) {
+    console.warn("Could not save three-way resolutions", e);
+  }
+};
+// --- Format validation helpers ---
+const FORMAT_KEY = "mtg_deck_diff_format_v1";
+const loadFormat = () => {
+  try {
+    return localStorage.getItem(FORMAT_KEY) || "auto";
+  } catch {
+    return "auto";
+  }
+};
+const saveFormat = (format) => {
+  try {
+    localStorage.setItem(FORMAT_KEY, format);
+  } catch (e) {
+    console.warn("Could not save format", e);
+  }
+};
+const validateForFormat = (deck, format, getCard) => {
+  const formatId = effectiveFormat(format, deck);
+  if (!formatId || isEmptyDeck(deck)) return null;
+  return { label: FORMATS[formatId].label, ...validateDeck(deck, formatId, getCard) };
+};
+// Merge row for one card in one zone: which decks it can come from, the default
+// choice and the resulting quantity. Returns { zone, key, name, qty, choice, options, qa, qb }.
+const computeMergeRow = (zone, name, qa, qb, mergeChoices) => {
+  const key = zoneKey(zone, name);
+  let options = [];
+  let defaultChoice = null;
+  if (qa > 0 && qb > 0) {
+    if (qa === qb) {
+      options = ["A", "B"];
       defaultChoice = "A";
-    } else if (qb > 0) {
-      options = ["B"];
-      defaultChoice = "B";
+    } else {
+      options = ["A", "B", "Both"];
+      defaultChoice = "Both";
     }
-    const choice = mergeChoices[name] || defaultChoice;
-    let qty = 0;
-    if (choice === "A") qty = qa;
-    else if (choice === "B") qty = qb;
-    else if (choice === "Both") qty = qa + qb;
-    return { name, qty, choice, options, qa, qb };
-  }).filter((row) => row.qty > 0);
+  } else if (qa > 0) {
+    options = ["A"];
+    defaultChoice = "A";
+  } else if (qb > 0) {
+    options = ["B"];
+    defaultChoice = "B";
+  }
+  const choice = mergeChoices[key] || defaultChoice;
+  let qty = 0;
+  if (choice === "A") qty = qa;
+  else if (choice === "B") qty = qb;
+  else if (choice === "Both") qty = qa + qb;
+  return { zone, key, name, qty, choice, options, qa, qb };
+};
+// Compute merged deck based on deckA, deckB and mergeChoices, zone by zone.
+// Returns array of merge rows sorted by zone, then name.
+const computeMergedDeck = (deckA, deckB, mergeChoices) => {
+  const rows = [];
+  for (const zone of ZONES) {
+    unionNames(deckA[zone], deckB[zone]).forEach((name) => {
+      rows.push(computeMergeRow(zone, name, deckA[zone].get(name) || 0, deckB[zone].get(name) || 0, mergeChoices));
+    });
+  }
+  return rows.filter((row) => row.qty > 0);
 };
-// Download merged deck as .txt file
-const downloadMergedDeck = (deckRows) => {
-  const lines = deckRows.map((row) => `${row.qty} ${row.name}`);
-  const text = lines.join("\n");
-  const blob = new Blob([text], { type: "text/plain" });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement("a");
-  a.href = url;
-  a.download = "merged_deck.txt";
-  document.body.appendChild(a);
-  a.click();
-  setTimeout(() => {
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-  }, 100);
+// Layer manual edits on computed merge rows. Edited rows keep the computed quantity as
+// computedQty; removed cards stay listed (qty 0) so they can be restored. Manual
+// additions are rows with added: true and no A/B options.
+const applyMergeEdits = (rows, edits) => {
+  const keys = new Set(rows.map((row) => row.key));
+  const out = rows.map((row) =>
+    row.key in edits ? { ...row, qty: edits[row.key], computedQty: row.qty, edited: true } : row
+  );
+  for (const [key, qty] of Object.entries(edits)) {
+    if (keys.has(key) || qty <= 0) continue;
+    const { zone, name } = splitZoneKey(key);
+    if (!ZONES.includes(zone)) continue;
+    out.push({ zone, key, name, qty, choice: null, options: [], qa: 0, qb: 0, computedQty: 0, edited: true, added: true });
+  }
+  // Keep zone order; additions go after the computed rows of their zone
+  return out.sort((x, y) => ZONES.indexOf(x.zone) - ZONES.indexOf(y.zone));
 };
 // --- CardSearchPanel: left sidebar with card search and add to deck ---
-function CardSearchPanel({ onAddCard, getCard }) {
+// Delay between the last keystroke (or filter change) and the search request
+const SEARCH_DEBOUNCE_MS = 300;
+// Results per page in the sidebar
+const SEARCH_PAGE_SIZE = 10;
+// Matches read from the offline database per batch, like a Scryfall results page
+const OFFLINE_BATCH_SIZE = 175;
+
+// One batch of results for query; `next` comes from the previous batch (null for the
+// first). Returns { cards, next } where next is null once everything is loaded.
+const fetchSearchBatch = async (query, next, offline) => {
+  if (offline) {
+    const offset = next || 0;
+    const { cards, total } = await searchOffline(query, { offset, limit: OFFLINE_BATCH_SIZE });
+    return { cards, next: offset + cards.length < total ? offset + cards.length : null };
+  }
+  const { json } = await scryfallFetch(
+    next || `/cards/search?q=${encodeURIComponent(query)}&order=released&unique=cards`
+  );
+  if (!json || json.object === "error") {
+    // Scryfall answers "no matches" with a 404 error object
+    if (json?.status === 404) return { cards: [], next: null };
+    throw new Error(json?.details || "Search failed");
+  }
+  return { cards: json.data || [], next: json.has_more ? json.next_page.replace(SCRYFALL_API, "") : null };
+};
+
+function CardSearchPanel({ onAddCard, getCard, offlineDb, cacheStats, onClearCache }) {
   const [query, setQuery] = useState("");
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [showFilters, setShowFilters] = useState(false);
+  const [recentSearches, setRecentSearches] = useState(() => loadRecentSearches());
+  // The query actually searched, settled SEARCH_DEBOUNCE_MS after the last change
+  const [searchQuery, setSearchQuery] = useState("");
   const [results, setResults] = useState([]);
+  // Token for the next batch of results (see fetchSearchBatch), null when all are loaded
+  const [nextBatch, setNextBatch] = useState(null);
+  const [page, setPage] = useState(0);
+  // Keyboard selection within the current page
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [added, setAdded] = useState("");
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
   const inputRef = useRef(null);
+  const listRef = useRef(null);
   const [hoveredCard, setHoveredCard] = useState(null);
   const [mobilePreviewCard, setMobilePreviewCard] = useState(null);
+  const filterQuery = buildFilterQuery(filters);
+
+  useEffect(() => {
+    // Two characters minimum, unless the filters alone make a query
+    const next = query.trim().length >= 2 || filterQuery ? fullSearchQuery(query, filters) : "";
+    const timer = setTimeout(() => setSearchQuery(next), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [query, filters, filterQuery]);
 
   useEffect(() => {
     let ignore = false;
-    if (!query || query.length < 2) {
+    setPage(0);
+    setActiveIndex(0);
+    setAdded("");
+    if (!searchQuery) {
       setResults([]);
+      setNextBatch(null);
       setError("");
       return;
     }
     setLoading(true);
     setError("");
-    fetch(
-      `https://api.scryfall.com/cards/search?q=${encodeURIComponent(query)}&order=released&unique=cards`
-    )
-      .then((r) => r.json())
-      .then((json) => {
+    // With the offline database loaded, search never touches the network
+    fetchSearchBatch(searchQuery, null, offlineDb.available)
+      .then(({ cards, next }) => {
         if (ignore) return;
-        if (json.object === "error") {
-          setError(json.details || "No results");
-          setResults([]);
-        } else {
-          setResults(json.data?.slice(0, 5) || []);
-          setError("");
-        }
+        setResults(cards);
+        setNextBatch(next);
+        setError(cards.length ? "" : "No results");
         setLoading(false);
       })
       .catch((e) => {
         if (ignore) return;
-        setError("Search failed");
+        setResults([]);
+        setNextBatch(null);
+        setError(e.message || "Search failed");
         setLoading(false);
       });
     return () => {
       ignore = true;
     };
-  }, [query]);
+  }, [searchQuery, offlineDb.available]);
+
+  const pageCount = Math.ceil(results.length / SEARCH_PAGE_SIZE);
+  const pageResults = results.slice(page * SEARCH_PAGE_SIZE, (page + 1) * SEARCH_PAGE_SIZE);
+  const hasNextPage = page + 1 < pageCount || nextBatch !== null;
+
+  // Pages past the loaded results fetch the next batch first
+  const goToPage = async (target, index = 0) => {
+    if (target < 0 || loading) return;
+    if (target * SEARCH_PAGE_SIZE >= results.length) {
+      if (nextBatch === null) return;
+      setLoading(true);
+      try {
+        const { cards, next } = await fetchSearchBatch(searchQuery, nextBatch, offlineDb.available);
+        setResults((prev) => [...prev, ...cards]);
+        setNextBatch(next);
+      } catch (e) {
+        setError(e.message || "Search failed");
+        setLoading(false);
+        return;
+      }
+      setLoading(false);
+    }
+    setPage(target);
+    setActiveIndex(index);
+  };
+
+  // Keep the keyboard selection in view
+  useEffect(() => {
+    listRef.current?.children[activeIndex]?.scrollIntoView({ block: "nearest" });
+  }, [activeIndex, page]);
 
   const handleAdd = (card, deck) => {
     onAddCard(card, deck);
-    setQuery("");
-    setResults([]);
-    setError("");
-    if (inputRef.current) inputRef.current.blur();
+    setAdded(`Added ${card.name} to ${deck === "C" ? "merged deck" : `Deck ${deck}`}`);
+    setRecentSearches((list) => rememberSearch(list, searchQuery));
+  };
+
+  // ↑/↓ move through results (across pages), Enter adds to A, Shift+Enter to B
+  const handleKeyDown = (e) => {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const next = activeIndex + (e.key === "ArrowDown" ? 1 : -1);
+      if (next >= pageResults.length) {
+        if (hasNextPage) goToPage(page + 1);
+      } else if (next < 0) {
+        if (page > 0) goToPage(page - 1, SEARCH_PAGE_SIZE - 1);
+      } else {
+        setActiveIndex(next);
+      }
+    } else if (e.key === "Enter" && pageResults[activeIndex]) {
+      e.preventDefault();
+      handleAdd(pageResults[activeIndex], e.shiftKey ? "B" : "A");
+    } else if (e.key === "Escape") {
+      setQuery("");
+    }
   };
 
   // Helper to get normalized card with images
@@ -138,14 +343,46 @@ function CardSearchPanel({ onAddCard, getCard }) {
           <input
             ref={inputRef}
             className="w-full rounded-lg bg-slate-800 p-2 mb-2 text-sm text-white ring-1 ring-white/10 focus:outline-none"
-            placeholder="Search Scryfall (min 2 chars)"
+            placeholder={offlineDb.available ? "Search offline cards (min 2 chars)" : "Search Scryfall (min 2 chars)"}
             value={query}
             onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={handleKeyDown}
           />
+          <div className="mb-2 flex items-center justify-between text-xs">
+            <button
+              type="button"
+              className="opacity-80 hover:opacity-100"
+              onClick={() => setShowFilters((v) => !v)}
+              aria-expanded={showFilters}
+            >
+              {showFilters ? "▾" : "▸"} Filters{filterQuery ? " (on)" : ""}
+            </button>
+            {results.length > 0 && <span className="opacity-60">↑↓ Enter: A · Shift+Enter: B</span>}
+          </div>
+          {showFilters && <SearchFilterBuilder filters={filters} setFilters={setFilters} />}
+          {!query && !filterQuery && recentSearches.length > 0 && (
+            <div className="mb-2 text-xs">
+              <div className="mb-1 opacity-70">Recent searches</div>
+              <div className="flex flex-wrap gap-1">
+                {recentSearches.map((q) => (
+                  <button
+                    key={q}
+                    type="button"
+                    className="max-w-full truncate rounded bg-black/30 px-2 py-0.5 hover:bg-black/50"
+                    onClick={() => setQuery(q)}
+                    title={q}
+                  >
+                    {q}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
           {loading && <div className="text-xs text-gray-300 mb-2">Searching…</div>}
           {error && <div className="text-xs text-red-400 mb-2">{error}</div>}
-          <div className="relative">
-            {results.map((c) => {
+          {added && <div className="text-xs text-green-300 mb-2">{added}</div>}
+          <div className="relative" ref={listRef}>
+            {pageResults.map((c, i) => {
               const norm = getNormCard(c) || c;
               // For preview, prefer normalized card image URLs
               const previewCard = {
@@ -158,7 +395,7 @@ function CardSearchPanel({ onAddCard, getCard }) {
               return (
                 <div
                   key={c.id}
-                  className="mb-3 rounded-lg bg-black/30 p-2 flex items-center gap-2 relative group"
+                  className={`mb-3 rounded-lg bg-black/30 p-2 flex items-center gap-2 relative group ${i === activeIndex ? "ring-1 ring-blue-400" : ""}`}
                   onMouseEnter={() => setHoveredCard(previewCard)}
                   onMouseLeave={() => setHoveredCard((h) => (h?.id === c.id ? null : h))}
                   draggable
@@ -256,6 +493,33 @@ function CardSearchPanel({ onAddCard, getCard }) {
               </div>
             )}
           </div>
+          {(page > 0 || hasNextPage) && (
+            <div className="flex items-center justify-between text-xs">
+              <button
+                type="button"
+                disabled={page === 0 || loading}
+                className="rounded bg-black/30 px-2 py-1 disabled:opacity-40"
+                onClick={() => goToPage(page - 1)}
+              >
+                ‹ Prev
+              </button>
+              <span className="opacity-70">
+                Page {page + 1}{nextBatch === null ? ` of ${pageCount}` : ""}
+              </span>
+              <button
+                type="button"
+                disabled={!hasNextPage || loading}
+                className="rounded bg-black/30 px-2 py-1 disabled:opacity-40"
+                onClick={() => goToPage(page + 1)}
+              >
+                Next ›
+              </button>
+            </div>
+          )}
+        </div>
+        <div className="mt-4 space-y-2">
+          <OfflineDbPanel offlineDb={offlineDb} />
+          <CacheSettingsPanel stats={cacheStats} onClear={onClearCache} />
         </div>
         <div className="mt-4 mb-2 text-xs text-gray-400 text-center opacity-70">
           <p>
@@ -276,8 +540,31 @@ function CardSearchPanel({ onAddCard, getCard }) {
   );
 }
 
+// Average mana value of nonland cards per deck, with the change from A
+const AverageManaValue = ({ stats }) => {
+  const base = stats[0][1].avgMv;
+  return (
+    <div className="mb-4 flex flex-wrap gap-x-3 gap-y-1 text-xs">
+      <span className="opacity-70">Avg MV</span>
+      {stats.map(([label, { avgMv }]) => {
+        const change = label !== "A" && avgMv != null && base != null ? avgMv - base : null;
+        return (
+          <span key={label}>
+            {label} <span className="font-mono font-semibold">{avgMv != null ? avgMv.toFixed(2) : "—"}</span>
+            {change != null && Math.abs(change) >= 0.005 && (
+              <span className={`ml-1 font-mono ${change > 0 ? "text-red-300" : "text-green-300"}`}>
+                ({change > 0 ? "+" : ""}{change.toFixed(2)})
+              </span>
+            )}
+          </span>
+        );
+      })}
+    </div>
+  );
+};
+
 // --- ManaCurvePanel: right sidebar with mana curve bar chart ---
-function ManaCurvePanel({ deckA, deckB, mergedDeck, getCard, showMerge }) {
+function ManaCurvePanel({ deckA, deckB, mergedDeck, getCard, showMerge, children }) {
   // Color symbol mapping for legend
   const colorMap = {
     W: "#f9e79f", U: "#85c1e9", B: "#566573", R: "#e74c3c", G: "#27ae60", C: "#aaa",
@@ -291,18 +578,7 @@ function ManaCurvePanel({ deckA, deckB, mergedDeck, getCard, showMerge }) {
     if (!card) return null;
     // Try to get from card data, fallback to parsing mana_cost
     if (typeof card.cmc === "number") return card.cmc;
-    if (card.mana_cost) {
-      // crude parse: count digits and X
-      const tokens = card.mana_cost.match(/\{[^}]+\}/g) || [];
-      let total = 0;
-      tokens.forEach((tok) => {
-        const inner = tok.replace(/[{}]/g, "").toUpperCase();
-        if (/^\d+$/.test(inner)) total += parseInt(inner, 10);
-        else if (inner === "X") total += 0;
-        else total += 1;
-      });
-      return total;
-    }
+    if (card.mana_cost) return manaValue(card.mana_cost);
     return null;
   };
 
@@ -314,6 +590,9 @@ function ManaCurvePanel({ deckA, deckB, mergedDeck, getCard, showMerge }) {
     const curve = {};
     const colorDist = {};
     const colorByCmc = {};
+    // Mana value total and count of nonland cards, for the average
+    let mvTotal = 0;
+    let spells = 0;
     for (const [name, qty] of deckMap.entries()) {
       const card = getCard(name);
       const isLand = card?.type_line && card.type_line.includes("Land");
@@ -331,6 +610,10 @@ function ManaCurvePanel({ deckA, deckB, mergedDeck, getCard, showMerge }) {
 
       const key = (cmc != null ? Math.min(Math.max(Math.round(cmc), 0), 7) : 0);
       curve[key] = (curve[key] || 0) + qty;
+      if (cmc != null) {
+        mvTotal += cmc * qty;
+        spells += qty;
+      }
 
       // Color dist: count per color symbol for non-land cards
       if (colors && colors.length) {
@@ -351,15 +634,16 @@ function ManaCurvePanel({ deckA, deckB, mergedDeck, getCard, showMerge }) {
         colorByCmc[key]["C"] = (colorByCmc[key]["C"] || 0) + qty;
       }
     }
-    return { curve, colorDist, colorByCmc };
+    return { curve, colorDist, colorByCmc, avgMv: spells > 0 ? mvTotal / spells : null };
   };
 
-  // Convert mergedDeckRows to Map for stats
+  // Convert mergedDeckRows to Map for stats, adding up a card's rows in different zones
+  // (commander and mainboard) the way playableMap does for A and B
   const mergedMap = useMemo(() => {
     if (!mergedDeck) return new Map();
     const m = new Map();
     mergedDeck.forEach((row) => {
-      m.set(row.name, row.qty);
+      m.set(row.name, (m.get(row.name) || 0) + row.qty);
     });
     return m;
   }, [mergedDeck]);
@@ -369,6 +653,19 @@ function ManaCurvePanel({ deckA, deckB, mergedDeck, getCard, showMerge }) {
   const statsB = useMemo(() => computeStats(deckB), [deckB, getCard]);
   const statsC = useMemo(() => computeStats(mergedMap), [mergedMap, getCard]);
 
+  // Card type and role counts
+  const breakdownA = useMemo(() => categoryBreakdown(deckA, getCard), [deckA, getCard]);
+  const breakdownB = useMemo(() => categoryBreakdown(deckB, getCard), [deckB, getCard]);
+  const breakdownC = useMemo(() => categoryBreakdown(mergedMap, getCard), [mergedMap, getCard]);
+  // Pips vs land sources per color
+  const manaBaseA = useMemo(() => analyzeManaBase(deckA, getCard), [deckA, getCard]);
+  const manaBaseB = useMemo(() => analyzeManaBase(deckB, getCard), [deckB, getCard]);
+  const breakdownCounts = (key) => ({
+    A: breakdownA[key],
+    B: breakdownB[key],
+    merged: showMerge ? breakdownC[key] : null,
+  });
+
   // Chart labels: "Lands" first, then 0..6, then "7+"
   const labels = ["Lands", "0", "1", "2", "3", "4", "5", "6", "7+"];
   // The corresponding keys in colorByCmc: "Lands", 0..6, 7
@@ -378,17 +675,8 @@ function ManaCurvePanel({ deckA, deckB, mergedDeck, getCard, showMerge }) {
   // Build deckData for merged stats to determine if there are lands
   // Use mergedDeck or deckA/deckB as needed. For mergedDeck, build array of cards.
   // We'll use mergedDeck for colorMap and allColors logic
-  const mergedDeckMap = mergedDeck
-    ? (() => {
-      const m = new Map();
-      mergedDeck.forEach((row) => {
-        m.set(row.name, row.qty);
-      });
-      return m;
-    })()
-    : new Map();
   // For the merged deck, build deckData array for land detection
-  const deckData = Array.from(mergedDeckMap.entries()).map(([name, qty]) => {
+  const deckData = Array.from(mergedMap.entries()).map(([name, qty]) => {
     const card = getCard(name);
     return { ...card, qty };
   });
@@ -430,6 +718,39 @@ function ManaCurvePanel({ deckA, deckB, mergedDeck, getCard, showMerge }) {
     datasets: makeStackedDatasets(statsC, "Merged", "stackC"),
   };
 
+  // "separate": one chart per deck; "delta": B minus A per bucket and color
+  const [chartMode, setChartMode] = useState("separate");
+  const dataDelta = {
+    labels,
+    datasets: allColors.map((color) => ({
+      label: color,
+      data: cmcKeys.map((cmc) => (statsB.colorByCmc[cmc]?.[color] || 0) - (statsA.colorByCmc[cmc]?.[color] || 0)),
+      backgroundColor: colorMap[color],
+      stack: "delta",
+      borderWidth: 0,
+    })),
+  };
+  const deltaOptions = {
+    responsive: true,
+    plugins: {
+      legend: { display: true, labels: { color: "#ccc", boxWidth: 10, font: { size: 10 } } },
+      title: { display: false },
+      tooltip: {
+        callbacks: {
+          label: (ctx) => `${ctx.dataset.label}: ${ctx.parsed.y > 0 ? "+" : ""}${ctx.parsed.y}`,
+        },
+      },
+    },
+    scales: {
+      x: { stacked: true, ticks: { color: "#ccc" }, grid: { color: "#333" } },
+      y: {
+        stacked: true,
+        ticks: { color: "#ccc", precision: 0 },
+        grid: { color: (ctx) => (ctx.tick.value === 0 ? "#888" : "#333") },
+      },
+    },
+  };
+
   // Hover state for color dist: 0 = A, 1 = B, 2 = C
   const [hovered, setHovered] = useState(null); // 0, 1, 2 or null
 
@@ -561,37 +882,74 @@ function ManaCurvePanel({ deckA, deckB, mergedDeck, getCard, showMerge }) {
 
   return (
     <aside className="fixed right-0 top-0 z-30 h-full w-80 bg-slate-900 border-l border-white/10 shadow-lg flex flex-col p-4">
-      <div className="mb-4 text-lg font-bold tracking-wide">Mana Curve</div>
-      <div className="flex-1 space-y-6">
-        <div>
-          <div className="mb-2 text-xs font-semibold text-white/80">Deck A — CMC Curve</div>
-          <Bar
-            data={dataA}
-            options={chartOptions(0)}
-            height={120}
-          />
-          <ColorDistributionBlock colorDist={statsA.colorDist} stats={statsA} />
-        </div>
-        <div>
-          <div className="mb-2 text-xs font-semibold text-white/80">Deck B — CMC Curve</div>
-          <Bar
-            data={dataB}
-            options={chartOptions(1)}
-            height={120}
-          />
-          <ColorDistributionBlock colorDist={statsB.colorDist} stats={statsB} />
+      <div className="mb-4 flex items-center justify-between">
+        <div className="text-lg font-bold tracking-wide">Mana Curve</div>
+        <div className="flex rounded-lg bg-black/30 p-0.5 text-xs ring-1 ring-white/10">
+          {[["separate", "Decks"], ["delta", "B − A"]].map(([mode, label]) => (
+            <button
+              key={mode}
+              type="button"
+              aria-pressed={chartMode === mode}
+              className={`rounded-md px-2 py-0.5 ${chartMode === mode ? "bg-white/20 font-semibold" : "opacity-70"}`}
+              onClick={() => setChartMode(mode)}
+            >
+              {label}
+            </button>
+          ))}
         </div>
-        {showMerge && (
+      </div>
+      <AverageManaValue stats={[["A", statsA], ["B", statsB], ...(showMerge ? [["Merged", statsC]] : [])]} />
+      <div className="flex-1 space-y-6 overflow-y-auto">
+        {chartMode === "delta" ? (
           <div>
-            <div className="mb-2 text-xs font-semibold text-white/80">Merged Deck — CMC Curve</div>
-            <Bar
-              data={dataC}
-              options={chartOptions(2)}
-              height={120}
-            />
-            <ColorDistributionBlock colorDist={statsC.colorDist} stats={statsC} />
+            <div className="mb-2 text-xs font-semibold text-white/80">Deck B vs Deck A — cards added (+) / cut (−)</div>
+            <Bar data={dataDelta} options={deltaOptions} height={160} />
           </div>
+        ) : (
+          <>
+            <div>
+              <div className="mb-2 text-xs font-semibold text-white/80">Deck A — CMC Curve</div>
+              <Bar
+                data={dataA}
+                options={chartOptions(0)}
+                height={120}
+              />
+              <ColorDistributionBlock colorDist={statsA.colorDist} stats={statsA} />
+            </div>
+            <div>
+              <div className="mb-2 text-xs font-semibold text-white/80">Deck B — CMC Curve</div>
+              <Bar
+                data={dataB}
+                options={chartOptions(1)}
+                height={120}
+              />
+              <ColorDistributionBlock colorDist={statsB.colorDist} stats={statsB} />
+            </div>
+            {showMerge && (
+              <div>
+                <div className="mb-2 text-xs font-semibold text-white/80">Merged Deck — CMC Curve</div>
+                <Bar
+                  data={dataC}
+                  options={chartOptions(2)}
+                  height={120}
+                />
+                <ColorDistributionBlock colorDist={statsC.colorDist} stats={statsC} />
+              </div>
+            )}
+          </>
         )}
+        <CategoryBreakdown
+          title="Card Types"
+          rows={CARD_TYPES.map((t) => ({ key: t, label: t }))}
+          counts={breakdownCounts("types")}
+        />
+        <CategoryBreakdown
+          title="Roles"
+          rows={Object.entries(ROLE_LABELS).map(([key, label]) => ({ key, label }))}
+          counts={breakdownCounts("roles")}
+        />
+        <ManaBaseBreakdown a={manaBaseA} b={deckB.size > 0 ? manaBaseB : null} />
+        {children}
       </div>
       {/* Removed hovered colorDist block */}
     </aside>
@@ -599,255 +957,11 @@ function ManaCurvePanel({ deckA, deckB, mergedDeck, getCard, showMerge }) {
 }
 
 // --- Utilities --------------------------------------------------------------
-// Normalize multi-face separators and spacing for card names
-const normalizeName = (raw) => {
-  if (!raw) return raw;
-  let s = raw.trim();
-  // Collapse 3+ slashes to two (some exports use '///')
-  s = s.replace(/\/{3,}/g, "//");
-  // Ensure single spaces around double-slash separators
-  s = s.replace(/\s*\/\/\s*/g, " // ");
-  // Collapse multiple spaces
-  s = s.replace(/\s{2,}/g, " ");
-  return s.trim();
-};
-
-const parseDeckText = (text) => {
-  // Supports lines like: "3 Lightning Bolt", "1x Island"
-  // Skips everything after a line starting with "Sideboard" (Arena export)
-  const lines = text
-    .replace(/\r/g, "\n")
-    .split(/\n+/)
-    .map((l) => l.trim())
-    .filter(Boolean);
-
-  const map = new Map();
-  let inSideboard = false;
-
-  for (const line of lines) {
-    if (/^sideboard\b/i.test(line)) {
-      inSideboard = true;
-      break; // skip sideboard entirely per requirements
-    }
-    // Skip Arena headers like "Deck" or metadata lines
-    if (/^(deck|companion)\b/i.test(line)) continue;
-
-    // Match quantity and name
-    const m = line.match(/^(\d+)x?\s+(.+)$/i);
-    if (!m) continue;
-    const qty = parseInt(m[1], 10) || 0;
-    let name = m[2].trim();
-
-    // Remove set/code in brackets like "[MOM]" or trailing comments
-    name = name.replace(/\s*\[[^\]]+\]\s*$/, "");
-    // Remove trailing parenthetical set codes and optional collector numbers, e.g. "(M11) 150" or "(151/280)"
-    name = name.replace(/\s*\([^)]*\)\s*[\d/]*\s*$/, "");
-    // Remove stray trailing collector numbers if any remain (e.g., "Lightning Bolt 150")
-    name = name.replace(/\s+\d+\s*$/, "");
-
-    // Normalize multi-face separators (e.g., '///' -> ' // ')
-    name = normalizeName(name);
-
-    // Collapse basic lands variants just by name (already the case)
-    const prev = map.get(name) || 0;
-    map.set(name, prev + qty);
-  }
-
-  return map; // Map<name, qty>
-};
-
 const unionNames = (a, b) => {
   const s = new Set([...a.keys(), ...b.keys()]);
   return [...s].sort((x, y) => x.localeCompare(y));
 };
 
-const batch = (arr, size = 75) => {
-  const out = [];
-  for (let i = 0; i < arr.length; i += size) out.push(arr.slice(i, i + size));
-  return out;
-};
-
-const CARD_CACHE_KEY = "mtg_deck_diff_cache_v2"; // bump to invalidate old entries without back face URLs
-const loadCache = () => {
-  try {
-    const raw = localStorage.getItem(CARD_CACHE_KEY);
-    if (!raw) return {};
-    return JSON.parse(raw) || {};
-  } catch {
-    return {};
-  }
-};
-const saveCache = (obj) => {
-  try {
-    localStorage.setItem(CARD_CACHE_KEY, JSON.stringify(obj));
-  } catch { }
-};
-
-const normalizeCard = (c) => {
-  const faces = Array.isArray(c.card_faces) ? c.card_faces : null;
-  const front = faces?.[0] || c;
-  const back = faces?.[1] || null;
-
-  const pick = (obj, pref = "big") => {
-    const u = obj?.image_uris || {};
-    if (pref === "big") return u.png || u.large || u.normal || u.small || null;
-    if (pref === "small") return u.small || u.normal || u.large || u.png || null;
-    if (pref === "art") return u.art_crop || u.normal || u.large || u.small || null;
-    return null;
-  };
-
-  // Always prefer face-level images for DFCs
-  const art = pick(front, "art") || pick(c, "art");
-  const small = pick(front, "small") || pick(c, "small");
-  const frontBig = pick(front, "big") || pick(c, "big");
-  const backBig = back ? pick(back, "big") : null;
-
-  return {
-    id: c.id,
-    name: c.name,
-    mana_cost: front.mana_cost || c.mana_cost || "",
-    type_line: c.type_line || front.type_line || "",
-    oracle_text: front.oracle_text || c.oracle_text || "",
-    colors: c.colors || front.colors || [],
-    color_identity: c.color_identity || [],
-    art,
-    small,
-    png: frontBig,
-    back_png: backBig,
-    scryfall_uri: c.scryfall_uri,
-    set_name: c.set_name,
-  };
-};
-
-const fetchCardsByNames = async (names, cache) => {
-  const toFetch = names.filter((n) => !cache[n]);
-  if (toFetch.length === 0) return cache;
-
-  for (const chunk of batch(toFetch, 70)) {
-    const body = {
-      identifiers: chunk.map((name) => ({ name })),
-    };
-    const res = await fetch("https://api.scryfall.com/cards/collection", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(body),
-    });
-    const json = await res.json();
-    if (!res.ok) {
-      console.error("Scryfall collection fetch failed", res.status, json);
-    }
-    const notFound = new Set((json.not_found || []).map((i) => i.name?.toLowerCase()));
-
-    // Index received cards by canonical name and by front-face name (case-insensitive)
-    const received = json.data || [];
-    const byCanonical = new Map();
-    const byFront = new Map();
-    for (const c of received) {
-      const canon = (c.name || "").toLowerCase();
-      if (canon) byCanonical.set(canon, c);
-      const face0 = (c.card_faces?.[0]?.name || "").toLowerCase();
-      if (face0) byFront.set(face0, c);
-      // Always cache under canonical name
-      const card = normalizeCard(c);
-      cache[card.name] = { card, ts: Date.now() };
-    }
-
-    // For each requested name in this chunk, if it's not in cache yet but was resolved
-    // in the collection response, map it to either canonical or front-face match.
-    for (const origName of chunk) {
-      if (cache[origName]) continue;
-      const q = normalizeName(origName).toLowerCase();
-      let c = byCanonical.get(q);
-      if (!c) c = byFront.get(q);
-      if (c) {
-        const card = normalizeCard(c);
-        cache[origName] = { card, ts: Date.now() };
-      }
-    }
-
-    // Fallback for unresolved names: try multiple variants and endpoints
-    for (const origName of chunk) {
-      if (cache[origName]) continue; // already resolved above
-      if (!notFound.has(origName.toLowerCase())) continue;
-
-      const variants = [];
-      const full = normalizeName(origName);
-      const parts = full.split("//");
-      const frontOnly = parts[0]?.trim();
-
-      // Try exact then fuzzy on full, then exact then fuzzy on front-only (if present)
-      variants.push({ kind: "exact", q: full });
-      variants.push({ kind: "fuzzy", q: full });
-      if (frontOnly && frontOnly.length > 0) {
-        variants.push({ kind: "exact", q: frontOnly });
-        variants.push({ kind: "fuzzy", q: frontOnly });
-      }
-
-      let resolved = false;
-      for (const v of variants) {
-        const url = v.kind === "exact"
-          ? `https://api.scryfall.com/cards/named?exact=${encodeURIComponent(v.q)}`
-          : `https://api.scryfall.com/cards/named?fuzzy=${encodeURIComponent(v.q)}`;
-        try {
-          const r = await fetch(url);
-          if (r.ok) {
-            const c = await r.json();
-            const card = normalizeCard(c);
-            cache[origName] = { card, ts: Date.now() };
-            resolved = true;
-            break;
-          }
-        } catch (e) {
-          console.error("Scryfall named lookup failed for", v.kind, v.q, e);
-        }
-      }
-
-      // if still unresolved, mark as not found to avoid loops
-      if (!resolved && !cache[origName]) {
-        console.warn("Unresolved card name after fallbacks:", origName);
-        cache[origName] = { card: null, ts: Date.now() };
-      }
-    }
-  }
-  saveCache(cache);
-  return cache;
-};
-
-const useScryfall = (names) => {
-  const [cache, setCache] = useState(() => loadCache());
-  const [loading, setLoading] = useState(false);
-
-  useEffect(() => {
-    let mounted = true;
-    (async () => {
-      setLoading(true);
-      const next = { ...cache };
-      await fetchCardsByNames(names, next);
-      if (mounted) setCache({ ...next });
-      setLoading(false);
-    })();
-    return () => {
-      mounted = false;
-    };
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [JSON.stringify(names.sort())]);
-
-  const get = (name) => cache[name]?.card || null;
-  return { get, loading };
-};
-
-// StatusColors is not used for card background color in DeckColumn; instead, see below for per-card row coloring
-
-const computeStatus = (qa, qb) => {
-  if (qa && qb) {
-    if (qa === qb) return "equal";
-    return "diff";
-  }
-  if (qa && !qb) return "onlyA";
-  if (!qa && qb) return "onlyB";
-  return "equal";
-};
-
 const DiffBadge = ({ qa, qb, side }) => {
   if (qa == null || qb == null) return null;
   // Show delta relative to the current column: A shows (A - B), B shows (B - A)
@@ -862,24 +976,7 @@ const DiffBadge = ({ qa, qb, side }) => {
   );
 };
 
-// Hover/Tap preview
-const useHoverIntent = () => {
-  const [active, setActive] = useState(null); // { name, img, rect }
-  return {
-    active,
-    show: (payload) => setActive(payload),
-    hide: () => setActive(null),
-  };
-};
-
 // --- Mana Cost Rendering ----------------------------------------------------
-const normalizeManaToken = (tok) => {
-  // tok like "{1}", "{W}", "{W/U}", "{W/P}", "{2/U}", "{C}", "{S}", "{X}"
-  const inner = tok.replace(/[{}]/g, "").toUpperCase();
-  // Remove slashes for hybrid/phyrexian to match Scryfall SVG filenames (e.g., WU.svg, WP.svg, 2U.svg)
-  return inner.replaceAll("/", "");
-};
-
 const ManaCost = ({ cost, className = "h-4 w-4" }) => {
   if (!cost) return null;
   const tokens = cost.match(/\{[^}]+\}/g) || [];
@@ -904,144 +1001,79 @@ const ManaCost = ({ cost, className = "h-4 w-4" }) => {
   );
 };
 
-const CardRow = ({ deckLabel, name, qty, qa, qb, getCard, side, deckB }) => {
-  const card = getCard(name);
-  const status = computeStatus(qa, qb);
-  const [showModal, setShowModal] = useState(false);
-
-  const onClickMobile = () => setShowModal(true);
-
-  // Determine background color for card row
-  // Old logic:
-  // const bgColor =
-  //   inBothSameQty ? "bg-gray-700" :
-  //   onlyInB ? "bg-green-700" :
-  //   onlyInA ? "bg-red-700" :
-  //   diffQty ? "bg-yellow-700" : "bg-gray-800";
-  // New logic: only apply bg-red-700 for onlyInA if deckB is loaded
-  const inBothSameQty = qa && qb && qa === qb;
-  const onlyInB = !qa && qb;
-  const onlyInA = qa && !qb;
-  const diffQty = qa && qb && qa !== qb;
-  const bgColor =
-    inBothSameQty ? "bg-gray-700" :
-      onlyInB ? "bg-green-700" :
-        (deckB && deckB.size > 0 && onlyInA) ? "bg-red-700" :
-          diffQty ? "bg-yellow-700" : "bg-gray-800";
-
+// Type line with the card's price in the chosen currency on the right
+const CardSubline = ({ card, currency }) => {
+  const price = cardPrice(card, currency);
+  if (!card?.type_line && price == null) return null;
   return (
-    <div
-      className="group relative rounded-xl shadow-sm"
-      role="listitem"
-    >
-      <div className={`relative overflow-hidden rounded-xl border border-white/10 ${bgColor}`}>
-        {/* Background art */}
-        {card?.art && (
-          <div
-            className="absolute inset-0 opacity-30 bg-cover bg-center"
-            style={{ backgroundImage: `url(${card.art})` }}
-            aria-hidden
-          />
-        )}
-        {/* Scrim */}
-        <div className="absolute inset-0 bg-gradient-to-r from-black/70 via-black/50 to-black/30" aria-hidden />
-
-        {/* Content */}
-        <div className="relative z-10 flex items-center gap-3 p-2">
-          {/* Thumbnail */}
-          {card?.small ? (
-            <img
-              src={card.small}
-              alt={name}
-              className="h-12 w-9 rounded-md object-cover ring-1 ring-white/10"
-            />
-          ) : (
-            <div className="h-12 w-9 rounded-md bg-black/30 ring-1 ring-white/10 flex items-center justify-center text-[10px] leading-tight text-white/60">
-              N/A
-            </div>
-          )}
-
-          {/* Quantity + Header */}
-          <div className="min-w-0 flex-1">
-            <div className="flex items-center justify-between">
-              <div className="truncate text-sm font-semibold tracking-wide">
-                <span className="mr-2 opacity-90">{qty}×</span>
-                <span title={name}>{name}</span>
-              </div>
-              <div className="ml-2 flex items-center">
-                {/* Mana cost string (rendered as mana symbols) */}
-                {card?.mana_cost && (
-                  <ManaCost cost={card.mana_cost} />
-                )}
-                <DiffBadge qa={qa} qb={qb} side={side} />
-              </div>
-            </div>
-            {/* Type line */}
-            {card?.type_line && (
-              <div className="truncate text-xs opacity-80">{card.type_line}</div>
-            )}
-          </div>
-
-          {/* Tap to open modal on mobile */}
-          {card?.png && (
-            <button
-              className="md:hidden ml-2 rounded-lg bg-black/30 px-2 py-1 text-xs ring-1 ring-white/10"
-              onClick={onClickMobile}
-            >
-              Preview
-            </button>
-          )}
-        </div>
-
-        {/* Mobile modal */}
-        {showModal && card?.png && (
-          <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/80 p-4" onClick={() => setShowModal(false)}>
-            {card.back_png ? (
-              <div className="flex gap-2">
-                <img src={card.png} alt={`${name} (front)`} className="max-h-full rounded-xl" />
-                <img src={card.back_png} alt={`${name} (back)`} className="max-h-full rounded-xl" />
-              </div>
-            ) : (
-              <img src={card.png} alt={name} className="max-h-full rounded-xl" />
-            )}
-          </div>
-        )}
-      </div>
-      {/* Desktop hover preview (absolute, not clipped) */}
-      {card?.png && (
-        <div className="pointer-events-none absolute top-2 right-2 z-50 hidden md:group-hover:block">
-          {card.back_png ? (
-            <div className="flex gap-2 rounded-xl border border-white/10 bg-black/20 p-2 shadow-2xl">
-              <img src={card.png} alt={`${name} (front)`} className="h-80 rounded-lg" />
-              <img src={card.back_png} alt={`${name} (back)`} className="h-80 rounded-lg" />
-            </div>
-          ) : (
-            <div className="rounded-xl border border-white/10 bg-black/20 p-2 shadow-2xl">
-              <img src={card.png} alt={name} className="h-80 rounded-lg" />
-            </div>
-          )}
-        </div>
-      )}
+    <div className="flex items-center justify-between gap-2 text-xs">
+      <div className="truncate opacity-80">{card?.type_line}</div>
+      {price != null && <div className="shrink-0 opacity-80">{formatPrice(price, currency)}</div>}
     </div>
   );
 };
 
+// Deck total for a column header; cards without a price are counted separately
+const PriceTotal = ({ price, currency }) => (
+  <span
+    className="ml-2 rounded-full bg-black/30 px-2 py-0.5 text-xs font-normal"
+    title={price.missing > 0 ? `${price.missing} card${price.missing === 1 ? "" : "s"} without a ${CURRENCIES[currency].label} price` : "Deck price"}
+  >
+    {formatPrice(price.total, currency)}
+    {price.missing > 0 && " +?"}
+  </span>
+);
+
 const DeckColumn = ({
   title,
   deckMap,
   otherDeckMap,
   getCard,
   side,
+  zone = "mainboard",
+  diff = null, // computeDeckDiff entries, used to flag cards that moved between zones
   showMerge = false,
   eligibleForMerge = () => false,
   selectedForMerge = {},
   onCardClick = null,
   addCardToDeck, // for drag-and-drop
-  deckB, // pass deckB for merge overlay logic
+  hasDeckB = false, // deck B loaded: enables red "only in A" rows and merge overlay
   removeCardFromDeck, // for live add/remove
+  issues = null, // validation cardIssues: Map<name, [{ kind, label, title }]>
+  currency = "usd",
+  ownership = null, // collectionNeeds for the cards this (B) column adds
+  view = { groupBy: "none", sortBy: "name" }, // columnView.js grouping and sort
+  tags = {}, // custom card tags: { [name]: [tag] }
+  onEditTags = null,
+  filter = EMPTY_COLUMN_FILTER, // filter bar state, see matchesColumnFilter
 }) => {
   const [hovered, setHovered] = useState(null);
-  const names = useMemo(() => [...deckMap.keys()].sort((a, b) => a.localeCompare(b)), [deckMap]);
+  // Cards passing the filter bar, then grouped and sorted
+  const shownNames = useMemo(
+    () => [...deckMap.keys()].filter((n) => matchesColumnFilter(n, diff?.get(zoneKey(zone, n))?.status, filter, getCard)),
+    [deckMap, diff, zone, filter, getCard]
+  );
+  const groups = useMemo(
+    () =>
+      groupAndSort(shownNames, view, {
+        getCard,
+        qtyA: (n) => (side === "A" ? deckMap : otherDeckMap).get(n),
+        qtyB: (n) => (side === "B" ? deckMap : otherDeckMap).get(n),
+        status: (n) => diff?.get(zoneKey(zone, n))?.status,
+        tags,
+        currency,
+      }),
+    [shownNames, deckMap, otherDeckMap, side, zone, diff, view, getCard, tags, currency]
+  );
+  // Collapsed group headers
+  const [collapsed, setCollapsed] = useState(() => new Set());
+  const toggleGroup = (key) =>
+    setCollapsed((prev) => {
+      const next = new Set(prev);
+      if (next.has(key)) next.delete(key);
+      else next.add(key);
+      return next;
+    });
   // Drag-and-drop handlers
   const handleDragOver = (e) => {
     e.preventDefault();
@@ -1055,12 +1087,12 @@ const DeckColumn = ({
         const card = JSON.parse(cardStr);
         // Allow dropping into deck A if both decks are empty
         if (deckMap.size === 0 && side === 'A') {
-          addCardToDeck('A', card);
-        } else if (deckMap.size === 0 && side === 'B') {
+          addCardToDeck('A', card, zone);
+        } else if (deckMap.size === 0 && side === 'B' && !hasDeckB) {
           // if deck B column is shown but empty, add to A by default
-          addCardToDeck('A', card);
+          addCardToDeck('A', card, zone);
         } else {
-          addCardToDeck(side, card);
+          addCardToDeck(side, card, zone);
         }
       } catch { }
     }
@@ -1081,154 +1113,324 @@ const DeckColumn = ({
         >
           Drop cards here
         </div>
+      ) : shownNames.length === 0 && isFilterActive(filter) ? (
+        <div className="text-xs italic opacity-60">No cards match the filter</div>
       ) : (
-        Array.from(deckMap.entries()).map(([name, card]) => {
-          // When showMerge is true, hide cards present in both A and B, and hide those selected for merge
-          if (showMerge) {
-            if (eligibleForMerge(name) && !selectedForMerge[name]) {
-              // Eligible and not selected: show with highlight
-              // (handled below)
-            } else if (selectedForMerge[name]) {
-              // Selected for merge: hide from A/B columns
-              return null;
-            } else if (eligibleForMerge(name)) {
-              // Defensive: already handled above
-            } else if (otherDeckMap.has(name) && deckMap.has(name)) {
-              // Present in both decks but not eligible for merge: hide
-              return null;
-            }
-          }
-          // Visual highlight for eligible-for-merge cards
-          const isEligible = showMerge && eligibleForMerge(name) && !selectedForMerge[name];
-          // Only apply opacity overlay if deckB is loaded
-          const rowOpacity = (deckB && deckB.size > 0 && showMerge && eligibleForMerge(name) && selectedForMerge[name])
-            ? "opacity-40 pointer-events-none"
-            : "";
-          // Live quantity and cardData for this card
-          const cardData = deckMap.get(name);
-          const quantity = cardData?.quantity ?? deckMap.get(name)?.quantity ?? deckMap.get(name) ?? 0;
-          // Use getCard for card info
-          const cardObj = getCard(name);
-          // Determine background color for card row
-          const qa = side === "A" ? deckMap.get(name) : otherDeckMap.get(name);
-          const qb = side === "B" ? deckMap.get(name) : otherDeckMap.get(name);
-          const inBothSameQty = qa && qb && qa === qb;
-          const onlyInB = !qa && qb;
-          const onlyInA = qa && !qb;
-          const diffQty = qa && qb && qa !== qb;
-          const bgColor =
-            inBothSameQty ? "bg-gray-700" :
-              onlyInB ? "bg-green-700" :
-                (deckB && deckB.size > 0 && onlyInA) ? "bg-red-700" :
-                  diffQty ? "bg-yellow-700" : "bg-gray-800";
-          return (
-            <div
-              key={`${side}-${name}`}
-              className={isEligible ? "ring-2 ring-blue-400 rounded-xl" : ""}
-              style={rowOpacity ? { opacity: 0.4, pointerEvents: "none" } : undefined}
-              onClick={isEligible && onCardClick ? () => onCardClick(name) : undefined}
-            >
-              {/* Card container with live quantity and handlers */}
-              <div
-                onClick={(e) => { e.preventDefault(); addCardToDeck && addCardToDeck(side, { name, quantity: 1 }); }}
-                onContextMenu={(e) => { e.preventDefault(); removeCardFromDeck && removeCardFromDeck(side, name); }}
-                className={`group relative rounded-xl shadow-sm ${bgColor}`}
-                onMouseEnter={() => setHovered(name)}
-                onMouseLeave={() => setHovered(null)}
-                role="listitem"
-                style={{ cursor: "pointer" }}
-              >
-                <div className={`relative overflow-hidden rounded-xl border border-white/10 ${bgColor}`}>
-                  {/* Background art */}
-                  {cardObj?.art && (
-                    <div
-                      className="absolute inset-0 opacity-30 bg-cover bg-center"
-                      style={{ backgroundImage: `url(${cardObj.art})` }}
-                      aria-hidden
-                    />
-                  )}
-                  {/* Scrim */}
-                  <div className="absolute inset-0 bg-gradient-to-r from-black/70 via-black/50 to-black/30" aria-hidden />
-                  {/* Content */}
-                  <div className="relative z-10 flex items-center gap-3 p-2">
-                    {/* Thumbnail */}
-                    {cardObj?.small ? (
-                      <img
-                        src={cardObj.small}
-                        alt={name}
-                        className="h-12 w-9 rounded-md object-cover ring-1 ring-white/10"
-                      />
-                    ) : (
-                      <div className="h-12 w-9 rounded-md bg-black/30 ring-1 ring-white/10 flex items-center justify-center text-[10px] leading-tight text-white/60">
-                        N/A
-                      </div>
-                    )}
-                    {/* Quantity + Header */}
-                    <div className="min-w-0 flex-1">
-                      <div className="flex items-center justify-between">
-                        <div className="truncate text-sm font-semibold tracking-wide">
-                          <span className="mr-2 opacity-90">{deckMap.get(name)?.quantity ?? deckMap.get(name) ?? 0}×</span>
-                          <span title={name}>{name}</span>
-                        </div>
-                        <div className="ml-2 flex items-center">
-                          {/* Mana cost string (rendered as mana symbols) */}
-                          {cardObj?.mana_cost && (
-                            <ManaCost cost={cardObj.mana_cost} />
-                          )}
-                          <DiffBadge qa={qa} qb={qb} side={side} />
-                        </div>
-                      </div>
-                      {/* Type line */}
-                      {cardObj?.type_line && (
-                        <div className="truncate text-xs opacity-80">{cardObj.type_line}</div>
-                      )}
-                    </div>
-                    {/* Tap to open modal on mobile */}
-                    {cardObj?.png && (
-                      <button
-                        className="md:hidden ml-2 rounded-lg bg-black/30 px-2 py-1 text-xs ring-1 ring-white/10"
-                        onClick={e => { e.stopPropagation(); }}
-                      >
-                        Preview
-                      </button>
-                    )}
-                  </div>
-                  {/* Hover preview image (desktop) */}
-                  {hovered === name && cardObj?.png && (
+        groups.map(({ key: groupKey, names: groupNames }) => (
+          <div key={groupKey || "all"} className="space-y-2">
+            {groupKey && (
+              <GroupHeader
+                label={groupKey}
+                count={groupNames.reduce((sum, n) => sum + (deckMap.get(n) || 0), 0)}
+                collapsed={collapsed.has(groupKey)}
+                onToggle={() => toggleGroup(groupKey)}
+              />
+            )}
+            {!collapsed.has(groupKey) && groupNames.map((name) => {
+                const key = zoneKey(zone, name);
+                // When showMerge is true, hide cards present in both A and B, and hide those selected for merge
+                if (showMerge) {
+                  if (eligibleForMerge(key) && !selectedForMerge[key]) {
+                    // Eligible and not selected: show with highlight
+                    // (handled below)
+                  } else if (selectedForMerge[key]) {
+                    // Selected for merge: hide from A/B columns
+                    return null;
+                  } else if (eligibleForMerge(key)) {
+                    // Defensive: already handled above
+                  } else if (otherDeckMap.has(name) && deckMap.has(name)) {
+                    // Present in both decks but not eligible for merge: hide
+                    return null;
+                  }
+                }
+                // Visual highlight for eligible-for-merge cards
+                const isEligible = showMerge && eligibleForMerge(key) && !selectedForMerge[key];
+                // Only apply opacity overlay if deckB is loaded
+                const rowOpacity = (hasDeckB && showMerge && eligibleForMerge(key) && selectedForMerge[key])
+                  ? "opacity-40 pointer-events-none"
+                  : "";
+                // Live quantity and cardData for this card
+                const cardData = deckMap.get(name);
+                const quantity = cardData?.quantity ?? deckMap.get(name)?.quantity ?? deckMap.get(name) ?? 0;
+                // Use getCard for card info
+                const cardObj = getCard(name);
+                // Determine background color for card row
+                const qa = side === "A" ? deckMap.get(name) : otherDeckMap.get(name);
+                const qb = side === "B" ? deckMap.get(name) : otherDeckMap.get(name);
+                const inBothSameQty = qa && qb && qa === qb;
+                const onlyInB = !qa && qb;
+                const onlyInA = qa && !qb;
+                const diffQty = qa && qb && qa !== qb;
+                // Copies that changed zone between A and B are a move, not an add/cut
+                const entry = diff?.get(key);
+                const moved = hasDeckB && entry?.status === "moved";
+                const moveTarget = side === "A" ? entry?.movedTo : entry?.movedFrom;
+                const illegal = isIllegal(issues?.get(name));
+                const bgColor =
+                  moved ? "bg-purple-700" :
+                    inBothSameQty ? "bg-gray-700" :
+                      onlyInB ? "bg-green-700" :
+                        (hasDeckB && onlyInA) ? "bg-red-700" :
+                          diffQty ? "bg-yellow-700" : "bg-gray-800";
+                return (
+                  <div
+                    key={`${side}-${key}`}
+                    className={isEligible ? "ring-2 ring-blue-400 rounded-xl" : ""}
+                    style={rowOpacity ? { opacity: 0.4, pointerEvents: "none" } : undefined}
+                    onClick={isEligible && onCardClick ? () => onCardClick(key) : undefined}
+                  >
+                    {/* Card container with live quantity and handlers */}
                     <div
-                      className="fixed z-50 pointer-events-none"
-                      style={{
-                        top: `${window.scrollY + 100}px`,
-                        left: 'calc(50% - 125px)',
-                        width: '250px'
-                      }}
+                      onClick={(e) => { e.preventDefault(); addCardToDeck && addCardToDeck(side, { name, quantity: 1 }, zone); }}
+                      onContextMenu={(e) => { e.preventDefault(); removeCardFromDeck && removeCardFromDeck(side, name, zone); }}
+                      className={`group relative rounded-xl shadow-sm ${bgColor} ${illegal ? "ring-2 ring-red-500" : ""}`}
+                      onMouseEnter={() => setHovered(name)}
+                      onMouseLeave={() => setHovered(null)}
+                      role="listitem"
+                      style={{ cursor: "pointer" }}
                     >
-                      <img
-                        src={cardObj.png}
-                        alt={name}
-                        className="rounded-lg shadow-2xl border border-gray-300 w-full object-cover"
-                      />
-                      {cardObj.back_png && (
-                        <img
-                          src={cardObj.back_png}
-                          alt={`${name} (back)`}
-                          className="rounded-lg shadow-2xl border border-gray-300 w-full object-cover mt-2"
-                        />
-                      )}
-                    </div>
-                  )}
-                </div>
-              </div>
-            </div>
-          );
-        })
+                      <div className={`relative overflow-hidden rounded-xl border border-white/10 ${bgColor}`}>
+                        {/* Background art */}
+                        {cardObj?.art && (
+                          <div
+                            className="absolute inset-0 opacity-30 bg-cover bg-center"
+                            style={{ backgroundImage: `url(${cardObj.art})` }}
+                            aria-hidden
+                          />
+                        )}
+                        {/* Scrim */}
+                        <div className="absolute inset-0 bg-gradient-to-r from-black/70 via-black/50 to-black/30" aria-hidden />
+                        {/* Content */}
+                        <div className="relative z-10 flex items-center gap-3 p-2">
+                          {/* Thumbnail */}
+                          {cardObj?.small ? (
+                            <img
+                              src={cardObj.small}
+                              alt={name}
+                              className="h-12 w-9 rounded-md object-cover ring-1 ring-white/10"
+                            />
+                          ) : (
+                            <div className="h-12 w-9 rounded-md bg-black/30 ring-1 ring-white/10 flex items-center justify-center text-[10px] leading-tight text-white/60">
+                              N/A
+                            </div>
+                          )}
+                          {/* Quantity + Header */}
+                          <div className="min-w-0 flex-1">
+                            <div className="flex items-center justify-between">
+                              <div className="truncate text-sm font-semibold tracking-wide">
+                                <span className="mr-2 opacity-90">{deckMap.get(name)?.quantity ?? deckMap.get(name) ?? 0}×</span>
+                                <span title={name}>{name}</span>
+                              </div>
+                              <div className="ml-2 flex items-center">
+                                {/* Mana cost string (rendered as mana symbols) */}
+                                {cardObj?.mana_cost && (
+                                  <ManaCost cost={cardObj.mana_cost} />
+                                )}
+                                {moved ? (
+                                  <span className="ml-2 rounded-full px-2 py-0.5 text-xs font-semibold bg-black/40">
+                                    {side === "A" ? "→" : "←"} {ZONE_LABELS[moveTarget] || "moved"}
+                                  </span>
+                                ) : (
+                                  <DiffBadge qa={qa} qb={qb} side={side} />
+                                )}
+                                <ValidationBadges issues={issues?.get(name)} />
+                                <OwnershipBadge entry={ownership?.get(name)} />
+                          {view.groupBy === "tag" && onEditTags && (
+                            <button
+                              type="button"
+                              className="ml-2 rounded-full bg-black/40 px-2 py-0.5 text-xs"
+                              onClick={(e) => {
+                                e.stopPropagation();
+                                onEditTags(name);
+                              }}
+                              title={`Tags: ${(tags[name] || []).join(", ") || "none"}`}
+                            >
+                              🏷
+                            </button>
+                          )}
+                              </div>
+                            </div>
+                            {/* Type line + price */}
+                            <CardSubline card={cardObj} currency={currency} />
+                          </div>
+                          {/* Tap to open modal on mobile */}
+                          {cardObj?.png && (
+                            <button
+                              className="md:hidden ml-2 rounded-lg bg-black/30 px-2 py-1 text-xs ring-1 ring-white/10"
+                              onClick={e => { e.stopPropagation(); }}
+                            >
+                              Preview
+                            </button>
+                          )}
+                        </div>
+                        {/* Hover preview image (desktop) */}
+                        {hovered === name && cardObj?.png && (
+                          <div
+                            className="fixed z-50 pointer-events-none"
+                            style={{
+                              top: `${window.scrollY + 100}px`,
+                              left: 'calc(50% - 125px)',
+                              width: '250px'
+                            }}
+                          >
+                            <img
+                              src={cardObj.png}
+                              alt={name}
+                              className="rounded-lg shadow-2xl border border-gray-300 w-full object-cover"
+                            />
+                            {cardObj.back_png && (
+                              <img
+                                src={cardObj.back_png}
+                                alt={`${name} (back)`}
+                                className="rounded-lg shadow-2xl border border-gray-300 w-full object-cover mt-2"
+                              />
+                            )}
+                          </div>
+                        )}
+                      </div>
+                    </div>
+                  </div>
+                );
+            })}
+          </div>
+        ))
+      )}
+    </div>
+  );
+};
+
+// Collapsible group header inside a DeckColumn
+const GroupHeader = ({ label, count, collapsed, onToggle }) => (
+  <button
+    type="button"
+    className="flex w-full items-center gap-2 border-b border-white/10 pb-1 text-left text-xs font-semibold text-white/80"
+    onClick={onToggle}
+    aria-expanded={!collapsed}
+  >
+    <span>{collapsed ? "▸" : "▾"}</span>
+    <span>{label}</span>
+    <span className="font-normal opacity-70">({count})</span>
+  </button>
+);
+
+// One DeckColumn per zone, with a zone header when the decks use more than the mainboard
+const ZonedDeckColumn = ({ title, deck, otherDeck, zones, ...columnProps }) => {
+  const showHeaders = zones.length > 1;
+  return (
+    <div className="space-y-4">
+      {zones.map((zone) => {
+        const count = [...deck[zone].values()].reduce((sum, q) => sum + q, 0);
+        return (
+          <div key={zone}>
+            {showHeaders && (
+              <h3 className="mb-2 text-xs font-semibold uppercase tracking-wide text-white/70">
+                {ZONE_LABELS[zone]} ({count})
+              </h3>
+            )}
+            <DeckColumn
+              title={`${title} ${ZONE_LABELS[zone]}`}
+              deckMap={deck[zone]}
+              otherDeckMap={otherDeck[zone]}
+              zone={zone}
+              {...columnProps}
+            />
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+const PlaytestButton = ({ onClick }) => (
+  <button
+    type="button"
+    className="rounded-lg bg-black/30 hover:bg-black/50 px-3 py-1 text-xs font-semibold ring-1 ring-white/10"
+    onClick={onClick}
+    title="Goldfish this deck: draw seven, mulligan and play out turns"
+  >
+    Playtest
+  </button>
+);
+
+// --- Export menus -----------------------------------------------------------
+// Small dropdown shared by the deck and diff export menus
+const ExportDropdown = ({ label, buttonClassName, children, disabledReason = null }) => {
+  const [open, setOpen] = useState(false);
+  return (
+    <div className="relative inline-block text-left">
+      <button
+        type="button"
+        className={`rounded-lg px-3 py-1 text-xs font-semibold ring-1 transition-colors disabled:cursor-not-allowed disabled:opacity-50 ${buttonClassName}`}
+        onClick={() => setOpen((v) => !v)}
+        aria-expanded={open}
+        disabled={!!disabledReason}
+        title={disabledReason || undefined}
+      >
+        {label} ▾
+      </button>
+      {open && !disabledReason && (
+        <div
+          className="absolute right-0 z-50 mt-1 w-48 rounded-lg border border-white/10 bg-slate-800 py-1 shadow-xl"
+          onClick={() => setOpen(false)}
+        >
+          {children}
+        </div>
       )}
     </div>
   );
 };
 
-const FileOrPaste = ({ label, value, setValue, example, onNameChange }) => {
+const ExportItem = ({ onClick, children }) => (
+  <button
+    type="button"
+    className="block w-full px-3 py-1.5 text-left text-xs text-white hover:bg-white/10"
+    onClick={onClick}
+  >
+    {children}
+  </button>
+);
+
+// Export a deck (A, B or merged) in any of the EXPORTERS formats
+// disabledReason: when set, the menu is disabled and the reason shown as its tooltip
+const DeckExportMenu = ({ deck, name, getCard, buttonClassName = "bg-black/30 hover:bg-black/50 ring-white/10", disabledReason = null }) => (
+  <ExportDropdown label="Export" buttonClassName={buttonClassName} disabledReason={disabledReason}>
+    {EXPORTERS.map((exp) => (
+      <ExportItem
+        key={exp.id}
+        onClick={() => {
+          const { text, fileName, mimeType } = exportDeck(exp.id, deck, { name, getCard });
+          downloadFile(text, fileName, mimeType);
+        }}
+      >
+        {exp.label}
+      </ExportItem>
+    ))}
+  </ExportDropdown>
+);
+
+// Diff report (adds, cuts, quantity changes, moves) as Markdown or HTML
+const DiffExportMenu = ({ diff, nameA, nameB }) => {
+  const opts = { nameA: fileBaseName(nameA, "Deck A"), nameB: fileBaseName(nameB, "Deck B") };
+  const fileName = `${fileBaseName(nameA, "deck_a")}_vs_${fileBaseName(nameB, "deck_b")}`;
+  return (
+    <ExportDropdown label="Diff report" buttonClassName="bg-black/30 hover:bg-black/50 ring-white/10">
+      <ExportItem onClick={() => navigator.clipboard?.writeText(renderDiffMarkdown(diff, opts))}>
+        Copy as Markdown
+      </ExportItem>
+      <ExportItem onClick={() => downloadFile(renderDiffMarkdown(diff, opts), `${fileName}.md`, "text/markdown")}>
+        Markdown (.md)
+      </ExportItem>
+      <ExportItem onClick={() => downloadFile(renderDiffHtml(diff, opts), `${fileName}.html`, "text/html")}>
+        HTML (.html)
+      </ExportItem>
+    </ExportDropdown>
+  );
+};
+
+const FileOrPaste = ({ label, value, setValue, example, onNameChange, importResult }) => {
   const fileInputRef = useRef(null);
+  const [showUnparsed, setShowUnparsed] = useState(false);
+  const unparsed = importResult?.unparsed || [];
   const [fileName, setFileName] = useState("");
   const onFile = async (e) => {
     const f = e.target.files?.[0];
@@ -1249,12 +1451,12 @@ const FileOrPaste = ({ label, value, setValue, example, onNameChange }) => {
             onClick={() => fileInputRef.current?.click()}
             className="rounded-lg bg-black/30 px-2 py-1 text-xs ring-1 ring-white/10"
           >
-            Load .txt
+            Load file
           </button>
           <input
             ref={fileInputRef}
             type="file"
-            accept=".txt,text/plain"
+            accept={IMPORT_ACCEPT}
             className="hidden"
             onChange={onFile}
           />
@@ -1266,165 +1468,608 @@ const FileOrPaste = ({ label, value, setValue, example, onNameChange }) => {
         value={value}
         onChange={(e) => setValue(e.target.value)}
       />
+      {/* Detected format and lines the importer couldn't understand */}
+      {importResult?.format && (
+        <div className="mt-1 flex items-center justify-between text-xs opacity-80">
+          <span>Format: {importResult.label}</span>
+          {unparsed.length > 0 && (
+            <button
+              type="button"
+              className="text-yellow-300 underline"
+              onClick={() => setShowUnparsed((v) => !v)}
+            >
+              {unparsed.length} unrecognized line{unparsed.length === 1 ? "" : "s"}
+            </button>
+          )}
+        </div>
+      )}
+      {showUnparsed && unparsed.length > 0 && (
+        <ul className="mt-1 max-h-24 overflow-y-auto rounded-lg bg-black/40 p-2 font-mono text-xs text-yellow-200">
+          {unparsed.map((line, i) => (
+            <li key={i} className="truncate" title={line}>{line}</li>
+          ))}
+        </ul>
+      )}
     </div>
   );
 };
 
-// Utility to add a card to a deck Map and return a new Map
-function addCard(deckMap, cardObj) {
-  const name = cardObj?.name;
-  if (!name) return new Map(deckMap);
-  const normalized = normalizeName(name);
-  const updated = new Map(deckMap);
-  let found = false;
-  for (const key of updated.keys()) {
-    if (normalizeName(key) === normalized) {
-      updated.set(key, (updated.get(key) || 0) + 1);
-      found = true;
-      break;
-    }
-  }
-  if (!found) updated.set(name, 1);
-  return updated;
-}
+// --- MultiDeckView: N-way comparison matrix with a pick-from-any-deck merge ---
+const MAX_MULTI_DECKS = 8;
+const newMultiDeck = (n, text = "", name = `Deck ${n}`) => ({
+  id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+  name,
+  text,
+});
+
+function MultiDeckView({ decks, setDecks, choices, setChoices, parsedDecks, getCard }) {
+  const [collapsed, setCollapsed] = useState({});
+  // Empty slots don't take part in the comparison ("in all" means all loaded decks)
+  const activeDecks = useMemo(() => parsedDecks.filter((d) => !isEmptyDeck(d.deck)), [parsedDecks]);
+  const matrix = useMemo(() => computeDeckMatrix(activeDecks), [activeDecks]);
+  const merged = useMemo(() => computeMultiMerge(matrix, activeDecks, choices), [matrix, activeDecks, choices]);
+  const nameOf = (id) => decks.find((d) => d.id === id)?.name || "Deck";
+
+  const updateDeck = (id, patch) => setDecks((prev) => prev.map((d) => (d.id === id ? { ...d, ...patch } : d)));
+  const removeDeck = (id) => setDecks((prev) => prev.filter((d) => d.id !== id));
+  const addDeck = () => setDecks((prev) => [...prev, newMultiDeck(prev.length + 1)]);
+
+  // Click a quantity cell to take the card from that deck; click again to leave it out
+  const pick = (row, deckId) => {
+    const current = choices[row.key] ?? defaultMultiChoice(row, activeDecks);
+    setChoices((prev) => ({ ...prev, [row.key]: current === deckId ? "none" : deckId }));
+  };
+
+  // Sections: in all decks, in some, then one per deck for its unique cards
+  const sections = [
+    { id: "all", title: "In all decks", rows: matrix.filter((r) => r.group === "all") },
+    { id: "some", title: "In some decks", rows: matrix.filter((r) => r.group === "some") },
+    ...activeDecks.map((d) => ({
+      id: `unique-${d.id}`,
+      title: `Unique to ${nameOf(d.id)}`,
+      rows: matrix.filter((r) => r.group === "unique" && r.uniqueTo === d.id),
+    })),
+  ].filter((sec) => sec.rows.length > 0);
+
+  return (
+    <div className="space-y-6">
+      <div className="grid gap-4 md:grid-cols-2 xl:grid-cols-3">
+        {decks.map((d, i) => (
+          <div key={d.id} className="relative">
+            <FileOrPaste
+              label={d.name}
+              value={d.text}
+              setValue={(text) => updateDeck(d.id, { text })}
+              onNameChange={(name) => updateDeck(d.id, { name })}
+              importResult={parsedDecks[i]?.importResult}
+              example={`Deck ${i + 1}:\n1 Sol Ring\n1 Arcane Signet`}
+            />
+            {decks.length > 2 && (
+              <button
+                type="button"
+                className="absolute -right-2 -top-2 rounded-full bg-slate-700 px-2 text-xs ring-1 ring-white/20 hover:bg-red-700"
+                onClick={() => removeDeck(d.id)}
+                title="Remove deck"
+              >
+                ×
+              </button>
+            )}
+          </div>
+        ))}
+        {decks.length < MAX_MULTI_DECKS && (
+          <button
+            type="button"
+            className="flex min-h-32 items-center justify-center rounded-2xl border-2 border-dashed border-white/20 text-sm text-white/60 hover:border-white/40 hover:text-white/80"
+            onClick={addDeck}
+          >
+            + Add deck
+          </button>
+        )}
+      </div>
 
-function generateDeckText(deckMap) {
-  // Produces .txt format: '2 Lightning Bolt\n1 Island'
-  return Array.from(deckMap.entries())
-    .map(([name, qty]) => `${qty} ${name}`)
-    .join('\n');
+      {activeDecks.length >= 2 && (
+        <>
+          <div className="flex items-center gap-4 text-xs">
+            {sections.map((sec) => (
+              <span key={sec.id} className="rounded-lg bg-white/5 px-2 py-1 ring-1 ring-white/10">
+                {sec.title}: <span className="font-bold">{sec.rows.length}</span>
+              </span>
+            ))}
+            <span className="ml-auto flex items-center gap-2">
+              Merged: <span className="font-bold">{deckCount(merged)}</span> cards
+              <DeckExportMenu
+                deck={merged}
+                name="merged_deck"
+                getCard={getCard}
+                buttonClassName="bg-blue-700 hover:bg-blue-600 ring-blue-400"
+              />
+            </span>
+          </div>
+          <div className="overflow-x-auto rounded-2xl border border-white/10">
+            <table className="w-full text-sm">
+              <thead className="bg-slate-900/80 text-xs uppercase tracking-wide text-white/70">
+                <tr>
+                  <th className="px-3 py-2 text-left">Card</th>
+                  {activeDecks.map((d) => (
+                    <th key={d.id} className="px-2 py-2 text-center">{nameOf(d.id)}</th>
+                  ))}
+                  <th className="px-2 py-2 text-center">Merge</th>
+                </tr>
+              </thead>
+              {sections.map((sec) => (
+                <tbody key={sec.id}>
+                  <tr
+                    className="cursor-pointer bg-white/5 hover:bg-white/10"
+                    onClick={() => setCollapsed((prev) => ({ ...prev, [sec.id]: !prev[sec.id] }))}
+                  >
+                    <td colSpan={activeDecks.length + 2} className="px-3 py-1 text-xs font-semibold">
+                      {collapsed[sec.id] ? "▸" : "▾"} {sec.title} ({sec.rows.length})
+                    </td>
+                  </tr>
+                  {!collapsed[sec.id] && sec.rows.map((row) => {
+                    const card = getCard(row.name);
+                    const choice = choices[row.key] ?? defaultMultiChoice(row, activeDecks);
+                    const chosenIndex = activeDecks.findIndex((d) => d.id === choice);
+                    return (
+                      <tr key={row.key} className="border-t border-white/5">
+                        <td className="px-3 py-1">
+                          <span className="flex items-center gap-2">
+                            <span className="truncate" title={row.name}>{row.name}</span>
+                            {row.zone !== "mainboard" && (
+                              <span className="rounded bg-black/40 px-1 text-[10px] uppercase opacity-70">
+                                {ZONE_LABELS[row.zone]}
+                              </span>
+                            )}
+                            {card?.mana_cost && <ManaCost cost={card.mana_cost} />}
+                          </span>
+                        </td>
+                        {row.qtys.map((q, i) => (
+                          <td key={activeDecks[i].id} className="px-2 py-1 text-center">
+                            {q > 0 ? (
+                              <button
+                                type="button"
+                                className={`min-w-8 rounded px-2 font-mono text-xs ring-1 ${chosenIndex === i ? "bg-blue-700 ring-blue-400" : "bg-black/30 ring-white/10 hover:bg-black/50"}`}
+                                onClick={() => pick(row, activeDecks[i].id)}
+                                aria-pressed={chosenIndex === i}
+                                title={`Take ${q} from ${nameOf(activeDecks[i].id)}`}
+                              >
+                                {q}
+                              </button>
+                            ) : (
+                              <span className="opacity-30">–</span>
+                            )}
+                          </td>
+                        ))}
+                        <td className="px-2 py-1 text-center font-mono text-xs">
+                          {chosenIndex >= 0 ? row.qtys[chosenIndex] : <span className="opacity-30">–</span>}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              ))}
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
 }
 
 export default function App() {
-  // Remove card from deck handler
-  const removeCardFromDeck = (deckName, name) => {
-    if (deckName === "A") {
-      const updated = new Map(deckA);
-      if (updated.has(name)) {
-        let val = updated.get(name);
-        if (typeof val === "object" && val.quantity !== undefined) {
-          val = { ...val, quantity: Math.max(0, val.quantity - 1) };
-          if (val.quantity <= 0) {
-            updated.delete(name);
-          } else {
-            updated.set(name, val);
-          }
-        } else {
-          // fallback to numeric
-          if (val <= 1) updated.delete(name);
-          else updated.set(name, val - 1);
-        }
-      }
-      setDeckA(updated);
-      setDeckAText(generateDeckText(updated));
-    } else if (deckName === "B") {
-      const updated = new Map(deckB);
-      if (updated.has(name)) {
-        let val = updated.get(name);
-        if (typeof val === "object" && val.quantity !== undefined) {
-          val = { ...val, quantity: Math.max(0, val.quantity - 1) };
-          if (val.quantity <= 0) {
-            updated.delete(name);
-          } else {
-            updated.set(name, val);
-          }
-        } else {
-          if (val <= 1) updated.delete(name);
-          else updated.set(name, val - 1);
-        }
-      }
-      setDeckB(updated);
-      setDeckBText(generateDeckText(updated));
-    }
+  // Remove card from deck handler; name is the canonical name shown in the columns
+  const removeCardFromDeck = (deckName, name, zone = "mainboard") => {
+    editParsedDeck(deckName, (deck) => {
+      const parsedName = parsedNameOf(deck, zone, name, get);
+      return parsedName ? removeCard(deck, parsedName, zone) : deck;
+    });
   };
-  const [deckAText, setDeckAText] = useState("");
-  const [deckBText, setDeckBText] = useState("");
-  const [deckA, setDeckA] = useState(new Map());
-  const [deckB, setDeckB] = useState(new Map());
-  const [deckAName, setDeckAName] = useState("Deck A");
-  const [deckBName, setDeckBName] = useState("Deck B");
+  // Decks linked to the library are restored from it on page load
+  const [deckAText, setDeckAText] = useState(() => linkedSlotState("A")?.text || "");
+  const [deckBText, setDeckBText] = useState(() => linkedSlotState("B")?.text || "");
+  // Decks as parsed; deckA/deckB below are these keyed on resolved card identity
+  const [parsedDeckA, setDeckA] = useState(() => emptyDeck());
+  const [parsedDeckB, setDeckB] = useState(() => emptyDeck());
+  const [deckAName, setDeckAName] = useState(() => linkedSlotState("A")?.name || "Deck A");
+  const [deckBName, setDeckBName] = useState(() => linkedSlotState("B")?.name || "Deck B");
   const [showMerge, setShowMerge] = useState(false);
+  // Column grouping / sort and custom card tags
+  const [columnView, setColumnView] = useState(() => loadColumnView());
+  useEffect(() => saveColumnView(columnView), [columnView]);
+  const [cardTags, setCardTags] = useState(() => loadCardTags());
+  useEffect(() => saveCardTags(cardTags), [cardTags]);
+  const editCardTags = (name) => {
+    const text = window.prompt(`Tags for ${name} (comma separated)`, (cardTags[name] || []).join(", "));
+    if (text == null) return;
+    setCardTags((prev) => {
+      const next = { ...prev };
+      const tags = parseTags(text);
+      if (tags.length > 0) next[name] = tags;
+      else delete next[name];
+      return next;
+    });
+  };
+  // Filter bar over the columns and the merged list; the summary boxes set its status
+  const [columnFilter, setColumnFilter] = useState(EMPTY_COLUMN_FILTER);
+  const toggleStatusFilter = (status) =>
+    setColumnFilter((f) => ({ ...f, status: f.status === status ? "" : status }));
+  const statusBoxProps = (status) => ({
+    role: "button",
+    tabIndex: 0,
+    "aria-pressed": columnFilter.status === status,
+    title: columnFilter.status === status ? "Show all cards" : "Show only these cards",
+    onClick: () => toggleStatusFilter(status),
+    onKeyDown: (e) => {
+      if (e.key === " " || e.key === "Enter") toggleStatusFilter(status);
+    },
+  });
+  const statusBoxClass = (status) => `cursor-pointer select-none ${columnFilter.status === status ? "ring-2 ring-white" : ""}`;
+  // Deck being playtested: { deck, name } or null
+  const [playtest, setPlaytest] = useState(null);
   const [mergeChoices, setMergeChoices] = useState(() => loadMergeChoices());
   // --- New state for cards selected for merge
   const [selectedForMerge, setSelectedForMerge] = useState({});
+  // Format the decks are validated against ("auto": Commander when a commander is set)
+  const [format, setFormat] = useState(() => loadFormat());
+  useEffect(() => saveFormat(format), [format]);
+  // Imported card collection, checked against the cards B adds
+  const [collection, setCollection] = useState(() => loadCollection());
+  useEffect(() => saveCollection(collection), [collection]);
+  // Currency for card prices and totals
+  const [currency, setCurrency] = useState(() => loadCurrency());
+  useEffect(() => saveCurrency(currency), [currency]);
+  // Manual additions, removals and quantity overrides on top of the computed merge
+  const [storedMergeEdits, setStoredMergeEdits] = useState(() => loadMergeEdits());
+
+  // Update deckA/deckB zoned decks when deckAText/deckBText changes; the importer
+  // detects the format (plain text, Arena, MTGO .dek, CSV, ...)
+  const importA = useMemo(() => importDeck(deckAText), [deckAText]);
+  const importB = useMemo(() => importDeck(deckBText), [deckBText]);
+  useEffect(() => setDeckA(importA.deck), [importA]);
+  useEffect(() => setDeckB(importB.deck), [importB]);
+
+  // --- N-deck mode: compare any number of decks in one matrix
+  const [multiMode, setMultiMode] = useState(false);
+  const [multiDecks, setMultiDecks] = useState([]);
+  const [multiChoices, setMultiChoices] = useState({});
+  const parsedMultiDecks = useMemo(
+    () => multiDecks.map((d) => {
+      const importResult = importDeck(d.text);
+      return { id: d.id, deck: importResult.deck, importResult };
+    }),
+    [multiDecks]
+  );
+  // Entering N-deck mode starts from the current A and B
+  const toggleMultiMode = () => {
+    if (!multiMode && multiDecks.length === 0) {
+      setMultiDecks([
+        newMultiDeck(1, deckAText, deckAName),
+        newMultiDeck(2, deckBText, deckBName),
+        newMultiDeck(3),
+      ]);
+    }
+    setMultiMode((v) => !v);
+  };
 
-  // Update deckA/deckB Map objects when deckAText/deckBText changes
-  useEffect(() => setDeckA(parseDeckText(deckAText)), [deckAText]);
-  useEffect(() => setDeckB(parseDeckText(deckBText)), [deckBText]);
+  // Optional common ancestor of A and B; when loaded, the merge view does a three-way merge
+  const [baseText, setBaseText] = useState("");
+  const [showBaseInput, setShowBaseInput] = useState(false);
+  const importBase = useMemo(() => importDeck(baseText), [baseText]);
+  const hasBase = !isEmptyDeck(importBase.deck);
+
+  const allNames = useMemo(
+    () =>
+      multiMode
+        ? deckNames(...parsedMultiDecks.map((d) => d.deck))
+        : deckNames(parsedDeckA, parsedDeckB, importBase.deck),
+    [multiMode, parsedMultiDecks, parsedDeckA, parsedDeckB, importBase]
+  );
+  // Known set/collector numbers let the resolver fetch the exact printing
+  const allPrintings = useMemo(() => {
+    const decks = multiMode ? parsedMultiDecks.map((d) => d.deck) : [parsedDeckA, parsedDeckB, importBase.deck];
+    return new Map(decks.flatMap((d) => [...d.printings]));
+  }, [multiMode, parsedMultiDecks, parsedDeckA, parsedDeckB, importBase]);
+  const offlineDb = useOfflineDb();
+  const { get, loading, unresolved, retry, stats: cacheStats, clearCache } = useScryfall(allNames, allPrintings);
+
+  // The diff, merge and columns compare cards by oracle identity, not by spelling:
+  // "Fire/Ice" vs "Fire // Ice", an MDFC front face vs its full name, or a localized
+  // name all become the same card once Scryfall has resolved them
+  const deckA = useMemo(() => canonicalizeDeck(parsedDeckA, get), [parsedDeckA, get]);
+  const deckB = useMemo(() => canonicalizeDeck(parsedDeckB, get), [parsedDeckB, get]);
+  const baseDeck = useMemo(() => canonicalizeDeck(importBase.deck, get), [importBase, get]);
+  const multiDeckViews = useMemo(
+    () => parsedMultiDecks.map((d) => ({ ...d, deck: canonicalizeDeck(d.deck, get) })),
+    [parsedMultiDecks, get]
+  );
+
+  // Edit the A or B deck as parsed, keeping the names and printings the user typed, and
+  // write it back to its textarea. Columns show canonical names; map them back with
+  // parsedNameOf before editing.
+  const editParsedDeck = (slot, edit) => {
+    const [deck, setDeck, setText] = slot === "A" ? [parsedDeckA, setDeckA, setDeckAText] : [parsedDeckB, setDeckB, setDeckBText];
+    const updated = edit(deck);
+    if (updated === deck) return;
+    setDeck(updated);
+    setText(generateDeckText(updated));
+  };
 
-  const allNames = useMemo(() => unionNames(deckA, deckB), [deckA, deckB]);
-  const { get, loading } = useScryfall(allNames);
+  // Swap an unresolved name for a suggestion in both decks
+  const replaceCardName = (from, to) => {
+    ["A", "B"].forEach((slot) =>
+      editParsedDeck(slot, (deck) => (deckNames(deck).includes(from) ? renameCard(deck, from, to) : deck))
+    );
+  };
+
+  // Conflict resolutions only count for the base deck they were picked against
+  const [threeWay, setThreeWay] = useState(() => loadThreeWay());
+  useEffect(() => saveThreeWay(threeWay), [threeWay]);
+  const baseSignature = useMemo(() => generateDeckText(importBase.deck), [importBase]);
+  const threeWayChoices = threeWay.base === baseSignature ? threeWay.choices : EMPTY_THREE_WAY.choices;
+  const threeWayResult = useMemo(
+    () => (hasBase ? computeThreeWayMerge(baseDeck, deckA, deckB, threeWayChoices) : null),
+    [hasBase, baseDeck, deckA, deckB, threeWayChoices]
+  );
+  const threeWayMerge = showMerge ? threeWayResult : null;
+  // Exports of the merge wait until every conflict has been picked
+  const mergeExportBlocked =
+    threeWayMerge?.unresolved > 0
+      ? `Resolve ${threeWayMerge.unresolved} conflict${threeWayMerge.unresolved === 1 ? "" : "s"} before exporting`
+      : null;
 
-  const equalCount = useMemo(() => allNames.filter((n) => computeStatus(deckA.get(n), deckB.get(n)) === "equal").length, [allNames, deckA, deckB]);
-  const onlyA = useMemo(() => allNames.filter((n) => computeStatus(deckA.get(n), deckB.get(n)) === "onlyA").length, [allNames, deckA, deckB]);
-  const onlyB = useMemo(() => allNames.filter((n) => computeStatus(deckA.get(n), deckB.get(n)) === "onlyB").length, [allNames, deckA, deckB]);
-  const diffs = useMemo(() => allNames.filter((n) => computeStatus(deckA.get(n), deckB.get(n)) === "diff").length, [allNames, deckA, deckB]);
+  // Zone-aware diff: counts per (zone, card), with zone changes reported as moves
+  const deckDiff = useMemo(() => computeDeckDiff(deckA, deckB), [deckA, deckB]);
+  const { equal: equalCount, onlyA, onlyB, diff: diffs, moved } = deckDiff.counts;
 
   // Compute merged deck rows for display
   // --- Custom mergedDeckRows for merge mode with selectedForMerge
-  const mergedDeckRows = useMemo(() => {
-    if (!showMerge) {
-      return computeMergedDeck(deckA, deckB, mergeChoices);
+  // Rows of the merge view, also computed while it's hidden so edits made from outside
+  // it (dropping a card on the merged deck) apply to the rows it will show
+  const mergeViewRows = useMemo(() => {
+    // Three-way merge against the base deck: auto-apply one-sided changes, flag conflicts
+    if (threeWayResult) {
+      return threeWayResult.rows.filter((row) => row.qty > 0 || row.status === "conflict");
     }
-    // Cards present in both decks (intersection)
-    const both = allNames.filter(
-      (n) => deckA.has(n) && deckB.has(n)
-    );
-    // Cards selected for merge (from either deck, not already in both)
-    const selected = Object.keys(selectedForMerge).filter(
-      (n) =>
-        selectedForMerge[n] &&
-        ((deckA.has(n) && !deckB.has(n)) || (deckB.has(n) && !deckA.has(n)))
-    );
-    const mergedNames = [...both, ...selected].sort((a, b) => a.localeCompare(b));
-    return mergedNames.map((name) => {
-      const qa = deckA.get(name) || 0;
-      const qb = deckB.get(name) || 0;
-      // For cards in both, use merged computation
-      if (deckA.has(name) && deckB.has(name)) {
-        let options = [];
-        let defaultChoice = null;
-        if (qa === qb) {
-          options = ["A", "B"];
-          defaultChoice = "A";
-        } else {
-          options = ["A", "B", "Both"];
-          defaultChoice = "Both";
+    const rows = [];
+    for (const zone of ZONES) {
+      const a = deckA[zone];
+      const b = deckB[zone];
+      // Cards present in both decks (intersection), plus cards selected for merge
+      // from either deck (not already in both)
+      const mergedNames = unionNames(a, b).filter(
+        (n) => (a.has(n) && b.has(n)) || selectedForMerge[zoneKey(zone, n)]
+      );
+      mergedNames.forEach((name) => {
+        rows.push(computeMergeRow(zone, name, a.get(name) || 0, b.get(name) || 0, mergeChoices));
+      });
+    }
+    return rows.filter((row) => row.qty > 0);
+  }, [deckA, deckB, mergeChoices, selectedForMerge, threeWayResult]);
+  const computedMergeRows = useMemo(
+    () => (showMerge ? mergeViewRows : computeMergedDeck(deckA, deckB, mergeChoices)),
+    [showMerge, mergeViewRows, deckA, deckB, mergeChoices]
+  );
+  // Manual edits only apply to the A/B pair and base deck they were made on
+  const editsScope = useMemo(
+    () => mergeEditsScope(parsedDeckA, parsedDeckB, hasBase ? importBase.deck : null),
+    [parsedDeckA, parsedDeckB, hasBase, importBase]
+  );
+  const mergeEdits = storedMergeEdits.decks === editsScope ? storedMergeEdits.edits : EMPTY_MERGE_EDITS.edits;
+  const setMergeEdits = (update) =>
+    setStoredMergeEdits((prev) => {
+      const current = prev.decks === editsScope ? prev.edits : {};
+      return { decks: editsScope, edits: typeof update === "function" ? update(current) : update };
+    });
+  // What the merged column shows and exports: the computed merge plus manual edits. Each
+  // row carries its A/B diff status for the filter bar; cards added by hand that are in
+  // neither deck have none and count as "added".
+  const mergedDeckRows = useMemo(
+    () =>
+      applyMergeEdits(computedMergeRows, mergeEdits).map((row) => ({
+        ...row,
+        diffStatus: deckDiff.entries.get(row.key)?.status ?? "added",
+      })),
+    [computedMergeRows, mergeEdits, deckDiff]
+  );
+
+  // Merged commander + mainboard only, for the stats panel
+  const mergedPlayableRows = useMemo(
+    () => mergedDeckRows.filter((row) => row.zone === "commander" || row.zone === "mainboard"),
+    [mergedDeckRows]
+  );
+  // Merged rows as a deck object, for exports
+  const mergedDeck = useMemo(() => deckFromRows(mergedDeckRows, deckA, deckB), [mergedDeckRows, deckA, deckB]);
+  // Merged rows passing the filter bar
+  const shownMergedRows = useMemo(
+    () => mergedDeckRows.filter((row) => matchesColumnFilter(row.name, row.diffStatus, columnFilter, get)),
+    [mergedDeckRows, columnFilter, get]
+  );
+  // Format checks for A, B and the merge: { label, problems, cardIssues } or null
+  const validationA = useMemo(() => validateForFormat(deckA, format, get), [deckA, format, get]);
+  const validationB = useMemo(() => validateForFormat(deckB, format, get), [deckB, format, get]);
+  const validationMerged = useMemo(
+    () => (showMerge ? validateForFormat(mergedDeck, format, get) : null),
+    [showMerge, mergedDeck, format, get]
+  );
+  // Deck totals and the cost of the cards B adds over A
+  const priceA = useMemo(() => deckPrice(deckA, get, currency), [deckA, get, currency]);
+  const priceB = useMemo(() => deckPrice(deckB, get, currency), [deckB, get, currency]);
+  const priceMerged = useMemo(() => deckPrice(mergedDeck, get, currency), [mergedDeck, get, currency]);
+  const upgrade = useMemo(() => upgradeCost(deckA, deckB, get, currency), [deckA, deckB, get, currency]);
+  // Which cards B (or the merge) adds over A are already in the collection
+  const needsB = useMemo(() => collectionNeeds(deckA, deckB, collection), [deckA, deckB, collection]);
+  const needsMerged = useMemo(
+    () => (showMerge ? collectionNeeds(deckA, mergedDeck, collection) : new Map()),
+    [showMerge, deckA, mergedDeck, collection]
+  );
+  const toBuy = useMemo(() => shoppingList(showMerge ? needsMerged : needsB), [showMerge, needsMerged, needsB]);
+  const playableA = useMemo(() => playableMap(deckA), [deckA]);
+  const playableB = useMemo(() => playableMap(deckB), [deckB]);
+
+  // --- Permalink: restore a shared comparison from the URL fragment
+  useEffect(() => {
+    const restore = async () => {
+      const shared = await decodeShareState(readShareHash());
+      if (!shared) return;
+      setDeckAText(shared.deckAText);
+      setDeckBText(shared.deckBText);
+      setBaseText(shared.baseText);
+      setDeckAName(shared.deckAName);
+      setDeckBName(shared.deckBName);
+      setMergeChoices(shared.mergeChoices);
+      setSelectedForMerge(shared.selectedForMerge);
+      const sharedBase = importDeck(shared.baseText).deck;
+      setStoredMergeEdits({
+        decks: mergeEditsScope(
+          importDeck(shared.deckAText).deck,
+          importDeck(shared.deckBText).deck,
+          isEmptyDeck(sharedBase) ? null : sharedBase
+        ),
+        edits: shared.mergeEdits,
+      });
+      setThreeWay({ base: generateDeckText(sharedBase), choices: shared.threeWayChoices });
+      setShowMerge(shared.showMerge);
+      // Shared decks aren't library decks; don't record them as versions
+      setLibraryLinks({ A: null, B: null });
+      clearShareHash();
+    };
+    restore();
+    window.addEventListener("hashchange", restore);
+    return () => window.removeEventListener("hashchange", restore);
+  }, []);
+
+  // --- Deck library: saved decks with version history
+  const { library, saveDeck, recordVersion, renameDeck, deleteDeck } = useDeckLibrary();
+  // Which library deck/version each slot is showing; edits to a linked slot become new versions
+  const [libraryLinks, setLibraryLinks] = useState(() => loadLibraryLinks());
+  // Read by the version recorder below, which only reruns when the decks change
+  const libraryLinksRef = useRef(libraryLinks);
+  useEffect(() => {
+    libraryLinksRef.current = libraryLinks;
+    saveLibraryLinks(libraryLinks);
+  }, [libraryLinks]);
+
+  // Record edits (textarea, addCardToDeck/removeCardFromDeck) to linked decks as new versions
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      const links = libraryLinksRef.current;
+      const next = { ...links };
+      let changed = false;
+      [["A", parsedDeckA], ["B", parsedDeckB]].forEach(([slot, deck]) => {
+        const link = links[slot];
+        if (!link) return;
+        const versionId = recordVersion(link.deckId, deckVersionText(deck), link.versionId);
+        if (versionId !== link.versionId) {
+          next[slot] = versionId ? { ...link, versionId } : null;
+          changed = true;
         }
-        const choice = mergeChoices[name] || defaultChoice;
-        let qty = 0;
-        if (choice === "A") qty = qa;
-        else if (choice === "B") qty = qb;
-        else if (choice === "Both") qty = qa + qb;
-        return { name, qty, choice, options, qa, qb };
-      }
-      // For cards selected from A or B only
-      let options = [];
-      let defaultChoice = null;
-      if (qa > 0) {
-        options = ["A"];
-        defaultChoice = "A";
-      } else if (qb > 0) {
-        options = ["B"];
-        defaultChoice = "B";
-      }
-      const choice = mergeChoices[name] || defaultChoice;
-      let qty = 0;
-      if (choice === "A") qty = qa;
-      else if (choice === "B") qty = qb;
-      return { name, qty, choice, options, qa, qb };
-    }).filter((row) => row.qty > 0);
-  }, [showMerge, deckA, deckB, mergeChoices, selectedForMerge, allNames]);
+      });
+      if (changed) setLibraryLinks(next);
+    }, VERSION_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [parsedDeckA, parsedDeckB, recordVersion]);
+
+  // deck is the parsed deck, the same one the version recorder above reads
+  const slotSetters = {
+    A: { deck: parsedDeckA, setText: setDeckAText, setName: setDeckAName, name: deckAName },
+    B: { deck: parsedDeckB, setText: setDeckBText, setName: setDeckBName, name: deckBName },
+  };
+  const handleLibrarySave = (slot) => {
+    const { deck, name } = slotSetters[slot];
+    const deckName = window.prompt("Save deck as", fileBaseName(name, `Deck ${slot}`));
+    if (!deckName) return;
+    const link = saveDeck(deckName, deckVersionText(deck));
+    slotSetters[slot].setName(deckName);
+    setLibraryLinks((prev) => ({ ...prev, [slot]: link }));
+  };
+  const handleLibraryLoad = (slot, deckId, versionId) => {
+    const version = findVersion(library, deckId, versionId);
+    if (!version) return;
+    const index = library[deckId].versions.indexOf(version) + 1;
+    slotSetters[slot].setText(version.text);
+    slotSetters[slot].setName(`${library[deckId].name} v${index}`);
+    setLibraryLinks((prev) => ({ ...prev, [slot]: { deckId, versionId } }));
+  };
+  const handleLibraryDelete = (deckId) => {
+    deleteDeck(deckId);
+    setLibraryLinks((prev) => ({
+      A: prev.A?.deckId === deckId ? null : prev.A,
+      B: prev.B?.deckId === deckId ? null : prev.B,
+    }));
+  };
+  const handleCollectionImport = (text, fileName) => {
+    const { collection: imported, label, unparsed } = parseCollection(text, fileName);
+    setCollection(imported);
+    return { label, unparsed, count: collectionSize(imported).total };
+  };
+  // Loading a file replaces the slot's deck, so it no longer tracks the library deck
+  const handleFileName = (slot, name) => {
+    slotSetters[slot].setName(name);
+    setLibraryLinks((prev) => ({ ...prev, [slot]: null }));
+  };
+
+  const [shareStatus, setShareStatus] = useState("");
+  // Encode the current comparison into the URL and copy it
+  const handleShare = async () => {
+    const payload = await encodeShareState({
+      deckAText: generateDeckText(deckA),
+      deckBText: generateDeckText(deckB),
+      baseText: hasBase ? generateDeckText(importBase.deck) : "",
+      deckAName,
+      deckBName,
+      mergeChoices,
+      selectedForMerge,
+      mergeEdits,
+      threeWayChoices: hasBase ? threeWayChoices : {},
+      showMerge,
+    });
+    const url = buildShareUrl(payload);
+    window.history.replaceState(null, "", url);
+    try {
+      await navigator.clipboard.writeText(url);
+      setShareStatus("Link copied!");
+    } catch {
+      setShareStatus("Link in address bar");
+    }
+    setTimeout(() => setShareStatus(""), 2000);
+  };
 
   // Save mergeChoices to localStorage when changed
   useEffect(() => {
     saveMergeChoices(mergeChoices);
   }, [mergeChoices]);
+  useEffect(() => {
+    saveMergeEdits(storedMergeEdits);
+  }, [storedMergeEdits]);
+
+  // Change a merged card's quantity by delta; an edit back to the computed quantity is dropped.
+  // Measured against the merge view's rows, whether or not it's showing yet.
+  const editMergedQty = (zone, name, delta) => {
+    const key = zoneKey(zone, name);
+    const computed = mergeViewRows.find((row) => row.key === key)?.qty || 0;
+    setMergeEdits((prev) => {
+      const qty = Math.max(0, (key in prev ? prev[key] : computed) + delta);
+      const next = { ...prev };
+      if (qty === computed) delete next[key];
+      else next[key] = qty;
+      return next;
+    });
+  };
+  const resetMergeEdit = (key) =>
+    setMergeEdits((prev) => {
+      const next = { ...prev };
+      delete next[key];
+      return next;
+    });
 
   // Reset merge choices if deckA or deckB changes drastically
   useEffect(() => {
+    // Names settle once resolution finishes; don't drop choices keyed on canonical names before that
+    if (loading) return;
     // Remove merge choices for cards that no longer exist
-    const validNames = new Set(unionNames(deckA, deckB));
+    const validNames = new Set(
+      ZONES.flatMap((zone) => unionNames(deckA[zone], deckB[zone]).map((n) => zoneKey(zone, n)))
+    );
     const filtered = {};
     for (const k in mergeChoices) {
       if (validNames.has(k)) filtered[k] = mergeChoices[k];
@@ -1441,22 +2086,33 @@ export default function App() {
       return filteredSel;
     });
     // eslint-disable-next-line
-  }, [deckA, deckB]);
+  }, [deckA, deckB, loading]);
 
   // Handler for merge choice change
-  const handleMergeChoice = (name, value) => {
-    setMergeChoices((prev) => ({ ...prev, [name]: value }));
+  const handleMergeChoice = (key, value) => {
+    if (threeWayMerge) {
+      setThreeWay((prev) => ({
+        base: baseSignature,
+        choices: { ...(prev.base === baseSignature ? prev.choices : {}), [key]: value },
+      }));
+      return;
+    }
+    setMergeChoices((prev) => ({ ...prev, [key]: value }));
   };
 
   // --- Merge logic helpers
-  // A card is eligible for merge selection if it is present in only one deck (A or B, not both)
-  const eligibleForMerge = (name) =>
-    (deckA.has(name) && !deckB.has(name)) || (deckB.has(name) && !deckA.has(name));
+  // A card is eligible for merge selection if, within its zone, it is present in only
+  // one deck (A or B, not both). Keys are zoneKey(zone, name).
+  const eligibleForMerge = (key) => {
+    const { zone, name } = splitZoneKey(key);
+    if (!deckA[zone] || !deckB[zone]) return false;
+    return deckA[zone].has(name) !== deckB[zone].has(name);
+  };
   // Toggle selection for merge
-  const handleToggleSelectForMerge = (name) => {
+  const handleToggleSelectForMerge = (key) => {
     setSelectedForMerge((prev) => ({
       ...prev,
-      [name]: !prev[name],
+      [key]: !prev[key],
     }));
   };
 
@@ -1466,267 +2122,592 @@ export default function App() {
   };
 
   // Handler for drag-and-drop: add card to deck by name
-  const addCardToDeck = (deckName, cardObj) => {
-    if (deckName === "A") {
-      const updated = addCard(deckA, cardObj);
-      setDeckA(updated);
-      setDeckAText(generateDeckText(updated));
-    } else if (deckName === "B") {
-      const updated = addCard(deckB, cardObj);
-      setDeckB(updated);
-      setDeckBText(generateDeckText(updated));
-    } else if (deckName === "C") {
-      const updated = addCard(deckA, cardObj);
-      setDeckA(updated);
-      setDeckAText(generateDeckText(updated));
+  const addCardToDeck = (deckName, cardObj, zone = "mainboard") => {
+    if (deckName === "A" || deckName === "B") {
+      // Add to the entry already holding this card, however the list spells it
+      editParsedDeck(deckName, (deck) => {
+        const parsedName = cardObj?.name && parsedNameOf(deck, zone, cardObj.name, get);
+        return addCard(deck, parsedName ? { ...cardObj, name: parsedName } : cardObj, zone);
+      });
+    } else if (deckName === "C" && cardObj?.name) {
+      // The merged deck is edited in place, so the merge view has to be visible
+      editMergedQty(zone, cardObj.name, 1);
+      setShowMerge(true);
     }
   };
 
   // Only show merge toggle if both decks are loaded (non-empty)
-  const canShowMerge = deckA.size > 0 && deckB.size > 0;
+  const hasDeckA = !isEmptyDeck(deckA);
+  const hasDeckB = !isEmptyDeck(deckB);
+  const canShowMerge = hasDeckA && hasDeckB;
+  // Zones rendered in the columns; mainboard is always there as a drop target
+  const shownZones = ZONES.filter((z) => z === "mainboard" || deckA[z].size > 0 || deckB[z].size > 0);
+  // Decks compared in the draw odds panel
+  const oddsDecks = useMemo(
+    () => [
+      { label: "A", deck: deckA },
+      ...(hasDeckB ? [{ label: "B", deck: deckB }] : []),
+      ...(showMerge ? [{ label: "Merged", deck: mergedDeck }] : []),
+    ],
+    [deckA, deckB, hasDeckB, showMerge, mergedDeck]
+  );
 
   return (
     <div className="min-h-screen bg-gradient-to-b from-slate-900 to-slate-950 text-white">
       {/* Left: CardSearchPanel */}
-      <CardSearchPanel onAddCard={handleAddCard} getCard={get} />
+      <CardSearchPanel
+        onAddCard={handleAddCard}
+        getCard={get}
+        offlineDb={offlineDb}
+        cacheStats={cacheStats}
+        onClearCache={clearCache}
+      />
       {/* Right: ManaCurvePanel */}
       <ManaCurvePanel
-        deckA={deckA}
-        deckB={deckB}
-        mergedDeck={mergedDeckRows}
+        deckA={playableA}
+        deckB={playableB}
+        mergedDeck={mergedPlayableRows}
         getCard={get}
         showMerge={showMerge}
-      />
+      >
+        <DrawOddsPanel decks={oddsDecks} getCard={get} />
+      </ManaCurvePanel>
+      {playtest && (
+        <Playtester deck={playtest.deck} name={playtest.name} getCard={get} onClose={() => setPlaytest(null)} />
+      )}
       <header className="sticky top-0 z-40 border-b border-white/10 bg-slate-950/80 backdrop-blur ml-72 mr-80">
         <div className="mx-auto max-w-7xl px-4 py-3">
           <div className="flex items-center justify-between">
             <h1 className="text-lg font-bold tracking-wide">MTG Deck Diff</h1>
-            <div className="text-xs opacity-80">
-              {loading ? "Fetching card data…" : "Ready"}
+            <div className="flex items-center gap-3">
+              <label className="flex items-center gap-1 text-xs opacity-90">
+                Prices
+                <select
+                  className="rounded-lg bg-black/30 px-2 py-1 text-xs ring-1 ring-white/10"
+                  value={currency}
+                  onChange={(e) => setCurrency(e.target.value)}
+                >
+                  {Object.entries(CURRENCIES).map(([id, c]) => (
+                    <option key={id} value={id}>{c.label}</option>
+                  ))}
+                </select>
+              </label>
+              {!multiMode && (
+                <label className="flex items-center gap-1 text-xs opacity-90">
+                  Format
+                  <select
+                    className="rounded-lg bg-black/30 px-2 py-1 text-xs ring-1 ring-white/10"
+                    value={format}
+                    onChange={(e) => setFormat(e.target.value)}
+                    title="Validate A, B and the merged deck against this format"
+                  >
+                    <option value="auto">Auto (Commander if set)</option>
+                    <option value="none">None</option>
+                    {Object.entries(FORMATS).map(([id, f]) => (
+                      <option key={id} value={id}>{f.label}</option>
+                    ))}
+                  </select>
+                </label>
+              )}
+              <button
+                type="button"
+                className={`rounded-lg px-3 py-1 text-xs font-semibold ring-1 transition-colors ${multiMode ? "bg-blue-700 ring-blue-400" : "bg-black/30 hover:bg-black/50 ring-white/10"}`}
+                onClick={toggleMultiMode}
+                aria-pressed={multiMode}
+                title="Compare more than two decks"
+              >
+                N-deck mode
+              </button>
+              {!multiMode && hasDeckA && hasDeckB && (
+                <DiffExportMenu diff={deckDiff} nameA={deckAName} nameB={deckBName} />
+              )}
+              {!multiMode && (hasDeckA || hasDeckB) && (
+                <button
+                  type="button"
+                  className="rounded-lg bg-black/30 hover:bg-black/50 px-3 py-1 text-xs font-semibold ring-1 ring-white/10 transition-colors"
+                  onClick={handleShare}
+                  title="Copy a link that reopens this comparison"
+                >
+                  {shareStatus || "Share link"}
+                </button>
+              )}
+              <div className="text-xs opacity-80">
+                {loading ? "Fetching card data…" : "Ready"}
+              </div>
             </div>
           </div>
         </div>
       </header>
 
       <main className="mx-auto max-w-7xl space-y-6 px-4 py-6 ml-72 mr-80">
-        {/* Inputs */}
-        <div className="grid gap-4 md:grid-cols-2">
-          <FileOrPaste
-            label="Deck A (First)"
-            value={deckAText}
-            setValue={setDeckAText}
-            onNameChange={setDeckAName}
-            example={`Example:\n4 Lightning Bolt\n4 Goblin Guide\n2 Searing Blaze\n\nSideboard\n3 Smash to Smithereens`}
+        {multiMode ? (
+          <MultiDeckView
+            decks={multiDecks}
+            setDecks={setMultiDecks}
+            choices={multiChoices}
+            setChoices={setMultiChoices}
+            parsedDecks={multiDeckViews}
+            getCard={get}
           />
-          <FileOrPaste
-            label="Deck B (Second)"
-            value={deckBText}
-            setValue={setDeckBText}
-            onNameChange={setDeckBName}
-            example={`Example:\n4 Lightning Bolt\n3 Goblin Guide\n3 Monastery Swiftspear`}
-          />
-        </div>
+        ) : (
+          <>
+            <DeckLibraryPanel
+              library={library}
+              links={libraryLinks}
+              deckAName={deckAName}
+              deckBName={deckBName}
+              canSave={{ A: hasDeckA, B: hasDeckB }}
+              onSave={handleLibrarySave}
+              onLoad={handleLibraryLoad}
+              onRename={renameDeck}
+              onDelete={handleLibraryDelete}
+            />
+            <CollectionPanel
+              collection={collection}
+              onImport={handleCollectionImport}
+              onClear={() => setCollection(EMPTY_COLLECTION)}
+              list={toBuy}
+              target={showMerge ? "the merged deck" : deckBName}
+              getCard={get}
+              currency={currency}
+            />
 
-        {/* Summary bar */}
-        <div className="grid grid-cols-2 gap-4 md:grid-cols-5">
-          {/* "Only in A" box: always show if Deck A is loaded; border only if Deck B is loaded */}
-          {deckA.size > 0 && (
-            <div
-              className={`rounded-xl ${deckB.size > 0 ? 'border border-white/10' : ''} bg-red-800 p-3 text-center`}
-            >
-              <div className="text-xs uppercase opacity-80">Only in A</div>
-              <div className="text-xl font-bold">{onlyA}</div>
-            </div>
-          )}
-          {(deckA.size > 0 && deckB.size > 0) && (
-            <>
-              <div className="rounded-xl border border-white/10 bg-gray-800 p-3 text-center">
-                <div className="text-xs uppercase opacity-80">Equal Quantity</div>
-                <div className="text-xl font-bold">{equalCount}</div>
-              </div>
-              {/* Only in B */}
-              <div className="rounded-xl border border-white/10 bg-green-800 p-3 text-center">
-                <div className="text-xs uppercase opacity-80">Only in B</div>
-                <div className="text-xl font-bold">{onlyB}</div>
-              </div>
-              {/* Different Quantity */}
-              <div className="rounded-xl border border-white/10 bg-yellow-700 p-3 text-center">
-                <div className="text-xs uppercase opacity-80">Different Quantity</div>
-                <div className="text-xl font-bold">{diffs}</div>
-              </div>
-            </>
-          )}
-          {canShowMerge && (
-            <div className="rounded-xl border border-white/10 bg-blue-800 p-3 text-center cursor-pointer select-none"
-              role="button"
-              tabIndex={0}
-              aria-pressed={showMerge}
-              onClick={() => setShowMerge((v) => !v)}
-              onKeyDown={(e) => {
-                if (e.key === " " || e.key === "Enter") setShowMerge((v) => !v);
-              }}
-            >
-              <div className="text-xs uppercase opacity-80 flex items-center justify-center gap-1">
-                <svg className="inline h-4 w-4 text-blue-200" fill="none" stroke="currentColor" strokeWidth={2} viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" d="M7 7h10M7 12h10M7 17h6" />
-                </svg>
-                Merge
-              </div>
-              <div className="text-xl font-bold">{showMerge ? "On" : "Off"}</div>
+            {/* Inputs */}
+            <div className="grid gap-4 md:grid-cols-2">
+              <FileOrPaste
+                label="Deck A (First)"
+                value={deckAText}
+                setValue={setDeckAText}
+                onNameChange={(name) => handleFileName("A", name)}
+                importResult={importA}
+                example={`Example:\n4 Lightning Bolt\n4 Goblin Guide\n2 Searing Blaze\n\nSideboard\n3 Smash to Smithereens`}
+              />
+              <FileOrPaste
+                label="Deck B (Second)"
+                value={deckBText}
+                setValue={setDeckBText}
+                onNameChange={(name) => handleFileName("B", name)}
+                importResult={importB}
+                example={`Example:\n4 Lightning Bolt\n3 Goblin Guide\n3 Monastery Swiftspear`}
+              />
             </div>
-          )}
-        </div>
 
-        {/* Columns */}
-        <div
-          className={
-            showMerge
-              ? "grid gap-6 md:grid-cols-3"
-              : deckBName && deckB && deckB.size > 0
-                ? "grid gap-6 md:grid-cols-2"
-                : "grid gap-6 md:grid-cols-1"
-          }
-        >
-          <section>
-            <h2 className="mb-2 text-sm font-semibold tracking-wide text-white/90">{deckAName}</h2>
-            <DeckColumn
-              title={deckAName}
-              deckMap={deckA}
-              otherDeckMap={deckB}
-              getCard={get}
-              side="A"
-              showMerge={showMerge}
-              eligibleForMerge={eligibleForMerge}
-              selectedForMerge={selectedForMerge}
-              onCardClick={showMerge ? handleToggleSelectForMerge : undefined}
-              addCardToDeck={addCardToDeck}
-              removeCardFromDeck={removeCardFromDeck}
-              deckB={deckB}
-            />
-          </section>
-          {deckBName && deckB && deckB.size > 0 && (
-            <section>
-              <h2 className="mb-2 text-sm font-semibold tracking-wide text-white/90">{deckBName}</h2>
-              <DeckColumn
-                title={deckBName}
-                deckMap={deckB}
-                otherDeckMap={deckA}
-                getCard={get}
-                side="B"
-                showMerge={showMerge}
-                eligibleForMerge={eligibleForMerge}
-                selectedForMerge={selectedForMerge}
-                onCardClick={showMerge ? handleToggleSelectForMerge : undefined}
-                addCardToDeck={addCardToDeck}
-                removeCardFromDeck={removeCardFromDeck}
-                deckB={deckB}
+            <UnresolvedCardsPanel entries={unresolved} onReplace={replaceCardName} onRetry={retry} />
+
+            {/* Base deck for three-way merge */}
+            {showBaseInput || baseText ? (
+              <FileOrPaste
+                label="Base deck (common ancestor of A and B, for 3-way merge)"
+                value={baseText}
+                setValue={setBaseText}
+                importResult={importBase}
+                example={`The list A and B were both built from.\nWith Merge on, changes made on only one side are applied automatically\nand only cards changed differently on both sides need a decision.`}
               />
-            </section>
-          )}
-          {showMerge && (
-            <section>
-              <h2 className="mb-2 text-sm font-semibold tracking-wide text-white/90 flex items-center gap-2">
-                <svg className="inline h-5 w-5 text-blue-300" fill="none" stroke="currentColor" strokeWidth={2} viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" d="M7 7h10M7 12h10M7 17h6" />
-                </svg>
-                Merged Deck
-                <button
-                  className="ml-auto rounded-lg bg-blue-700 hover:bg-blue-600 px-3 py-1 text-xs font-semibold ring-1 ring-blue-400 transition-colors"
-                  onClick={() => downloadMergedDeck(mergedDeckRows)}
-                  type="button"
+            ) : (
+              <button
+                type="button"
+                className="text-xs text-white/60 underline hover:text-white/90"
+                onClick={() => setShowBaseInput(true)}
+              >
+                + Add base deck for a 3-way merge
+              </button>
+            )}
+
+            {/* Summary bar */}
+            <div className={`grid grid-cols-2 gap-4 ${moved > 0 ? "md:grid-cols-7" : "md:grid-cols-6"}`}>
+              {/* "Only in A" box: always show if Deck A is loaded; border only if Deck B is loaded */}
+              {hasDeckA && (
+                <div
+                  className={`rounded-xl ${hasDeckB ? 'border border-white/10' : ''} bg-red-800 p-3 text-center ${statusBoxClass("onlyA")}`}
+                  {...statusBoxProps("onlyA")}
                 >
-                  Download .txt
-                </button>
-              </h2>
-              <div className="space-y-2" role="list" aria-label="Merged deck cards">
-                {mergedDeckRows.map((row) => {
-                  const card = get(row.name);
-                  // For cards with multiple options, show a selector
-                  const needsSelector = row.options.length > 1;
-                  return (
-                    <div key={`merge-${row.name}`} className="group relative rounded-xl shadow-sm">
-                      <div className="relative overflow-hidden rounded-xl border border-white/10 bg-blue-900/50">
-                        {/* Background art */}
-                        {card?.art && (
-                          <div
-                            className="absolute inset-0 opacity-30 bg-cover bg-center"
-                            style={{ backgroundImage: `url(${card.art})` }}
-                            aria-hidden
-                          />
+                  <div className="text-xs uppercase opacity-80">Only in A</div>
+                  <div className="text-xl font-bold">{onlyA}</div>
+                </div>
+              )}
+              {(hasDeckA && hasDeckB) && (
+                <>
+                  <div className={`rounded-xl border border-white/10 bg-gray-800 p-3 text-center ${statusBoxClass("equal")}`} {...statusBoxProps("equal")}>
+                    <div className="text-xs uppercase opacity-80">Equal Quantity</div>
+                    <div className="text-xl font-bold">{equalCount}</div>
+                  </div>
+                  {/* Only in B */}
+                  <div className={`rounded-xl border border-white/10 bg-green-800 p-3 text-center ${statusBoxClass("onlyB")}`} {...statusBoxProps("onlyB")}>
+                    <div className="text-xs uppercase opacity-80">Only in B</div>
+                    <div className="text-xl font-bold">{onlyB}</div>
+                  </div>
+                  {/* Different Quantity */}
+                  <div className={`rounded-xl border border-white/10 bg-yellow-700 p-3 text-center ${statusBoxClass("diff")}`} {...statusBoxProps("diff")}>
+                    <div className="text-xs uppercase opacity-80">Different Quantity</div>
+                    <div className="text-xl font-bold">{diffs}</div>
+                  </div>
+                  {/* Moved between zones (e.g. main -> side) */}
+                  {moved > 0 && (
+                    <div className={`rounded-xl border border-white/10 bg-purple-800 p-3 text-center ${statusBoxClass("moved")}`} {...statusBoxProps("moved")}>
+                      <div className="text-xs uppercase opacity-80">Moved Zone</div>
+                      <div className="text-xl font-bold">{moved}</div>
+                    </div>
+                  )}
+                  {/* Price of the copies B adds over A */}
+                  <div
+                    className="rounded-xl border border-white/10 bg-emerald-900 p-3 text-center"
+                    title={upgrade.missing > 0 ? `${upgrade.missing} card${upgrade.missing === 1 ? "" : "s"} without a price not included` : "Cards to acquire to go from A to B"}
+                  >
+                    <div className="text-xs uppercase opacity-80">Upgrade Cost</div>
+                    <div className="text-xl font-bold">
+                      {formatPrice(upgrade.total, currency)}
+                      {upgrade.missing > 0 && <span className="text-sm opacity-70"> +?</span>}
+                    </div>
+                  </div>
+                </>
+              )}
+              {/* Also shown when merge was turned on by adding to the merged deck with one deck */}
+              {(canShowMerge || showMerge) && (
+                <div className="rounded-xl border border-white/10 bg-blue-800 p-3 text-center cursor-pointer select-none"
+                  role="button"
+                  tabIndex={0}
+                  aria-pressed={showMerge}
+                  onClick={() => setShowMerge((v) => !v)}
+                  onKeyDown={(e) => {
+                    if (e.key === " " || e.key === "Enter") setShowMerge((v) => !v);
+                  }}
+                >
+                  <div className="text-xs uppercase opacity-80 flex items-center justify-center gap-1">
+                    <svg className="inline h-4 w-4 text-blue-200" fill="none" stroke="currentColor" strokeWidth={2} viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" d="M7 7h10M7 12h10M7 17h6" />
+                    </svg>
+                    Merge
+                  </div>
+                  <div className="text-xl font-bold">{showMerge ? "On" : "Off"}</div>
+                </div>
+              )}
+            </div>
+
+            {/* Column filter, grouping and sort */}
+            <ColumnFilterBar filter={columnFilter} setFilter={setColumnFilter} />
+            <div className="flex flex-wrap items-center gap-3 text-xs">
+              <label className="flex items-center gap-1 opacity-90">
+                Group by
+                <select
+                  className="rounded-lg bg-black/30 px-2 py-1 ring-1 ring-white/10"
+                  value={columnView.groupBy}
+                  onChange={(e) => setColumnView((v) => ({ ...v, groupBy: e.target.value }))}
+                >
+                  {Object.entries(GROUP_OPTIONS).map(([id, label]) => (
+                    <option key={id} value={id}>{label}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="flex items-center gap-1 opacity-90">
+                Sort by
+                <select
+                  className="rounded-lg bg-black/30 px-2 py-1 ring-1 ring-white/10"
+                  value={columnView.sortBy}
+                  onChange={(e) => setColumnView((v) => ({ ...v, sortBy: e.target.value }))}
+                >
+                  {Object.entries(SORT_OPTIONS).map(([id, label]) => (
+                    <option key={id} value={id}>{label}</option>
+                  ))}
+                </select>
+              </label>
+              {columnView.groupBy === "tag" && <span className="opacity-60">Use 🏷 on a card to set its tags</span>}
+            </div>
+
+            {/* Columns */}
+            <div
+              className={
+                showMerge
+                  ? "grid gap-6 md:grid-cols-3"
+                  : deckBName && hasDeckB
+                    ? "grid gap-6 md:grid-cols-2"
+                    : "grid gap-6 md:grid-cols-1"
+              }
+            >
+              <section>
+                <h2 className="mb-2 flex items-center text-sm font-semibold tracking-wide text-white/90">
+                  {deckAName}
+                  {hasDeckA && <PriceTotal price={priceA} currency={currency} />}
+                  {hasDeckA && (
+                    <span className="ml-auto flex items-center gap-2">
+                      <PlaytestButton onClick={() => setPlaytest({ deck: deckA, name: deckAName })} />
+                      <DeckExportMenu deck={deckA} name={deckAName} getCard={get} />
+                    </span>
+                  )}
+                </h2>
+                <ValidationSummary result={validationA} />
+                <ZonedDeckColumn
+                  title={deckAName}
+                  deck={deckA}
+                  otherDeck={deckB}
+                  zones={shownZones}
+                  diff={deckDiff.entries}
+                  getCard={get}
+                  side="A"
+                  showMerge={showMerge && !threeWayMerge}
+                  eligibleForMerge={eligibleForMerge}
+                  selectedForMerge={selectedForMerge}
+                  onCardClick={showMerge && !threeWayMerge ? handleToggleSelectForMerge : undefined}
+                  addCardToDeck={addCardToDeck}
+                  removeCardFromDeck={removeCardFromDeck}
+                  hasDeckB={hasDeckB}
+                  issues={validationA?.cardIssues}
+                  currency={currency}
+                  view={columnView}
+                  tags={cardTags}
+                  onEditTags={editCardTags}
+                  filter={columnFilter}
+                />
+              </section>
+              {deckBName && hasDeckB && (
+                <section>
+                  <h2 className="mb-2 flex items-center text-sm font-semibold tracking-wide text-white/90">
+                    {deckBName}
+                    <PriceTotal price={priceB} currency={currency} />
+                    <span className="ml-auto flex items-center gap-2">
+                      <PlaytestButton onClick={() => setPlaytest({ deck: deckB, name: deckBName })} />
+                      <DeckExportMenu deck={deckB} name={deckBName} getCard={get} />
+                    </span>
+                  </h2>
+                  <ValidationSummary result={validationB} />
+                  <ZonedDeckColumn
+                    title={deckBName}
+                    deck={deckB}
+                    otherDeck={deckA}
+                    zones={shownZones}
+                    diff={deckDiff.entries}
+                    getCard={get}
+                    side="B"
+                    showMerge={showMerge && !threeWayMerge}
+                    eligibleForMerge={eligibleForMerge}
+                    selectedForMerge={selectedForMerge}
+                    onCardClick={showMerge && !threeWayMerge ? handleToggleSelectForMerge : undefined}
+                    addCardToDeck={addCardToDeck}
+                    removeCardFromDeck={removeCardFromDeck}
+                    hasDeckB={hasDeckB}
+                    issues={validationB?.cardIssues}
+                    currency={currency}
+                    view={columnView}
+                    tags={cardTags}
+                    onEditTags={editCardTags}
+                    filter={columnFilter}
+                    ownership={needsB}
+                  />
+                </section>
+              )}
+              {showMerge && (
+                <section>
+                  <h2 className="mb-2 text-sm font-semibold tracking-wide text-white/90 flex items-center gap-2">
+                    <svg className="inline h-5 w-5 text-blue-300" fill="none" stroke="currentColor" strokeWidth={2} viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" d="M7 7h10M7 12h10M7 17h6" />
+                    </svg>
+                    Merged Deck
+                    <PriceTotal price={priceMerged} currency={currency} />
+                    {threeWayMerge && (
+                      <span
+                        className={`rounded-full px-2 py-0.5 text-xs font-semibold ${threeWayMerge.unresolved > 0 ? "bg-orange-700" : "bg-black/40"}`}
+                        title="Three-way merge against the base deck"
+                      >
+                        3-way · {threeWayMerge.conflicts} conflict{threeWayMerge.conflicts === 1 ? "" : "s"}
+                        {threeWayMerge.unresolved > 0 && ` (${threeWayMerge.unresolved} unresolved)`}
+                      </span>
+                    )}
+                    <span className="ml-auto flex items-center gap-2">
+                      {Object.keys(mergeEdits).length > 0 && (
+                        <button
+                          type="button"
+                          className="rounded-lg bg-black/30 hover:bg-black/50 px-2 py-1 text-xs font-semibold ring-1 ring-white/10"
+                          onClick={() => setMergeEdits({})}
+                          title="Drop all manual additions, removals and quantity changes"
+                        >
+                          Reset edits ({Object.keys(mergeEdits).length})
+                        </button>
+                      )}
+                      {mergedDeck.mainboard.size > 0 && (
+                        <PlaytestButton onClick={() => setPlaytest({ deck: mergedDeck, name: "Merged Deck" })} />
+                      )}
+                      <DeckExportMenu
+                        deck={mergedDeck}
+                        name="merged_deck"
+                        getCard={get}
+                        buttonClassName="bg-blue-700 hover:bg-blue-600 ring-blue-400"
+                        disabledReason={mergeExportBlocked}
+                      />
+                    </span>
+                  </h2>
+                  <ValidationSummary result={validationMerged} />
+                  {mergeExportBlocked && (
+                    <div className="mb-2 rounded-lg bg-orange-900/40 px-3 py-1 text-sm text-orange-100 ring-1 ring-orange-400/30">
+                      {mergeExportBlocked}: unresolved conflicts show deck A&apos;s quantity until you pick A, B or Base.
+                    </div>
+                  )}
+                  <div
+                    className="space-y-2"
+                    role="list"
+                    aria-label="Merged deck cards"
+                    onDragOver={(e) => e.preventDefault()}
+                    onDrop={(e) => {
+                      e.preventDefault();
+                      try {
+                        const card = JSON.parse(e.dataTransfer.getData("card") || "null");
+                        if (card?.name) editMergedQty("mainboard", card.name, 1);
+                      } catch (err) {
+                        console.warn("Ignoring dropped data", err);
+                      }
+                    }}
+                  >
+                    {mergedDeckRows.length === 0 && (
+                      <div className="flex items-center justify-center h-32 w-full border-2 border-dashed border-gray-500 text-gray-400 italic rounded-lg">
+                        Drop cards here
+                      </div>
+                    )}
+                    {mergedDeckRows.length > 0 && shownMergedRows.length === 0 && (
+                      <div className="text-xs italic opacity-60">No cards match the filter</div>
+                    )}
+                    {shownMergedRows.map((row, i) => {
+                      const card = get(row.name);
+                      // For cards with multiple options, show a selector
+                      const needsSelector = row.options.length > 1;
+                      // Zone header before the first row of each zone
+                      const showZoneHeader = shownZones.length > 1 && (i === 0 || shownMergedRows[i - 1].zone !== row.zone);
+                      const zoneMoved = deckDiff.entries.get(row.key)?.status === "moved";
+                      const unresolvedConflict = row.status === "conflict" && !row.resolved;
+                      const removed = row.edited && row.qty === 0;
+                      const illegal = isIllegal(validationMerged?.cardIssues.get(row.name));
+                      return (
+                        <React.Fragment key={`merge-${row.key}`}>
+                        {showZoneHeader && (
+                          <h3 className="pt-2 text-xs font-semibold uppercase tracking-wide text-white/70">
+                            {ZONE_LABELS[row.zone]}
+                          </h3>
                         )}
-                        {/* Scrim */}
-                        <div className="absolute inset-0 bg-gradient-to-r from-black/70 via-black/50 to-blue-900/20" aria-hidden />
-                        {/* Content */}
-                        <div className="relative z-10 flex items-center gap-3 p-2">
-                          {/* Thumbnail */}
-                          {card?.small ? (
-                            <img
-                              src={card.small}
-                              alt={row.name}
-                              className="h-12 w-9 rounded-md object-cover ring-1 ring-white/10"
-                            />
-                          ) : (
-                            <div className="h-12 w-9 rounded-md bg-black/30 ring-1 ring-white/10 flex items-center justify-center text-[10px] leading-tight text-white/60">
-                              N/A
-                            </div>
-                          )}
-                          {/* Quantity + Header */}
-                          <div className="min-w-0 flex-1">
-                            <div className="flex items-center justify-between">
-                              <div className="truncate text-sm font-semibold tracking-wide">
-                                <span className="mr-2 opacity-90">{row.qty}×</span>
-                                <span title={row.name}>{row.name}</span>
-                              </div>
-                              <div className="ml-2 flex items-center">
-                                {/* Mana cost string (rendered as mana symbols) */}
-                                {card?.mana_cost && <ManaCost cost={card.mana_cost} />}
+                        <div
+                          className={`group relative rounded-xl shadow-sm ${unresolvedConflict ? "ring-2 ring-orange-400" : illegal ? "ring-2 ring-red-500" : ""} ${removed ? "opacity-50" : ""}`}
+                          onClick={() => editMergedQty(row.zone, row.name, 1)}
+                          onContextMenu={(e) => {
+                            e.preventDefault();
+                            editMergedQty(row.zone, row.name, -1);
+                          }}
+                          role="listitem"
+                          title="Click: +1 · Right-click: −1"
+                          style={{ cursor: "pointer" }}
+                        >
+                          <div className={`relative overflow-hidden rounded-xl border border-white/10 ${row.status === "conflict" ? "bg-orange-900/50" : row.added ? "bg-emerald-900/50" : "bg-blue-900/50"}`}>
+                            {/* Background art */}
+                            {card?.art && (
+                              <div
+                                className="absolute inset-0 opacity-30 bg-cover bg-center"
+                                style={{ backgroundImage: `url(${card.art})` }}
+                                aria-hidden
+                              />
+                            )}
+                            {/* Scrim */}
+                            <div className="absolute inset-0 bg-gradient-to-r from-black/70 via-black/50 to-blue-900/20" aria-hidden />
+                            {/* Content */}
+                            <div className="relative z-10 flex items-center gap-3 p-2">
+                              {/* Thumbnail */}
+                              {card?.small ? (
+                                <img
+                                  src={card.small}
+                                  alt={row.name}
+                                  className="h-12 w-9 rounded-md object-cover ring-1 ring-white/10"
+                                />
+                              ) : (
+                                <div className="h-12 w-9 rounded-md bg-black/30 ring-1 ring-white/10 flex items-center justify-center text-[10px] leading-tight text-white/60">
+                                  N/A
+                                </div>
+                              )}
+                              {/* Quantity + Header */}
+                              <div className="min-w-0 flex-1">
+                                <div className="flex items-center justify-between">
+                                  <div className="truncate text-sm font-semibold tracking-wide">
+                                    <span className="mr-2 opacity-90">{row.qty}×</span>
+                                    <span title={row.name} className={removed ? "line-through" : ""}>{row.name}</span>
+                                  </div>
+                                  <div className="ml-2 flex items-center">
+                                    {/* Mana cost string (rendered as mana symbols) */}
+                                    {card?.mana_cost && <ManaCost cost={card.mana_cost} />}
+                                    {row.status && row.status !== "unchanged" && (
+                                      <span
+                                        className="ml-2 rounded-full px-2 py-0.5 text-xs font-semibold bg-black/40"
+                                        title={`Base ${row.qo} · A ${row.qa} · B ${row.qb}`}
+                                      >
+                                        {THREE_WAY_STATUS_LABELS[row.status]}
+                                      </span>
+                                    )}
+                                    {zoneMoved && (
+                                      <span className="ml-2 rounded-full px-2 py-0.5 text-xs font-semibold bg-purple-700/80">
+                                        moved
+                                      </span>
+                                    )}
+                                    <ValidationBadges issues={validationMerged?.cardIssues.get(row.name)} />
+                                    <OwnershipBadge entry={needsMerged.get(row.name)} />
+                                    {row.edited && (
+                                      <button
+                                        type="button"
+                                        className="ml-2 rounded-full px-2 py-0.5 text-xs font-semibold bg-emerald-700/80 hover:bg-emerald-600"
+                                        onClick={(e) => {
+                                          e.stopPropagation();
+                                          resetMergeEdit(row.key);
+                                        }}
+                                        title={row.added ? "Added by hand · click to remove" : `Merge gives ${row.computedQty} · click to restore`}
+                                      >
+                                        {row.added ? "added" : removed ? "removed" : "edited"} ↺
+                                      </button>
+                                    )}
+                                  </div>
+                                </div>
+                                {/* Type line + price */}
+                                <CardSubline card={card} currency={currency} />
                               </div>
+                              {/* Choice selector for diffs */}
+                              {needsSelector && (
+                                <div className="ml-2 flex gap-1">
+                                  {row.options.map((opt) => {
+                                    let color, label;
+                                    if (opt === "A") {
+                                      color = "bg-red-700 hover:bg-red-600 ring-red-400";
+                                      label = `A${row.qa !== row.qb ? ` (${row.qa})` : ""}`;
+                                    } else if (opt === "B") {
+                                      color = "bg-green-700 hover:bg-green-600 ring-green-400";
+                                      label = `B${row.qa !== row.qb ? ` (${row.qb})` : ""}`;
+                                    } else if (opt === "Both") {
+                                      color = "bg-blue-700 hover:bg-blue-600 ring-blue-400";
+                                      label = `Both (${row.qa + row.qb})`;
+                                    } else if (opt === "Base") {
+                                      color = "bg-gray-600 hover:bg-gray-500 ring-gray-300";
+                                      label = `Base (${row.qo})`;
+                                    }
+                                    return (
+                                      <button
+                                        key={opt}
+                                        className={`rounded-md px-2 py-1 text-xs font-semibold ring-1 transition-colors
+                                          ${color} ${row.choice === opt ? "opacity-100" : "opacity-60"}
+                                        `}
+                                        onClick={(e) => {
+                                          e.stopPropagation();
+                                          handleMergeChoice(row.key, opt);
+                                        }}
+                                        type="button"
+                                        aria-pressed={row.choice === opt}
+                                      >
+                                        {label}
+                                      </button>
+                                    );
+                                  })}
+                                </div>
+                              )}
                             </div>
-                            {/* Type line */}
-                            {card?.type_line && (
-                              <div className="truncate text-xs opacity-80">{card.type_line}</div>
-                            )}
                           </div>
-                          {/* Choice selector for diffs */}
-                          {needsSelector && (
-                            <div className="ml-2 flex gap-1">
-                              {row.options.map((opt) => {
-                                let color, label;
-                                if (opt === "A") {
-                                  color = "bg-red-700 hover:bg-red-600 ring-red-400";
-                                  label = `A${row.qa !== row.qb ? ` (${row.qa})` : ""}`;
-                                } else if (opt === "B") {
-                                  color = "bg-green-700 hover:bg-green-600 ring-green-400";
-                                  label = `B${row.qa !== row.qb ? ` (${row.qb})` : ""}`;
-                                } else if (opt === "Both") {
-                                  color = "bg-blue-700 hover:bg-blue-600 ring-blue-400";
-                                  label = `Both (${row.qa + row.qb})`;
-                                }
-                                return (
-                                  <button
-                                    key={opt}
-                                    className={`rounded-md px-2 py-1 text-xs font-semibold ring-1 transition-colors
-                                      ${color} ${row.choice === opt ? "opacity-100" : "opacity-60"}
-                                    `}
-                                    onClick={() => handleMergeChoice(row.name, opt)}
-                                    type="button"
-                                    aria-pressed={row.choice === opt}
-                                  >
-                                    {label}
-                                  </button>
-                                );
-                              })}
-                            </div>
-                          )}
                         </div>
-                      </div>
-                    </div>
-                  );
-                })}
-              </div>
-            </section>
-          )}
-        </div>
+                        </React.Fragment>
+                      );
+                    })}
+                  </div>
+                </section>
+              )}
+            </div>
+          </>
+        )}
 
         {/* Footer removed, now in sidebar */}
       </main>
@@ -0,0 +1,30 @@
+import React from "react";
+import { MAX_CACHE_BYTES } from "./cardCache.js";
+
+const formatBytes = (bytes) =>
+  bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+
+// --- CacheSettingsPanel: size of the card cache and a way to empty it ---
+export default function CacheSettingsPanel({ stats, onClear }) {
+  return (
+    <div className="rounded-lg bg-black/30 p-2 text-xs">
+      <div className="font-semibold opacity-90">Card cache</div>
+      <div className="mt-1 opacity-70">
+        {stats.count.toLocaleString()} card{stats.count === 1 ? "" : "s"} · {formatBytes(stats.bytes)} of{" "}
+        {formatBytes(MAX_CACHE_BYTES)}
+      </div>
+      <div className="mt-2">
+        <button
+          type="button"
+          disabled={stats.count === 0}
+          className="rounded bg-black/40 px-2 py-0.5 text-red-300 disabled:opacity-40"
+          onClick={() => {
+            if (window.confirm("Clear all cached card data? Cards will be fetched from Scryfall again.")) onClear();
+          }}
+        >
+          Clear cache
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,52 @@
+import React from "react";
+
+const Delta = ({ value }) =>
+  value === 0 ? null : (
+    <span className={`ml-1 ${value > 0 ? "text-green-400" : "text-red-400"}`}>
+      ({value > 0 ? "+" : ""}
+      {value})
+    </span>
+  );
+
+// --- CategoryBreakdown: per-category counts for A, B and the merge, with deltas vs A ---
+// rows: [{ key, label }]; counts: { A, B, merged? } objects keyed by row key
+export default function CategoryBreakdown({ title, rows, counts }) {
+  const columns = [
+    ["A", "A"],
+    ["B", "B"],
+    ...(counts.merged ? [["merged", "Merged"]] : []),
+  ];
+  const visible = rows.filter(({ key }) => columns.some(([col]) => counts[col][key] > 0));
+  return (
+    <div>
+      <div className="mb-1 text-xs font-semibold text-white/80">{title}</div>
+      {visible.length === 0 ? (
+        <div className="text-xs italic opacity-60">No cards yet</div>
+      ) : (
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="opacity-70">
+              <th className="text-left font-normal" />
+              {columns.map(([col, label]) => (
+                <th key={col} className="text-right font-normal">{label}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {visible.map(({ key, label }) => (
+              <tr key={key}>
+                <td>{label}</td>
+                {columns.map(([col]) => (
+                  <td key={col} className="whitespace-nowrap text-right font-mono">
+                    {counts[col][key]}
+                    {col !== "A" && <Delta value={counts[col][key] - counts.A[key]} />}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,165 @@
+import React, { useState } from "react";
+import { IMPORT_ACCEPT } from "./importers.js";
+import { downloadFile } from "./exporters.js";
+import { collectionSize, shoppingListText } from "./collection.js";
+import { cardPrice, formatPrice } from "./prices.js";
+
+const OWNERSHIP_BADGES = {
+  owned: { label: "owned", className: "bg-emerald-800 text-emerald-100" },
+  partial: { label: "partial", className: "bg-amber-700 text-amber-100" },
+  missing: { label: "missing", className: "bg-slate-900 text-slate-100" },
+};
+
+// Owned / partially owned / missing badge for a card the target deck adds
+export const OwnershipBadge = ({ entry }) => {
+  if (!entry) return null;
+  const badge = OWNERSHIP_BADGES[entry.status];
+  return (
+    <span
+      className={`ml-2 rounded-full px-2 py-0.5 text-xs font-semibold ${badge.className}`}
+      title={`Need ${entry.need} more, ${entry.have} in your collection`}
+    >
+      {entry.status === "partial" ? `${entry.have}/${entry.need} owned` : badge.label}
+    </span>
+  );
+};
+
+// --- CollectionPanel: collection import and the shopping list for missing cards ---
+// list: shoppingList() for the deck being moved to, named by target
+export default function CollectionPanel({ collection, onImport, onClear, list, target, getCard, currency }) {
+  const [open, setOpen] = useState(false);
+  const [text, setText] = useState("");
+  const [status, setStatus] = useState("");
+  const size = collectionSize(collection);
+
+  const runImport = (value, fileName = "") => {
+    const { label, unparsed, count } = onImport(value, fileName);
+    setStatus(
+      `Imported ${count} cards as ${label}` + (unparsed.length > 0 ? ` (${unparsed.length} lines skipped)` : "")
+    );
+    setText("");
+  };
+
+  const onFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (file) runImport(await file.text(), file.name);
+  };
+
+  const listText = shoppingListText(list);
+  let cost = 0;
+  let unpriced = 0;
+  for (const { name, qty } of list) {
+    const price = cardPrice(getCard(name), currency);
+    if (price == null) unpriced += 1;
+    else cost += price * qty;
+  }
+
+  return (
+    <div className="rounded-2xl border border-white/10 bg-white/5 p-3">
+      <div className="flex items-center justify-between">
+        <button
+          type="button"
+          className="text-sm font-semibold opacity-90"
+          onClick={() => setOpen((v) => !v)}
+          aria-expanded={open}
+        >
+          {open ? "▾" : "▸"} Collection
+          <span className="ml-2 text-xs font-normal opacity-70">
+            {collection.importedAt ? `${size.total} cards (${size.unique} unique)` : "not imported"}
+          </span>
+        </button>
+        {collection.importedAt && list.length > 0 && (
+          <span className="text-xs opacity-80">
+            {list.length} card{list.length === 1 ? "" : "s"} to buy for {target}
+          </span>
+        )}
+      </div>
+      {open && (
+        <div className="mt-3 grid gap-3 md:grid-cols-2">
+          <div className="space-y-2 text-xs">
+            <textarea
+              className="h-24 w-full rounded-lg bg-black/30 p-2 font-mono ring-1 ring-white/10 focus:outline-none"
+              placeholder={"Paste a collection CSV or \"qty name\" lines\n4 Lightning Bolt\n1 Sol Ring"}
+              value={text}
+              onChange={(e) => setText(e.target.value)}
+            />
+            <div className="flex flex-wrap items-center gap-2">
+              <button
+                type="button"
+                disabled={!text.trim()}
+                className="rounded-lg bg-black/30 px-2 py-1 ring-1 ring-white/10 disabled:opacity-40"
+                onClick={() => runImport(text)}
+              >
+                Import pasted
+              </button>
+              <label className="cursor-pointer rounded-lg bg-black/30 px-2 py-1 ring-1 ring-white/10">
+                Import file…
+                <input type="file" accept={IMPORT_ACCEPT} className="hidden" onChange={onFile} />
+              </label>
+              {collection.importedAt && (
+                <button
+                  type="button"
+                  className="rounded-lg bg-black/30 px-2 py-1 ring-1 ring-white/10"
+                  onClick={() => {
+                    onClear();
+                    setStatus("");
+                  }}
+                >
+                  Clear
+                </button>
+              )}
+            </div>
+            {status && <div className="opacity-80">{status}</div>}
+            {collection.importedAt && (
+              <div className="opacity-60">Imported {new Date(collection.importedAt).toLocaleString()}. Importing again replaces it.</div>
+            )}
+          </div>
+          <div className="text-xs">
+            <div className="mb-1 flex items-center justify-between">
+              <span className="font-semibold">Shopping list for {target}</span>
+              {list.length > 0 && (
+                <span className="flex gap-1">
+                  <button
+                    type="button"
+                    className="rounded bg-black/40 px-2 py-0.5"
+                    onClick={() => navigator.clipboard?.writeText(listText)}
+                  >
+                    Copy
+                  </button>
+                  <button
+                    type="button"
+                    className="rounded bg-black/40 px-2 py-0.5"
+                    onClick={() => downloadFile(listText, "shopping_list.txt")}
+                  >
+                    Download
+                  </button>
+                </span>
+              )}
+            </div>
+            {!collection.importedAt ? (
+              <div className="italic opacity-70">Import your collection to see which added cards you still need.</div>
+            ) : list.length === 0 ? (
+              <div className="italic opacity-70">You own every card {target} adds.</div>
+            ) : (
+              <>
+                <ul className="max-h-40 overflow-y-auto rounded-lg bg-black/30 p-2 font-mono">
+                  {list.map(({ name, qty }) => (
+                    <li key={name} className="flex justify-between gap-2">
+                      <span className="truncate">{qty} {name}</span>
+                      <span className="shrink-0 opacity-70">{formatPrice(cardPrice(getCard(name), currency), currency)}</span>
+                    </li>
+                  ))}
+                </ul>
+                <div className="mt-1 opacity-80">
+                  Estimated {formatPrice(cost, currency)}
+                  {unpriced > 0 && ` (+${unpriced} without a price)`}
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,44 @@
+import React from "react";
+import { EMPTY_COLUMN_FILTER, FILTER_STATUSES, FILTER_COLORS, isFilterActive } from "./columnView.js";
+import { CARD_TYPES } from "./cardStats.js";
+
+const selectClass = "rounded-lg bg-black/30 px-2 py-1 ring-1 ring-white/10";
+
+// --- ColumnFilterBar: diff status / type / color / text filter for the columns ---
+export default function ColumnFilterBar({ filter, setFilter }) {
+  const update = (patch) => setFilter((f) => ({ ...f, ...patch }));
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-xs">
+      <input
+        type="search"
+        className="w-56 rounded-lg bg-black/30 px-2 py-1 ring-1 ring-white/10 focus:outline-none"
+        placeholder="Filter by name or rules text…"
+        value={filter.text}
+        onChange={(e) => update({ text: e.target.value })}
+      />
+      <select className={selectClass} value={filter.status} onChange={(e) => update({ status: e.target.value })}>
+        <option value="">Any status</option>
+        {Object.entries(FILTER_STATUSES).map(([id, label]) => (
+          <option key={id} value={id}>{label}</option>
+        ))}
+      </select>
+      <select className={selectClass} value={filter.type} onChange={(e) => update({ type: e.target.value })}>
+        <option value="">Any type</option>
+        {CARD_TYPES.map((t) => (
+          <option key={t} value={t}>{t}</option>
+        ))}
+      </select>
+      <select className={selectClass} value={filter.color} onChange={(e) => update({ color: e.target.value })}>
+        <option value="">Any color</option>
+        {Object.entries(FILTER_COLORS).map(([id, label]) => (
+          <option key={id} value={id}>{label}</option>
+        ))}
+      </select>
+      {isFilterActive(filter) && (
+        <button type="button" className="rounded-lg bg-black/40 px-2 py-1" onClick={() => setFilter(EMPTY_COLUMN_FILTER)}>
+          Clear filters
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,168 @@
+import React, { useMemo, useState } from "react";
+import { parseDeckText, deckCount, computeDeckDiff } from "./deck.js";
+import { latestVersion } from "./library.js";
+
+const formatTs = (ts) => new Date(ts).toLocaleString();
+
+// Card count and number of changed entries vs the previous version, for the history list
+const versionSummaries = (versions) => {
+  let prev = null;
+  return versions.map((v) => {
+    const deck = parseDeckText(v.text);
+    let changes = null;
+    if (prev) {
+      const { onlyA, onlyB, diff, moved } = computeDeckDiff(prev, deck).counts;
+      changes = onlyA + onlyB + diff + moved;
+    }
+    prev = deck;
+    return { ...v, count: deckCount(deck), changes };
+  });
+};
+
+const SlotButtons = ({ onLoad }) => (
+  <span className="flex gap-1">
+    <button
+      type="button"
+      className="rounded bg-red-700 hover:bg-red-600 px-2 py-0.5 text-xs text-white"
+      onClick={() => onLoad("A")}
+      title="Load as Deck A"
+    >
+      A
+    </button>
+    <button
+      type="button"
+      className="rounded bg-green-700 hover:bg-green-600 px-2 py-0.5 text-xs text-white"
+      onClick={() => onLoad("B")}
+      title="Load as Deck B"
+    >
+      B
+    </button>
+  </span>
+);
+
+const VersionHistory = ({ deck, links, onLoad }) => {
+  const summaries = useMemo(() => versionSummaries(deck.versions), [deck.versions]);
+  return (
+    <ol className="mt-2 space-y-1 border-l border-white/10 pl-3">
+      {summaries.map((v, i) => ({ ...v, index: i + 1 })).reverse().map((v) => {
+        const inSlot = ["A", "B"].filter((s) => links[s]?.deckId === deck.id && links[s]?.versionId === v.id);
+        return (
+          <li key={v.id} className="flex items-center justify-between gap-2 text-xs">
+            <span className="min-w-0 truncate">
+              <span className="font-semibold">v{v.index}</span>
+              <span className="ml-2 opacity-70">{formatTs(v.ts)}</span>
+              <span className="ml-2 opacity-70">
+                {v.count} cards{v.changes != null ? ` · ${v.changes} change${v.changes === 1 ? "" : "s"}` : ""}
+              </span>
+              {inSlot.length > 0 && <span className="ml-2 text-blue-300">in {inSlot.join(", ")}</span>}
+            </span>
+            <SlotButtons onLoad={(slot) => onLoad(slot, deck.id, v.id)} />
+          </li>
+        );
+      })}
+    </ol>
+  );
+};
+
+// --- DeckLibraryPanel: saved decks, their version history and A/B loading ---
+export default function DeckLibraryPanel({ library, links, deckAName, deckBName, canSave, onSave, onLoad, onRename, onDelete }) {
+  const [open, setOpen] = useState(false);
+  const [expanded, setExpanded] = useState(null);
+  const decks = Object.values(library).sort((x, y) => y.updatedAt - x.updatedAt);
+
+  const linkLabel = (slot) => {
+    const link = links[slot];
+    const deck = link && library[link.deckId];
+    if (!deck) return null;
+    const index = deck.versions.findIndex((v) => v.id === link.versionId) + 1;
+    return `${deck.name}${index > 0 ? ` v${index}` : ""}`;
+  };
+
+  return (
+    <div className="rounded-2xl border border-white/10 bg-white/5 p-3">
+      <div className="flex items-center justify-between">
+        <button
+          type="button"
+          className="text-sm font-semibold opacity-90"
+          onClick={() => setOpen((v) => !v)}
+          aria-expanded={open}
+        >
+          {open ? "▾" : "▸"} Deck Library ({decks.length})
+        </button>
+        <div className="flex items-center gap-2 text-xs">
+          {["A", "B"].map((slot) => {
+            const linked = linkLabel(slot);
+            return linked ? (
+              <span key={slot} className="opacity-80" title={`Edits to Deck ${slot} are saved as new versions`}>
+                {slot}: {linked}
+              </span>
+            ) : (
+              <button
+                key={slot}
+                type="button"
+                disabled={!canSave[slot]}
+                className="rounded-lg bg-black/30 px-2 py-1 ring-1 ring-white/10 disabled:opacity-40"
+                onClick={() => onSave(slot)}
+                title={`Save ${slot === "A" ? deckAName : deckBName} to the library`}
+              >
+                Save {slot}
+              </button>
+            );
+          })}
+        </div>
+      </div>
+      {open && (
+        <div className="mt-3 space-y-2">
+          {decks.length === 0 && (
+            <div className="text-xs italic opacity-70">
+              No saved decks yet. Save Deck A or B to start tracking its versions.
+            </div>
+          )}
+          {decks.map((deck) => {
+            const latest = latestVersion(deck);
+            return (
+              <div key={deck.id} className="rounded-lg bg-black/30 p-2">
+                <div className="flex items-center justify-between gap-2 text-sm">
+                  <button
+                    type="button"
+                    className="min-w-0 truncate text-left font-semibold"
+                    onClick={() => setExpanded((id) => (id === deck.id ? null : deck.id))}
+                    title="Show version history"
+                  >
+                    {expanded === deck.id ? "▾" : "▸"} {deck.name}
+                    <span className="ml-2 text-xs font-normal opacity-70">
+                      {deck.versions.length} version{deck.versions.length === 1 ? "" : "s"} · {formatTs(deck.updatedAt)}
+                    </span>
+                  </button>
+                  <span className="flex items-center gap-1">
+                    {latest && <SlotButtons onLoad={(slot) => onLoad(slot, deck.id, latest.id)} />}
+                    <button
+                      type="button"
+                      className="rounded bg-black/40 px-2 py-0.5 text-xs"
+                      onClick={() => {
+                        const name = window.prompt("Rename deck", deck.name);
+                        if (name) onRename(deck.id, name);
+                      }}
+                    >
+                      Rename
+                    </button>
+                    <button
+                      type="button"
+                      className="rounded bg-black/40 px-2 py-0.5 text-xs text-red-300"
+                      onClick={() => {
+                        if (window.confirm(`Delete "${deck.name}" and its history?`)) onDelete(deck.id);
+                      }}
+                    >
+                      Delete
+                    </button>
+                  </span>
+                </div>
+                {expanded === deck.id && <VersionHistory deck={deck} links={links} onLoad={onLoad} />}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
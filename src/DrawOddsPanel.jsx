@@ -0,0 +1,128 @@
+import React, { useMemo, useState } from "react";
+import { deckOdds, sampleHand, cardsSeen } from "./probability.js";
+
+const pct = (p) => (p == null ? "—" : `${(p * 100).toFixed(1)}%`);
+
+const inputClass = "w-12 rounded bg-slate-800 px-1 text-xs text-white ring-1 ring-white/10 focus:outline-none";
+
+// --- DrawOddsPanel: land, commander and package odds for each deck side by side ---
+// decks: [{ label, deck }] zoned decks, compared column by column
+export default function DrawOddsPanel({ decks, getCard }) {
+  const [open, setOpen] = useState(false);
+  const [lands, setLands] = useState(3);
+  const [turn, setTurn] = useState(3);
+  const [onDraw, setOnDraw] = useState(false);
+  const [packageText, setPackageText] = useState("");
+  const [hands, setHands] = useState(null);
+
+  const packageNames = useMemo(
+    () => packageText.split("\n").map((l) => l.replace(/^\d+x?\s+/i, "").trim()).filter(Boolean),
+    [packageText]
+  );
+  const odds = useMemo(
+    () => (open ? decks.map(({ deck }) => deckOdds(deck, getCard, { lands, turn, onDraw, packageNames })) : []),
+    [open, decks, getCard, lands, turn, onDraw, packageNames]
+  );
+  const commanderNames = [...new Set(odds.flatMap((o) => o.commanders.map((c) => c.name)))];
+
+  // Best value per row is highlighted when decks differ
+  const row = (label, values, title) => {
+    const best = Math.max(...values.filter((v) => v != null));
+    const differ = new Set(values.map((v) => v?.toFixed(3))).size > 1;
+    return (
+      <tr key={label} title={title}>
+        <td className="pr-2">{label}</td>
+        {values.map((v, i) => (
+          <td key={decks[i].label} className={`text-right font-mono ${differ && v === best ? "text-green-400" : ""}`}>
+            {pct(v)}
+          </td>
+        ))}
+      </tr>
+    );
+  };
+
+  return (
+    <div>
+      <button
+        type="button"
+        className="mb-1 text-xs font-semibold text-white/80"
+        onClick={() => setOpen((v) => !v)}
+        aria-expanded={open}
+      >
+        {open ? "▾" : "▸"} Draw Odds
+      </button>
+      {open && (
+        <div className="space-y-2 text-xs">
+          <div className="flex flex-wrap items-center gap-2">
+            <label>
+              Lands{" "}
+              <input type="number" min="0" max="20" className={inputClass} value={lands} onChange={(e) => setLands(Math.max(0, Number(e.target.value)))} />
+            </label>
+            <label>
+              by turn{" "}
+              <input type="number" min="1" max="20" className={inputClass} value={turn} onChange={(e) => setTurn(Math.max(1, Number(e.target.value)))} />
+            </label>
+            <label className="flex items-center gap-1">
+              <input type="checkbox" checked={onDraw} onChange={(e) => setOnDraw(e.target.checked)} />
+              on the draw
+            </label>
+          </div>
+          <textarea
+            className="h-16 w-full rounded bg-slate-800 p-1 font-mono text-xs text-white ring-1 ring-white/10 focus:outline-none"
+            placeholder={"Package, one card per line\nSol Ring\nArcane Signet"}
+            value={packageText}
+            onChange={(e) => setPackageText(e.target.value)}
+          />
+          <table className="w-full">
+            <thead>
+              <tr className="opacity-70">
+                <th className="text-left font-normal">{cardsSeen(turn, onDraw)} cards seen</th>
+                {decks.map(({ label }) => (
+                  <th key={label} className="text-right font-normal">{label}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {row(`${lands}+ lands by T${turn}`, odds.map((o) => o.lands), odds.map((o, i) => `${decks[i].label}: ${o.landCount} lands in ${o.size} cards`).join("\n"))}
+              {commanderNames.map((name) => {
+                const mv = odds.map((o) => o.commanders.find((c) => c.name === name)).find((c) => c?.mv != null)?.mv;
+                return row(
+                  `${name} on T${mv ?? "?"}`,
+                  odds.map((o) => o.commanders.find((c) => c.name === name)?.p ?? null),
+                  "Enough lands to cast the commander on the turn matching its mana value"
+                );
+              })}
+              {packageNames.length > 0 &&
+                row(
+                  `Package by T${turn}`,
+                  odds.map((o) => o.pkg),
+                  odds.map((o, i) => `${decks[i].label}: ${o.packageCount} package cards`).join("\n")
+                )}
+            </tbody>
+          </table>
+          <div>
+            <button
+              type="button"
+              className="rounded bg-black/40 px-2 py-0.5"
+              onClick={() => setHands(decks.map(({ deck }) => sampleHand(deck)))}
+            >
+              Sample hands
+            </button>
+            {hands && (
+              <div className="mt-1 grid gap-2" style={{ gridTemplateColumns: `repeat(${hands.length}, minmax(0, 1fr))` }}>
+                {hands.map((hand, i) => (
+                  <ul key={decks[i]?.label ?? i} className="rounded bg-black/30 p-1">
+                    <li className="font-semibold opacity-70">{decks[i]?.label}</li>
+                    {hand.map((name, j) => (
+                      <li key={`${name}-${j}`} className="truncate" title={name}>{name}</li>
+                    ))}
+                  </ul>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
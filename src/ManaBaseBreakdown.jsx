@@ -0,0 +1,93 @@
+import React from "react";
+import { MANA_COLORS } from "./manaBase.js";
+
+const fmt = (n) => (Number.isInteger(n) ? String(n) : n.toFixed(1));
+
+// "18 → 16 (−2)", or just "18" when B has no change or isn't loaded
+const Shift = ({ a, b }) => {
+  if (b == null || b === a) return <span className="font-mono">{fmt(a)}</span>;
+  const delta = b - a;
+  return (
+    <span className="font-mono">
+      {fmt(a)} → {fmt(b)}
+      <span className={`ml-1 ${delta > 0 ? "text-green-400" : "text-red-400"}`}>
+        ({delta > 0 ? "+" : ""}
+        {fmt(delta)})
+      </span>
+    </span>
+  );
+};
+
+// --- ManaBaseBreakdown: pip demand vs land sources per color, A -> B ---
+// a, b: analyzeManaBase results (b null when there is no deck B)
+export default function ManaBaseBreakdown({ a, b }) {
+  const colors = MANA_COLORS.filter((c) => [a, b].some((s) => s && (s.pips[c] > 0 || s.sources[c] > 0)));
+  const short = (s, c) => s?.shortfalls.includes(c);
+  return (
+    <div>
+      <div className="mb-1 text-xs font-semibold text-white/80">Mana Base</div>
+      {colors.length === 0 ? (
+        <div className="text-xs italic opacity-60">No colored costs or lands yet</div>
+      ) : (
+        <>
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="opacity-70">
+                <th className="text-left font-normal" />
+                <th className="text-right font-normal">Pips</th>
+                <th className="text-right font-normal" title="Lands that produce the color">Sources</th>
+              </tr>
+            </thead>
+            <tbody>
+              {colors.map((c) => {
+                const title = short(b || a, c)
+                  ? `Fewer ${c} sources than its share of the pips${b ? " in B" : ""}`
+                  : short(a, c)
+                    ? `Short in A, balanced in B`
+                    : undefined;
+                return (
+                  <tr key={c} className={short(b || a, c) ? "text-amber-300" : ""} title={title}>
+                    <td>
+                      <img
+                        src={`https://svgs.scryfall.io/card-symbols/${c}.svg`}
+                        alt={c}
+                        className="inline-block h-4 w-4"
+                        loading="lazy"
+                      />
+                      {short(b || a, c) && <span className="ml-1">⚠</span>}
+                    </td>
+                    <td className="text-right">
+                      <Shift a={a.pips[c]} b={b?.pips[c]} />
+                    </td>
+                    <td className="text-right">
+                      <Shift a={a.sources[c]} b={b?.sources[c]} />
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <div className="mt-1 text-xs opacity-70">
+            Lands <Shift a={a.lands} b={b?.lands} />
+          </div>
+          {b && (
+            <ShortfallShift a={a.shortfalls} b={b.shortfalls} />
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+// Which shortfalls B introduces or fixes compared to A
+const ShortfallShift = ({ a, b }) => {
+  const added = b.filter((c) => !a.includes(c));
+  const fixed = a.filter((c) => !b.includes(c));
+  if (added.length === 0 && fixed.length === 0) return null;
+  return (
+    <div className="mt-1 text-xs">
+      {added.length > 0 && <div className="text-amber-300">B is now short on {added.join(", ")}</div>}
+      {fixed.length > 0 && <div className="text-green-300">B fixes the {fixed.join(", ")} shortfall</div>}
+    </div>
+  );
+};
@@ -0,0 +1,65 @@
+import React, { useRef } from "react";
+
+const formatDate = (ts) => new Date(ts).toLocaleDateString();
+
+// --- OfflineDbPanel: load, refresh or remove the offline card database ---
+export default function OfflineDbPanel({ offlineDb }) {
+  const { meta, available, progress, error, loadFile, download, clear } = offlineDb;
+  const fileRef = useRef(null);
+  const busy = progress !== null;
+
+  return (
+    <div className="rounded-lg bg-black/30 p-2 text-xs">
+      <div className="font-semibold opacity-90">Offline card data</div>
+      <div className="mt-1 opacity-70">
+        {busy
+          ? `${progress.label}…${progress.total ? ` ${progress.done.toLocaleString()} / ${progress.total.toLocaleString()}` : ""}`
+          : available
+            ? `${meta.count.toLocaleString()} cards · ${formatDate(meta.importedAt)}`
+            : "Not loaded — lookups and search use the Scryfall API."}
+      </div>
+      {error && <div className="mt-1 text-red-400">{error}</div>}
+      <div className="mt-2 flex flex-wrap gap-1">
+        <button
+          type="button"
+          disabled={busy}
+          className="rounded bg-black/40 px-2 py-0.5 disabled:opacity-40"
+          onClick={download}
+          title="Download Scryfall's oracle cards bulk file (~150 MB)"
+        >
+          {available ? "Update" : "Download"}
+        </button>
+        <button
+          type="button"
+          disabled={busy}
+          className="rounded bg-black/40 px-2 py-0.5 disabled:opacity-40"
+          onClick={() => fileRef.current?.click()}
+          title="Load an oracle-cards JSON file downloaded from scryfall.com/docs/api/bulk-data"
+        >
+          Load file
+        </button>
+        {available && (
+          <button
+            type="button"
+            disabled={busy}
+            className="rounded bg-black/40 px-2 py-0.5 text-red-300 disabled:opacity-40"
+            onClick={clear}
+          >
+            Remove
+          </button>
+        )}
+        <input
+          ref={fileRef}
+          type="file"
+          accept=".json,application/json"
+          className="hidden"
+          onChange={(e) => {
+            const file = e.target.files?.[0];
+            if (file) loadFile(file);
+            e.target.value = "";
+          }}
+        />
+      </div>
+    </div>
+  );
+}
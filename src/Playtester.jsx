@@ -0,0 +1,167 @@
+import React, { useState } from "react";
+import {
+  newGame, mulligan, keepHand, cardsToBottom, putOnBottom, drawCard, nextTurn, moveCard,
+} from "./playtest.js";
+
+const ZONE_TITLES = {
+  battlefield: "Battlefield",
+  hand: "Hand",
+  command: "Command Zone",
+  graveyard: "Graveyard",
+  exile: "Exile",
+};
+
+const buttonClass = "rounded-lg bg-black/40 hover:bg-black/60 px-3 py-1 text-xs font-semibold ring-1 ring-white/10 disabled:opacity-40";
+
+// One card instance; dragged with the same "card" payload the deck columns accept
+const PlaytestCard = ({ card, getCard, tapped, draggable, onClick }) => {
+  const data = getCard(card.name);
+  return (
+    <div
+      draggable={draggable}
+      onDragStart={(e) => e.dataTransfer.setData("card", JSON.stringify({ name: card.name, quantity: 1, id: card.id }))}
+      onClick={onClick}
+      className={`w-24 shrink-0 transition-transform ${draggable ? "cursor-grab" : ""} ${tapped ? "rotate-90" : ""}`}
+      title={card.name}
+    >
+      {data?.small || data?.png ? (
+        <img src={data.png || data.small} alt={card.name} className="w-24 rounded-md ring-1 ring-white/10" draggable={false} />
+      ) : (
+        <div className="flex h-32 w-24 items-center justify-center rounded-md bg-slate-800 p-1 text-center text-[10px] ring-1 ring-white/10">
+          {card.name}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// --- Playtester: goldfish a deck with London mulligans and drag-and-drop zones ---
+export default function Playtester({ deck, name, getCard, onClose }) {
+  const [game, setGame] = useState(() => newGame(deck));
+  const [tapped, setTapped] = useState(() => new Set());
+  const toBottom = cardsToBottom(game);
+
+  const restart = () => {
+    setGame(newGame(deck));
+    setTapped(new Set());
+  };
+  const toggleTapped = (id) =>
+    setTapped((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  const untapAll = () => setTapped(new Set());
+
+  const dropInto = (zone) => (e) => {
+    e.preventDefault();
+    try {
+      const card = JSON.parse(e.dataTransfer.getData("card") || "null");
+      if (card?.id) setGame((g) => moveCard(g, card.id, zone));
+    } catch (err) {
+      console.warn("Ignoring dropped data", err);
+    }
+  };
+
+  const zone = (key, className = "") => (
+    <section
+      className={`rounded-xl border border-white/10 bg-white/5 p-2 ${className}`}
+      onDragOver={(e) => e.preventDefault()}
+      onDrop={dropInto(key)}
+    >
+      <div className="mb-1 text-xs font-semibold uppercase tracking-wide text-white/70">
+        {ZONE_TITLES[key]} ({game[key].length})
+      </div>
+      <div className="flex min-h-32 flex-wrap gap-2">
+        {game[key].map((card) => (
+          <PlaytestCard
+            key={card.id}
+            card={card}
+            getCard={getCard}
+            tapped={key === "battlefield" && tapped.has(card.id)}
+            draggable={game.phase === "play"}
+            onClick={
+              key === "battlefield"
+                ? () => toggleTapped(card.id)
+                : key === "hand" && toBottom > 0
+                  ? () => setGame((g) => putOnBottom(g, card.id))
+                  : undefined
+            }
+          />
+        ))}
+      </div>
+    </section>
+  );
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto bg-slate-950/95 p-4 text-white">
+      <div className="mb-3 flex flex-wrap items-center gap-2">
+        <h2 className="mr-4 text-lg font-bold tracking-wide">Playtest: {name}</h2>
+        <span className="text-sm opacity-80">
+          {game.phase === "play" ? `Turn ${game.turn}` : `Opening hand${game.mulligans > 0 ? ` · mulligan ${game.mulligans}` : ""}`}
+        </span>
+        <span className="ml-auto flex flex-wrap gap-2">
+          {game.phase === "mulligan" && (
+            <>
+              <button type="button" className={buttonClass} onClick={() => setGame(keepHand)}>
+                Keep
+              </button>
+              <button type="button" className={buttonClass} disabled={game.mulligans >= 6} onClick={() => setGame(mulligan)}>
+                Mulligan
+              </button>
+            </>
+          )}
+          {game.phase === "play" && (
+            <>
+              <button
+                type="button"
+                className={buttonClass}
+                onClick={() => {
+                  setGame(nextTurn);
+                  untapAll();
+                }}
+              >
+                Next turn
+              </button>
+              <button type="button" className={buttonClass} disabled={game.library.length === 0} onClick={() => setGame(drawCard)}>
+                Draw
+              </button>
+            </>
+          )}
+          <button type="button" className={buttonClass} onClick={restart}>
+            Shuffle &amp; restart
+          </button>
+          <button type="button" className={buttonClass} onClick={onClose}>
+            Close
+          </button>
+        </span>
+      </div>
+      {toBottom > 0 && (
+        <div className="mb-3 rounded-lg bg-amber-900/40 px-3 py-1 text-sm text-amber-100 ring-1 ring-amber-400/30">
+          Click {toBottom} card{toBottom === 1 ? "" : "s"} in your hand to put on the bottom of your library.
+        </div>
+      )}
+      <div className="grid gap-3 md:grid-cols-[1fr_14rem]">
+        <div className="space-y-3">
+          {zone("battlefield", "min-h-48")}
+          {zone("hand")}
+        </div>
+        <div className="space-y-3">
+          <section
+            className="rounded-xl border border-white/10 bg-white/5 p-2 text-xs"
+            onDragOver={(e) => e.preventDefault()}
+            onDrop={dropInto("library")}
+            title="Drop a card here to put it on top of the library"
+          >
+            <div className="font-semibold uppercase tracking-wide text-white/70">Library</div>
+            <div className="text-2xl font-bold">{game.library.length}</div>
+          </section>
+          {game.command.length > 0 || deck.commander.size > 0 ? zone("command") : null}
+          {zone("graveyard")}
+          {zone("exile")}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,103 @@
+import React from "react";
+import { SEARCH_COLORS, SEARCH_TYPES, SEARCH_FORMATS, EMPTY_FILTERS, buildFilterQuery } from "./searchQuery.js";
+
+const COLOR_BUTTON_CLASSES = {
+  W: "bg-amber-100 text-black",
+  U: "bg-blue-500 text-white",
+  B: "bg-gray-800 text-white",
+  R: "bg-red-600 text-white",
+  G: "bg-green-600 text-white",
+};
+
+const inputClass = "w-full rounded bg-slate-800 p-1 text-xs text-white ring-1 ring-white/10 focus:outline-none";
+
+// --- SearchFilterBuilder: color identity / type / MV / legality / price filters ---
+export default function SearchFilterBuilder({ filters, setFilters }) {
+  const update = (patch) => setFilters({ ...filters, ...patch });
+  const toggleColor = (c) =>
+    update({ colors: filters.colors.includes(c) ? filters.colors.filter((x) => x !== c) : [...filters.colors, c] });
+  const query = buildFilterQuery(filters);
+
+  return (
+    <div className="mb-2 space-y-2 rounded-lg bg-black/30 p-2 text-xs">
+      <div>
+        <div className="mb-1 opacity-70">Color identity (within)</div>
+        <div className="flex gap-1">
+          {SEARCH_COLORS.map((c) => (
+            <button
+              key={c}
+              type="button"
+              aria-pressed={filters.colors.includes(c)}
+              className={`h-6 w-6 rounded-full font-bold ${COLOR_BUTTON_CLASSES[c]} ${filters.colors.includes(c) ? "ring-2 ring-white" : "opacity-40"}`}
+              onClick={() => toggleColor(c)}
+            >
+              {c}
+            </button>
+          ))}
+        </div>
+      </div>
+      <div className="grid grid-cols-2 gap-2">
+        <label>
+          <div className="mb-1 opacity-70">Type</div>
+          <select className={inputClass} value={filters.type} onChange={(e) => update({ type: e.target.value })}>
+            <option value="">Any</option>
+            {SEARCH_TYPES.map((t) => (
+              <option key={t} value={t}>{t}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <div className="mb-1 opacity-70">Legal in</div>
+          <select className={inputClass} value={filters.format} onChange={(e) => update({ format: e.target.value })}>
+            <option value="">Any format</option>
+            {SEARCH_FORMATS.map((f) => (
+              <option key={f} value={f}>{f[0].toUpperCase() + f.slice(1)}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <div className="mb-1 opacity-70">Mana value</div>
+          <div className="flex items-center gap-1">
+            <input
+              type="number"
+              min="0"
+              className={inputClass}
+              placeholder="min"
+              value={filters.mvMin}
+              onChange={(e) => update({ mvMin: e.target.value })}
+            />
+            <span>–</span>
+            <input
+              type="number"
+              min="0"
+              className={inputClass}
+              placeholder="max"
+              value={filters.mvMax}
+              onChange={(e) => update({ mvMax: e.target.value })}
+            />
+          </div>
+        </label>
+        <label>
+          <div className="mb-1 opacity-70">Max price (USD)</div>
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            className={inputClass}
+            placeholder="any"
+            value={filters.maxPrice}
+            onChange={(e) => update({ maxPrice: e.target.value })}
+          />
+        </label>
+      </div>
+      {query && (
+        <div className="flex items-center justify-between gap-2">
+          <code className="min-w-0 truncate opacity-70" title={query}>{query}</code>
+          <button type="button" className="rounded bg-black/40 px-2 py-0.5" onClick={() => setFilters(EMPTY_FILTERS)}>
+            Reset
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,80 @@
+import React, { useState } from "react";
+import { fetchSuggestions } from "./cardResolver.js";
+
+const UnresolvedRow = ({ name, failed, onReplace, onRetry }) => {
+  // null = not asked yet, [] = asked, nothing found
+  const [suggestions, setSuggestions] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const suggest = async () => {
+    setBusy(true);
+    setSuggestions(await fetchSuggestions(name));
+    setBusy(false);
+  };
+
+  return (
+    <li className="flex flex-wrap items-center gap-2 text-xs">
+      <span className="font-semibold">{name}</span>
+      {failed && <span className="text-amber-300" title="Scryfall could not be reached">lookup failed</span>}
+      <button
+        type="button"
+        className="rounded bg-black/40 px-2 py-0.5"
+        onClick={() => onRetry([name])}
+        title="Look this card up again"
+      >
+        Retry
+      </button>
+      {suggestions === null ? (
+        <button
+          type="button"
+          disabled={busy}
+          className="rounded bg-black/40 px-2 py-0.5 disabled:opacity-40"
+          onClick={suggest}
+        >
+          {busy ? "Searching…" : "Suggest"}
+        </button>
+      ) : suggestions.length === 0 ? (
+        <span className="italic opacity-70">no suggestions</span>
+      ) : (
+        suggestions.map((s) => (
+          <button
+            key={s}
+            type="button"
+            className="rounded bg-blue-800 hover:bg-blue-700 px-2 py-0.5"
+            onClick={() => onReplace(name, s)}
+            title={`Replace "${name}" with "${s}" in both decks`}
+          >
+            {s}
+          </button>
+        ))
+      )}
+    </li>
+  );
+};
+
+// --- UnresolvedCardsPanel: names Scryfall couldn't match, with suggested fixes ---
+// entries: [{ name, failed }] where failed means the lookup errored rather than missed
+export default function UnresolvedCardsPanel({ entries, onReplace, onRetry }) {
+  if (entries.length === 0) return null;
+  return (
+    <div className="rounded-2xl border border-amber-400/30 bg-amber-500/10 p-3">
+      <div className="flex items-center justify-between">
+        <div className="text-sm font-semibold text-amber-200">
+          {entries.length} card{entries.length === 1 ? "" : "s"} not found on Scryfall
+        </div>
+        <button
+          type="button"
+          className="rounded bg-black/40 px-2 py-0.5 text-xs"
+          onClick={() => onRetry(entries.map((e) => e.name))}
+        >
+          Retry all
+        </button>
+      </div>
+      <ul className="mt-2 space-y-1">
+        {entries.map(({ name, failed }) => (
+          <UnresolvedRow key={name} name={name} failed={failed} onReplace={onReplace} onRetry={onRetry} />
+        ))}
+      </ul>
+    </div>
+  );
+}
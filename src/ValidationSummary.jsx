@@ -0,0 +1,43 @@
+import React from "react";
+
+const BADGE_CLASSES = {
+  banned: "bg-red-900 text-red-100",
+  not_legal: "bg-red-900 text-red-100",
+  identity: "bg-fuchsia-900 text-fuchsia-100",
+  copies: "bg-amber-800 text-amber-100",
+};
+
+// Issue badges for one card row (see validation.js cardIssues)
+export const ValidationBadges = ({ issues }) =>
+  (issues || []).map((issue) => (
+    <span
+      key={issue.kind}
+      className={`ml-2 rounded-full px-2 py-0.5 text-xs font-semibold ${BADGE_CLASSES[issue.kind] || "bg-black/40"}`}
+      title={issue.title}
+    >
+      {issue.label}
+    </span>
+  ));
+
+// --- ValidationSummary: format check result for one deck ---
+// result: { label, problems } (label is the format's name), or null to show nothing
+export default function ValidationSummary({ result }) {
+  if (!result) return null;
+  if (result.problems.length === 0) {
+    return (
+      <div className="mb-2 rounded-lg bg-emerald-900/40 px-3 py-1 text-xs text-emerald-200 ring-1 ring-emerald-400/30">
+        ✓ {result.label} legal
+      </div>
+    );
+  }
+  return (
+    <div className="mb-2 rounded-lg bg-amber-900/30 px-3 py-1 text-xs text-amber-100 ring-1 ring-amber-400/30">
+      <div className="font-semibold">{result.label}: {result.problems.length} problem{result.problems.length === 1 ? "" : "s"}</div>
+      <ul className="list-disc pl-4">
+        {result.problems.map((p) => (
+          <li key={p}>{p}</li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,146 @@
+// --- Card cache -------------------------------------------------------------
+// Resolved cards ({ card, ts, failed? } entries, see cardResolver.js) stored one
+// IndexedDB record per name: { name, entry, size, usedAt }. Sizes and last-use times
+// are mirrored in memory, so the total is known without reading the store and the
+// least recently used cards can be evicted once it grows past MAX_CACHE_BYTES.
+// Replaces the single localStorage blob (LEGACY_CACHE_KEY), migrated on first load.
+import { databaseOpener, done, committed } from "./idb.js";
+
+const DB_NAME = "mtg_deck_diff_card_cache";
+const DB_VERSION = 1;
+const CARDS = "cards";
+const LEGACY_CACHE_KEY = "mtg_deck_diff_cache_v2";
+export const MAX_CACHE_BYTES = 25 * 1024 * 1024;
+// Eviction frees down to this share of the limit, so it doesn't run on every write
+const EVICT_TO = 0.8;
+// Last-use times only need to be roughly right for eviction; records used more recently
+// than this aren't rewritten, so resolving on every keystroke doesn't touch the store
+const TOUCH_AFTER_MS = 60 * 60 * 1000;
+
+const openDb = databaseOpener(DB_NAME, DB_VERSION, (db) => {
+  if (!db.objectStoreNames.contains(CARDS)) db.createObjectStore(CARDS, { keyPath: "name" });
+});
+
+// name -> { size, usedAt } for every stored record
+const stored = new Map();
+
+const entrySize = (name, entry) => name.length + JSON.stringify(entry).length;
+
+// Copy the old localStorage cache into IndexedDB once, then drop it
+const migrateLegacyCache = async (db) => {
+  let legacy = null;
+  try {
+    legacy = JSON.parse(localStorage.getItem(LEGACY_CACHE_KEY) || "null");
+  } catch {
+    legacy = null;
+  }
+  if (legacy && typeof legacy === "object") {
+    const tx = db.transaction(CARDS, "readwrite");
+    const store = tx.objectStore(CARDS);
+    const now = Date.now();
+    for (const [name, entry] of Object.entries(legacy)) {
+      if (entry && typeof entry === "object") {
+        store.put({ name, entry, size: entrySize(name, entry), usedAt: entry.ts || now });
+      }
+    }
+    await committed(tx);
+  }
+  localStorage.removeItem(LEGACY_CACHE_KEY);
+};
+
+// All cached entries as { [name]: entry }. Empty when IndexedDB is unavailable.
+export const loadCardCache = async () => {
+  try {
+    const db = await openDb();
+    await migrateLegacyCache(db);
+    const records = await done(db.transaction(CARDS).objectStore(CARDS).getAll());
+    const entries = {};
+    stored.clear();
+    for (const r of records) {
+      entries[r.name] = r.entry;
+      stored.set(r.name, { size: r.size || 0, usedAt: r.usedAt || 0 });
+    }
+    return entries;
+  } catch (e) {
+    console.warn("Card cache unavailable", e);
+    return {};
+  }
+};
+
+// { count, bytes } of what is stored
+export const cacheStats = () => {
+  let bytes = 0;
+  for (const { size } of stored.values()) bytes += size;
+  return { count: stored.size, bytes };
+};
+
+// Drop least recently used records until the cache fits again
+const evict = async (db) => {
+  let { bytes } = cacheStats();
+  if (bytes <= MAX_CACHE_BYTES) return;
+  const oldest = [...stored.entries()].sort((x, y) => x[1].usedAt - y[1].usedAt);
+  const tx = db.transaction(CARDS, "readwrite");
+  const store = tx.objectStore(CARDS);
+  for (const [name, { size }] of oldest) {
+    if (bytes <= MAX_CACHE_BYTES * EVICT_TO) break;
+    store.delete(name);
+    stored.delete(name);
+    bytes -= size;
+  }
+  await committed(tx);
+};
+
+// Write entries ({ [name]: entry }) and mark them used now
+export const putCacheEntries = async (entries) => {
+  const names = Object.keys(entries);
+  if (names.length === 0) return;
+  try {
+    const db = await openDb();
+    const tx = db.transaction(CARDS, "readwrite");
+    const store = tx.objectStore(CARDS);
+    const now = Date.now();
+    for (const name of names) {
+      const size = entrySize(name, entries[name]);
+      store.put({ name, entry: entries[name], size, usedAt: now });
+      stored.set(name, { size, usedAt: now });
+    }
+    await committed(tx);
+    await evict(db);
+  } catch (e) {
+    console.warn("Could not save card cache", e);
+  }
+};
+
+// Mark cached names as used now, so decks on screen are evicted last
+export const touchCacheEntries = async (names) => {
+  const now = Date.now();
+  const known = names.filter((n) => stored.has(n) && stored.get(n).usedAt < now - TOUCH_AFTER_MS);
+  if (known.length === 0) return;
+  // Mark them in memory first, so overlapping resolves don't write them again
+  known.forEach((n) => {
+    stored.get(n).usedAt = now;
+  });
+  try {
+    const db = await openDb();
+    const read = db.transaction(CARDS).objectStore(CARDS);
+    const records = await Promise.all(known.map((name) => done(read.get(name))));
+    const tx = db.transaction(CARDS, "readwrite");
+    const store = tx.objectStore(CARDS);
+    for (const record of records.filter(Boolean)) store.put({ ...record, usedAt: now });
+    await committed(tx);
+  } catch (e) {
+    console.warn("Could not update card cache", e);
+  }
+};
+
+export const clearCardCache = async () => {
+  try {
+    const db = await openDb();
+    const tx = db.transaction(CARDS, "readwrite");
+    tx.objectStore(CARDS).clear();
+    await committed(tx);
+  } catch (e) {
+    console.warn("Could not clear card cache", e);
+  }
+  stored.clear();
+};
@@ -0,0 +1,347 @@
+// --- Card resolution --------------------------------------------------------
+// Turns deck card names (and imported set/collector numbers) into Scryfall card data.
+// Lookup order per card: the offline card database when one is loaded (see offlineDb.js),
+// then the printing by { set, collector_number } when the deck has one, then the name
+// through /cards/collection, then exact/fuzzy /cards/named on each name variant (front
+// face, Alchemy "A-" stripped), then a multilingual search for non-English names.
+// Results are cached by the name used in the deck (persisted by cardCache.js); all
+// requests go through scryfallFetch.
+import { useCallback, useEffect, useState } from "react";
+import { normalizeName } from "./deck.js";
+import { getOfflineCards } from "./offlineDb.js";
+import { scryfallFetch } from "./scryfallClient.js";
+import { normalizePrices } from "./prices.js";
+import { loadCardCache, putCacheEntries, touchCacheEntries, clearCardCache, cacheStats } from "./cardCache.js";
+
+const batch = (arr, size = 75) => {
+  const out = [];
+  for (let i = 0; i < arr.length; i += size) out.push(arr.slice(i, i + size));
+  return out;
+};
+
+// Cache entries are { card, ts } plus failed: true when the lookup itself failed
+// (offline, Scryfall down) rather than Scryfall not knowing the name. Cards are
+// refreshed after a week, unknown names retried after a day, failures after a few minutes.
+const CARD_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const NOT_FOUND_TTL_MS = 24 * 60 * 60 * 1000;
+const FAILED_TTL_MS = 5 * 60 * 1000;
+
+// Bump when normalizeCard gains fields, so cards cached without them are fetched again
+const CARD_VERSION = 4;
+
+export const isFresh = (entry) => {
+  if (!entry?.ts) return false;
+  if (entry.card && entry.card.v !== CARD_VERSION) return false;
+  const ttl = entry.card ? CARD_TTL_MS : entry.failed ? FAILED_TTL_MS : NOT_FOUND_TTL_MS;
+  return Date.now() - entry.ts < ttl;
+};
+
+export const normalizeCard = (c) => {
+  const faces = Array.isArray(c.card_faces) ? c.card_faces : null;
+  const front = faces?.[0] || c;
+  const back = faces?.[1] || null;
+
+  const pick = (obj, pref = "big") => {
+    const u = obj?.image_uris || {};
+    if (pref === "big") return u.png || u.large || u.normal || u.small || null;
+    if (pref === "small") return u.small || u.normal || u.large || u.png || null;
+    if (pref === "art") return u.art_crop || u.normal || u.large || u.small || null;
+    return null;
+  };
+
+  // Always prefer face-level images for DFCs
+  const art = pick(front, "art") || pick(c, "art");
+  const small = pick(front, "small") || pick(c, "small");
+  const frontBig = pick(front, "big") || pick(c, "big");
+  const backBig = back ? pick(back, "big") : null;
+
+  return {
+    v: CARD_VERSION,
+    id: c.id,
+    oracle_id: c.oracle_id || front.oracle_id,
+    name: c.name,
+    mana_cost: front.mana_cost || c.mana_cost || "",
+    type_line: c.type_line || front.type_line || "",
+    oracle_text: front.oracle_text || c.oracle_text || "",
+    colors: c.colors || front.colors || [],
+    color_identity: c.color_identity || [],
+    art,
+    small,
+    png: frontBig,
+    back_png: backBig,
+    scryfall_uri: c.scryfall_uri,
+    set_name: c.set_name,
+    set: c.set,
+    collector_number: c.collector_number,
+    mtgo_id: c.mtgo_id,
+    legalities: c.legalities || {},
+    prices: normalizePrices(c.prices),
+    produced_mana: c.produced_mana || front.produced_mana || [],
+  };
+};
+
+// Case- and accent-insensitive form of a name, for matching printed (foreign) names
+const foldName = (s) =>
+  (s || "").normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase().trim();
+
+// Name variants to try for a name Scryfall didn't recognise, most specific first:
+// the full name, its front face ("Bonecrusher Giant // Stomp" -> "Bonecrusher Giant"),
+// then the paper card for Alchemy rebalanced names ("A-Name" -> "Name").
+export const nameVariants = (raw) => {
+  const full = normalizeName(raw);
+  const variants = [full];
+  const front = full.split(" // ")[0].trim();
+  if (front && front !== full) variants.push(front);
+  for (const v of [...variants]) {
+    if (/^A-/.test(v)) variants.push(v.slice(2));
+  }
+  return [...new Set(variants)];
+};
+
+// Scryfall /cards/collection identifier for a deck entry
+const identifierFor = (name, printing) => {
+  if (printing?.set && printing?.collectorNumber) {
+    return { set: printing.set.toLowerCase(), collector_number: String(printing.collectorNumber) };
+  }
+  if (printing?.set) return { name, set: printing.set.toLowerCase() };
+  return { name };
+};
+
+// Non-English names: search every language and map the printed name back to the
+// English card. Returns a raw Scryfall card or null.
+const searchForeignName = async (name) => {
+  const { ok, json } = await scryfallFetch(
+    `/cards/search?q=${encodeURIComponent(`"${name}"`)}&include_multilingual=true&unique=prints`
+  );
+  if (!ok) return null;
+  const target = foldName(name);
+  const hit = (json.data || []).find(
+    (c) =>
+      foldName(c.printed_name) === target ||
+      (c.card_faces || []).some((f) => foldName(f.printed_name) === target)
+  );
+  if (!hit) return null;
+  // The hit is a foreign printing; prefer the English card for text and images
+  const en = await scryfallFetch(`/cards/named?exact=${encodeURIComponent(hit.name)}`);
+  return en.ok ? en.json : hit;
+};
+
+// printings: Map<name, { set, collectorNumber }> from the deck model (optional)
+// Missing and expired entries are (re)fetched; an expired card stays in the cache if
+// its refresh fails. New entries are written to the persistent cache before returning.
+export const fetchCardsByNames = async (names, cache, printings = new Map()) => {
+  const missing = names.filter((n) => !isFresh(cache[n]));
+  touchCacheEntries(names.filter((n) => isFresh(cache[n])));
+  if (missing.length === 0) return cache;
+  const resolved = new Set();
+  const changed = new Set();
+  const put = (name, entry) => {
+    cache[name] = entry;
+    changed.add(name);
+  };
+  const store = (name, c) => {
+    put(name, { card: normalizeCard(c), ts: Date.now() });
+    resolved.add(name);
+  };
+  const storeMiss = (name, failed) => {
+    if (cache[name]?.card && failed) return;
+    put(name, failed ? { card: null, ts: Date.now(), failed: true } : { card: null, ts: Date.now() });
+  };
+  const persist = () => putCacheEntries(Object.fromEntries([...changed].map((n) => [n, cache[n]])));
+
+  // Names the offline database knows never reach the network. It holds one printing
+  // per card, so imported printings are only honoured online.
+  try {
+    const offline = await getOfflineCards([...new Set(missing.flatMap((n) => nameVariants(n)))]);
+    for (const name of missing) {
+      const hit = nameVariants(name).map((v) => offline.get(v)).find(Boolean);
+      if (hit) store(name, hit);
+    }
+  } catch (e) {
+    console.error("Offline card lookup failed", e);
+  }
+  const toFetch = missing.filter((n) => !resolved.has(n));
+  if (toFetch.length === 0) {
+    await persist();
+    return cache;
+  }
+
+  for (const chunk of batch(toFetch, 70)) {
+    const body = {
+      identifiers: chunk.map((name) => identifierFor(normalizeName(name), printings.get(name))),
+    };
+    let received = [];
+    try {
+      const { ok, status, json } = await scryfallFetch("/cards/collection", { method: "POST", body });
+      if (!ok) {
+        console.error("Scryfall collection fetch failed", status, json);
+      }
+      received = json?.data || [];
+    } catch (e) {
+      // Scryfall is unreachable even after retries; don't hammer it with fallbacks
+      console.error("Scryfall collection fetch failed", e);
+      chunk.forEach((name) => storeMiss(name, true));
+      continue;
+    }
+
+    // Index received cards by printing, canonical name and front-face name (case-insensitive)
+    const byPrinting = new Map();
+    const byCanonical = new Map();
+    const byFront = new Map();
+    for (const c of received) {
+      byPrinting.set(`${c.set}/${c.collector_number}`.toLowerCase(), c);
+      const canon = (c.name || "").toLowerCase();
+      if (canon) byCanonical.set(canon, c);
+      const face0 = (c.card_faces?.[0]?.name || "").toLowerCase();
+      if (face0) byFront.set(face0, c);
+      // Always cache under canonical name
+      if (!isFresh(cache[c.name])) put(c.name, { card: normalizeCard(c), ts: Date.now() });
+    }
+
+    // For each requested name in this chunk, map it to the card resolved for its
+    // printing, canonical name or front face.
+    for (const origName of chunk) {
+      const p = printings.get(origName);
+      let c = p?.set && p?.collectorNumber ? byPrinting.get(`${p.set}/${p.collectorNumber}`.toLowerCase()) : null;
+      const q = normalizeName(origName).toLowerCase();
+      if (!c) c = byCanonical.get(q);
+      if (!c) c = byFront.get(q);
+      if (c) store(origName, c);
+    }
+
+    // Fallback for unresolved names: try multiple variants and endpoints
+    for (const origName of chunk) {
+      if (resolved.has(origName)) continue; // already resolved above
+
+      // Try exact then fuzzy on each variant (full name, front face, non-Alchemy name)
+      const variants = nameVariants(origName).flatMap((q) => [
+        { kind: "exact", q },
+        { kind: "fuzzy", q },
+      ]);
+
+      let failed = false;
+      for (const v of variants) {
+        try {
+          const r = await scryfallFetch(`/cards/named?${v.kind}=${encodeURIComponent(v.q)}`);
+          if (r.ok) {
+            store(origName, r.json);
+            break;
+          }
+        } catch (e) {
+          failed = true;
+          console.error("Scryfall named lookup failed for", v.kind, v.q, e);
+        }
+      }
+
+      // Localized names ("Blitz", "Rayo") only match a printed_name
+      if (!resolved.has(origName)) {
+        try {
+          const c = await searchForeignName(normalizeName(origName));
+          if (c) store(origName, c);
+        } catch (e) {
+          failed = true;
+          console.error("Scryfall multilingual search failed for", origName, e);
+        }
+      }
+
+      // if still unresolved, remember why until the entry expires
+      if (!resolved.has(origName)) {
+        console.warn("Unresolved card name after fallbacks:", origName);
+        storeMiss(origName, failed);
+      }
+    }
+  }
+  await persist();
+  return cache;
+};
+
+// Card names Scryfall might mean, for the unresolved cards panel
+export const fetchSuggestions = async (name) => {
+  const queries = [...nameVariants(name)];
+  // Last resort: the longest word, which survives most typos elsewhere in the name
+  const longest = normalizeName(name).split(/\s+/).sort((x, y) => y.length - x.length)[0];
+  if (longest && longest.length >= 3) queries.push(longest);
+  const out = [];
+  for (const q of queries) {
+    try {
+      const { ok, json } = await scryfallFetch(`/cards/autocomplete?q=${encodeURIComponent(q)}`);
+      if (!ok) continue;
+      (json.data || []).forEach((n) => {
+        if (!out.includes(n)) out.push(n);
+      });
+    } catch (e) {
+      console.error("Scryfall autocomplete failed for", q, e);
+    }
+    if (out.length >= 8) break;
+  }
+  return out.slice(0, 8);
+};
+
+// Resolve `names` (with optional printings) and keep them in the card cache.
+// Returns { get, loading, unresolved, retry, stats, clearCache } where unresolved lists
+// [{ name, failed }] for names without a card, retry(names) drops their entries and looks
+// them up again, and stats is the persistent cache's { count, bytes }.
+export const useScryfall = (names, printings) => {
+  const [cache, setCache] = useState({});
+  // Lookups wait for the persistent cache so cached cards aren't fetched again
+  const [ready, setReady] = useState(false);
+  const [loading, setLoading] = useState(false);
+  // Bumped by retry() to rerun the lookup for the same names
+  const [attempt, setAttempt] = useState(0);
+  const [stats, setStats] = useState(() => cacheStats());
+
+  useEffect(() => {
+    loadCardCache().then((entries) => {
+      setCache(entries);
+      setStats(cacheStats());
+      setReady(true);
+    });
+  }, []);
+
+  // Rerun when the names or their printings change, not on every new array or Map
+  const namesKey = JSON.stringify([...names].sort());
+  const printingsKey = JSON.stringify([...(printings || [])].sort(([a], [b]) => a.localeCompare(b)));
+  useEffect(() => {
+    if (!ready) return;
+    let mounted = true;
+    (async () => {
+      setLoading(true);
+      const next = { ...cache };
+      await fetchCardsByNames(names, next, printings);
+      // Keep what this run fetched even when a newer run has started, merged over the
+      // latest cache rather than the snapshot it began with
+      const fetched = Object.fromEntries(Object.entries(next).filter(([name, entry]) => entry !== cache[name]));
+      setCache((prev) => ({ ...prev, ...fetched }));
+      // The newer run owns the loading flag
+      if (!mounted) return;
+      setStats(cacheStats());
+      setLoading(false);
+    })();
+    return () => {
+      mounted = false;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [namesKey, printingsKey, attempt, ready]);
+
+  // Stable per cache state, so memos keyed on it only rerun when new cards arrive
+  const get = useCallback((name) => cache[name]?.card || null, [cache]);
+  const unresolved = names
+    .filter((n) => cache[n] && !cache[n].card)
+    .map((n) => ({ name: n, failed: !!cache[n].failed }));
+  const retry = useCallback((retryNames) => {
+    setCache((prev) => {
+      const next = { ...prev };
+      retryNames.forEach((n) => delete next[n]);
+      return next;
+    });
+    setAttempt((n) => n + 1);
+  }, []);
+  // Empty the persistent cache; the cards on screen are fetched again
+  const clearCache = useCallback(async () => {
+    await clearCardCache();
+    setCache({});
+    setStats(cacheStats());
+    setAttempt((n) => n + 1);
+  }, []);
+  return { get, loading: loading || !ready, unresolved, retry, stats, clearCache };
+};
@@ -0,0 +1,121 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeCard, nameVariants, isFresh, fetchCardsByNames } from "./cardResolver.js";
+
+const bolt = (set, number) => ({ id: `${set}-${number}`, name: "Lightning Bolt", set, collector_number: number, type_line: "Instant" });
+const giant = {
+  id: "eld-115",
+  name: "Bonecrusher Giant // Stomp",
+  set: "eld",
+  collector_number: "115",
+  type_line: "Creature — Giant // Instant — Adventure",
+  card_faces: [{ name: "Bonecrusher Giant", mana_cost: "{2}{R}" }, { name: "Stomp", mana_cost: "{1}{R}" }],
+};
+
+// Answers /cards/collection with `cards` and every other request with a 404
+const stubFetch = (t, cards) => {
+  const requests = [];
+  t.mock.method(globalThis, "fetch", async (url, init) => {
+    requests.push(init?.body ? JSON.parse(init.body) : url);
+    const ok = String(url).endsWith("/cards/collection");
+    return { ok, status: ok ? 200 : 404, json: async () => (ok ? { data: cards } : { object: "error" }) };
+  });
+  t.mock.method(console, "warn", () => {});
+  t.mock.method(console, "error", () => {});
+  return requests;
+};
+
+describe("nameVariants", () => {
+  it("tries the full name, the front face, then the paper name of Alchemy cards", () => {
+    assert.deepEqual(nameVariants("A-Bonecrusher Giant // Stomp"), [
+      "A-Bonecrusher Giant // Stomp",
+      "A-Bonecrusher Giant",
+      "Bonecrusher Giant // Stomp",
+      "Bonecrusher Giant",
+    ]);
+    assert.deepEqual(nameVariants("Fire/Ice"), ["Fire // Ice", "Fire"]);
+  });
+});
+
+describe("normalizeCard", () => {
+  it("takes text and images from the front face of double-faced cards", () => {
+    const card = normalizeCard({
+      ...giant,
+      card_faces: [
+        { ...giant.card_faces[0], oracle_text: "Giant text", image_uris: { png: "front.png", small: "front-small.jpg" } },
+        { ...giant.card_faces[1], image_uris: { large: "back.jpg" } },
+      ],
+    });
+    assert.equal(card.mana_cost, "{2}{R}");
+    assert.equal(card.oracle_text, "Giant text");
+    assert.deepEqual([card.png, card.small, card.back_png], ["front.png", "front-small.jpg", "back.jpg"]);
+    assert.equal(normalizeCard({ ...giant, card_faces: [{ ...giant.card_faces[0], oracle_id: "og" }] }).oracle_id, "og");
+  });
+});
+
+describe("isFresh", () => {
+  const ago = (ms) => Date.now() - ms;
+  const DAY = 24 * 60 * 60 * 1000;
+
+  const card = normalizeCard(bolt("m11", "150"));
+
+  it("keeps cards for a week, unknown names for a day and failures for minutes", () => {
+    assert.equal(isFresh({ card, ts: ago(6 * DAY) }), true);
+    assert.equal(isFresh({ card, ts: ago(8 * DAY) }), false);
+    assert.equal(isFresh({ card: null, ts: ago(DAY / 2) }), true);
+    assert.equal(isFresh({ card: null, ts: ago(2 * DAY) }), false);
+    assert.equal(isFresh({ card: null, ts: ago(60 * 1000), failed: true }), true);
+    assert.equal(isFresh({ card: null, ts: ago(10 * 60 * 1000), failed: true }), false);
+  });
+
+  it("refetches cards cached before normalizeCard gained fields", () => {
+    assert.equal(isFresh({ card: { name: "Lightning Bolt" }, ts: Date.now() }), false);
+  });
+
+  it("treats entries without a timestamp as stale", () => {
+    assert.equal(isFresh({ card }), false);
+    assert.equal(isFresh(undefined), false);
+  });
+});
+
+describe("fetchCardsByNames", () => {
+  it("resolves by printing, canonical name and front face", async (t) => {
+    const requests = stubFetch(t, [bolt("m11", "150"), bolt("2xm", "117"), giant]);
+    const cache = {};
+    await fetchCardsByNames(
+      ["Lightning Bolt", "lightning bolt", "Bonecrusher Giant"],
+      cache,
+      new Map([["Lightning Bolt", { set: "2XM", collectorNumber: "117" }]])
+    );
+    assert.deepEqual(requests[0].identifiers, [
+      { set: "2xm", collector_number: "117" },
+      { name: "lightning bolt" },
+      { name: "Bonecrusher Giant" },
+    ]);
+    assert.equal(cache["Lightning Bolt"].card.set, "2xm");
+    assert.equal(cache["lightning bolt"].card.name, "Lightning Bolt");
+    assert.equal(cache["Bonecrusher Giant"].card.name, "Bonecrusher Giant // Stomp");
+  });
+
+  it("marks names no lookup can match as unresolved", async (t) => {
+    stubFetch(t, []);
+    const cache = {};
+    await fetchCardsByNames(["Lightnig Bolt"], cache);
+    assert.equal(cache["Lightnig Bolt"].card, null);
+  });
+
+  it("keeps an expired card when Scryfall can't be reached", async (t) => {
+    let calls = 0;
+    t.mock.method(globalThis, "fetch", async () => {
+      calls++;
+      return { ok: false, status: 503, headers: new Map([["Retry-After", "0.01"]]), json: async () => ({}) };
+    });
+    t.mock.method(console, "error", () => {});
+    const stale = { card: normalizeCard(bolt("m11", "150")), ts: 0 };
+    const cache = { "Lightning Bolt": stale, "Sol Ring": undefined };
+    await fetchCardsByNames(["Lightning Bolt", "Sol Ring"], cache);
+    assert.equal(cache["Lightning Bolt"], stale);
+    assert.equal(cache["Sol Ring"].failed, true);
+    assert.equal(calls, 4); // one collection request and its retries, no per-name fallbacks
+  });
+});
@@ -0,0 +1,59 @@
+// --- Card type and role breakdowns ----------------------------------------------
+// Counts for the stats sidebar. A card counts once per type on its type line (an
+// artifact creature is both) and once per role it matches. Roles are heuristics on
+// the rules text and type line, tuned for Commander staples rather than exhaustive.
+
+export const CARD_TYPES = ["Creature", "Instant", "Sorcery", "Artifact", "Enchantment", "Planeswalker", "Battle", "Land"];
+
+// role -> predicate on (lower-cased front-face rules text, type line)
+const ROLE_TESTS = {
+  ramp: (text, type) =>
+    !/\bLand\b/.test(type) &&
+    (/\badd \{|\badd (one|two|three|x) mana\b|\badd [^.]* mana of any/.test(text) ||
+      /search your library for [^.]*\bland cards?\b[^.]*onto the battlefield/.test(text) ||
+      /put (a|up to \w+) land cards? from your hand onto the battlefield/.test(text) ||
+      /create (a|one|two|three|x) treasure tokens?/.test(text)),
+  draw: (text) => /\bdraws? (a|an additional|one|two|three|four|five|seven|x|that many) cards?\b|\bdraw cards equal\b/.test(text),
+  removal: (text) =>
+    /\b(destroy|exile) (up to \w+ )?target (\w+ )?(creature|artifact|enchantment|planeswalker|permanent|battle)s?\b/.test(text) ||
+    /deals? (\d+|x|damage equal[^.]*?) (damage )?to (any target|target (\w+ )?(creature|planeswalker|battle))/.test(text) ||
+    /return target (\w+ )?(creature|permanent)[^.]* to (its|their) owner's hand/.test(text) ||
+    /target (creature|permanent) gets -\d+\/-\d+|target (player|opponent) sacrifices/.test(text) ||
+    /\bcounter target (\w+ )?spell\b/.test(text),
+  wipe: (text) =>
+    /\b(destroy|exile) all\b|\breturn all (nonland )?(creatures|permanents)\b/.test(text) ||
+    /deals? \S+ damage to each creature\b|\ball creatures get -|\beach player sacrifices (all|\w+ creatures)\b/.test(text),
+  tutor: (text) =>
+    [...text.matchAll(/search your library for ([^.]*?)(?:,|\.| and | then )/g)].some((m) => !/\bland\b/.test(m[1])),
+};
+
+export const ROLE_LABELS = { ramp: "Ramp", draw: "Card draw", removal: "Removal", wipe: "Board wipe", tutor: "Tutor" };
+
+// Card types on the front face of a type line ("Legendary Artifact Creature — Golem")
+export const cardTypes = (card) => {
+  const front = (card?.type_line || "").split(" // ")[0].split("—")[0];
+  return CARD_TYPES.filter((t) => new RegExp(`\\b${t}\\b`).test(front));
+};
+
+export const cardRoles = (card) => {
+  if (!card) return [];
+  const text = (card.oracle_text || "").toLowerCase();
+  const type = card.type_line || "";
+  return Object.keys(ROLE_TESTS).filter((role) => ROLE_TESTS[role](text, type));
+};
+
+// name -> qty Map -> { types: { [type]: n }, roles: { [role]: n } }
+export const categoryBreakdown = (deckMap, getCard) => {
+  const types = Object.fromEntries(CARD_TYPES.map((t) => [t, 0]));
+  const roles = Object.fromEntries(Object.keys(ROLE_LABELS).map((r) => [r, 0]));
+  for (const [name, qty] of deckMap) {
+    const card = getCard(name);
+    cardTypes(card).forEach((t) => {
+      types[t] += qty;
+    });
+    cardRoles(card).forEach((r) => {
+      roles[r] += qty;
+    });
+  }
+  return { types, roles };
+};
@@ -0,0 +1,72 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { cardTypes, cardRoles, categoryBreakdown } from "./cardStats.js";
+
+const CARDS = {
+  "Sol Ring": { type_line: "Artifact", oracle_text: "{T}: Add {C}{C}." },
+  Cultivate: {
+    type_line: "Sorcery",
+    oracle_text:
+      "Search your library for up to two basic land cards, reveal those cards, put one onto the battlefield tapped and the other into your hand, then shuffle.",
+  },
+  "Command Tower": { type_line: "Land", oracle_text: "{T}: Add one mana of any color in your commander's color identity." },
+  "Swords to Plowshares": { type_line: "Instant", oracle_text: "Exile target creature. Its controller gains life equal to its power." },
+  "Wrath of God": { type_line: "Sorcery", oracle_text: "Destroy all creatures. They can't be regenerated." },
+  "Demonic Tutor": { type_line: "Sorcery", oracle_text: "Search your library for a card, put that card into your hand, then shuffle." },
+  Divination: { type_line: "Sorcery", oracle_text: "Draw two cards." },
+  "Solemn Simulacrum": {
+    type_line: "Artifact Creature — Golem",
+    oracle_text:
+      "When Solemn Simulacrum enters, you may search your library for a basic land card, put it onto the battlefield tapped, then shuffle.\nWhen Solemn Simulacrum dies, you may draw a card.",
+  },
+  "Bonecrusher Giant // Stomp": {
+    type_line: "Creature — Giant // Instant — Adventure",
+    oracle_text: "Whenever Bonecrusher Giant becomes the target of a spell, Bonecrusher Giant deals 2 damage to that spell's controller.",
+  },
+};
+const getCard = (name) => CARDS[name] || null;
+
+describe("cardTypes", () => {
+  it("reads every type on the front face", () => {
+    assert.deepEqual(cardTypes(CARDS["Solemn Simulacrum"]), ["Creature", "Artifact"]);
+    assert.deepEqual(cardTypes(CARDS["Bonecrusher Giant // Stomp"]), ["Creature"]);
+    assert.deepEqual(cardTypes({ type_line: "Legendary Creature — Land Elemental" }), ["Creature"]);
+    assert.deepEqual(cardTypes(null), []);
+  });
+});
+
+describe("cardRoles", () => {
+  it("recognises ramp, draw, removal, wipes and tutors", () => {
+    assert.deepEqual(cardRoles(CARDS["Sol Ring"]), ["ramp"]);
+    assert.deepEqual(cardRoles(CARDS.Cultivate), ["ramp"]);
+    assert.deepEqual(cardRoles(CARDS["Swords to Plowshares"]), ["removal"]);
+    assert.deepEqual(cardRoles(CARDS["Wrath of God"]), ["wipe"]);
+    assert.deepEqual(cardRoles(CARDS["Demonic Tutor"]), ["tutor"]);
+    assert.deepEqual(cardRoles(CARDS.Divination), ["draw"]);
+    assert.deepEqual(cardRoles(CARDS["Solemn Simulacrum"]), ["ramp", "draw"]);
+  });
+
+  it("doesn't count lands that tap for mana as ramp", () => {
+    assert.deepEqual(cardRoles(CARDS["Command Tower"]), []);
+    assert.deepEqual(cardRoles(null), []);
+  });
+});
+
+describe("categoryBreakdown", () => {
+  it("counts copies per type and role, skipping unresolved cards", () => {
+    const deck = new Map([
+      ["Sol Ring", 1],
+      ["Solemn Simulacrum", 2],
+      ["Command Tower", 1],
+      ["Divination", 3],
+      ["Unknown Card", 4],
+    ]);
+    const { types, roles } = categoryBreakdown(deck, getCard);
+    assert.equal(types.Artifact, 3);
+    assert.equal(types.Creature, 2);
+    assert.equal(types.Land, 1);
+    assert.equal(types.Sorcery, 3);
+    assert.equal(types.Battle, 0);
+    assert.deepEqual(roles, { ramp: 3, draw: 5, removal: 0, wipe: 0, tutor: 0 });
+  });
+});
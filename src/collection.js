@@ -0,0 +1,88 @@
+// --- Collection ---------------------------------------------------------------
+// The cards you own, imported from a collection manager CSV or "qty name" text and
+// stored locally as { cards: { [name]: qty }, importedAt }. Parsing reuses the deck
+// importers and flattens every zone, so any format they read works here too.
+// Collection names aren't resolved through Scryfall (collections can hold thousands
+// of cards); they're matched to deck names case-insensitively and by front face.
+import { ownedMap } from "./deck.js";
+import { importDeck } from "./importers.js";
+
+const COLLECTION_KEY = "mtg_deck_diff_collection_v1";
+
+export const EMPTY_COLLECTION = { cards: {}, importedAt: null };
+
+export const loadCollection = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(COLLECTION_KEY) || "null");
+    return saved && typeof saved.cards === "object" ? saved : EMPTY_COLLECTION;
+  } catch {
+    return EMPTY_COLLECTION;
+  }
+};
+
+export const saveCollection = (collection) => {
+  try {
+    if (collection.importedAt) localStorage.setItem(COLLECTION_KEY, JSON.stringify(collection));
+    else localStorage.removeItem(COLLECTION_KEY);
+  } catch (e) {
+    console.warn("Could not save collection", e);
+  }
+};
+
+// Collection file or pasted text -> { collection, label, unparsed }. Quantities of
+// the same card in several rows (printings, foils, binders) are added up.
+export const parseCollection = (text, fileName = "") => {
+  const { label, deck, unparsed } = importDeck(text, fileName);
+  const cards = {};
+  ownedMap(deck).forEach((qty, name) => {
+    cards[name] = (cards[name] || 0) + qty;
+  });
+  deck.maybeboard.forEach((qty, name) => {
+    cards[name] = (cards[name] || 0) + qty;
+  });
+  return { collection: { cards, importedAt: Date.now() }, label, unparsed };
+};
+
+export const collectionSize = (collection) => {
+  const counts = Object.values(collection.cards);
+  return { unique: counts.length, total: counts.reduce((sum, q) => sum + q, 0) };
+};
+
+const matchKey = (name) => name.toLowerCase().split(" // ")[0].trim();
+
+// name -> qty owned, keyed for matching deck names
+const ownedIndex = (collection) => {
+  const index = new Map();
+  for (const [name, qty] of Object.entries(collection.cards)) {
+    const key = matchKey(name);
+    index.set(key, (index.get(key) || 0) + qty);
+  }
+  return index;
+};
+
+// Cards going from deck A to deck B needs beyond A's copies, checked against the
+// collection: name -> { need, have, status } with status "owned", "partial" or
+// "missing". Empty when no collection is imported.
+export const collectionNeeds = (deckA, deckB, collection) => {
+  const needs = new Map();
+  if (!collection.importedAt) return needs;
+  const index = ownedIndex(collection);
+  const inA = ownedMap(deckA);
+  ownedMap(deckB).forEach((qty, name) => {
+    const need = qty - (inA.get(name) || 0);
+    if (need <= 0) return;
+    const have = index.get(matchKey(name)) || 0;
+    const status = have >= need ? "owned" : have > 0 ? "partial" : "missing";
+    needs.set(name, { need, have, status });
+  });
+  return needs;
+};
+
+// Copies still to buy: [{ name, qty }] sorted by name
+export const shoppingList = (needs) =>
+  [...needs]
+    .filter(([, n]) => n.status !== "owned")
+    .map(([name, n]) => ({ name, qty: n.need - n.have }))
+    .sort((x, y) => x.name.localeCompare(y.name));
+
+export const shoppingListText = (list) => list.map(({ qty, name }) => `${qty} ${name}`).join("\n");
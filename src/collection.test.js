@@ -0,0 +1,94 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { parseDeckText } from "./deck.js";
+import {
+  EMPTY_COLLECTION, loadCollection, saveCollection, parseCollection, collectionSize, collectionNeeds, shoppingList,
+  shoppingListText,
+} from "./collection.js";
+
+const store = new Map();
+globalThis.localStorage = {
+  getItem: (k) => (store.has(k) ? store.get(k) : null),
+  setItem: (k, v) => store.set(k, String(v)),
+  removeItem: (k) => store.delete(k),
+};
+
+const owned = (cards) => ({ cards, importedAt: 1 });
+
+describe("parseCollection", () => {
+  it("adds up rows of the same card across zones and printings", () => {
+    const csv = 'Count,Name,Edition\n2,"Lightning Bolt",m11\n3,"Lightning Bolt",2xm\n1,"Sol Ring",cmr';
+    const { collection } = parseCollection(csv);
+    assert.deepEqual(collection.cards, { "Lightning Bolt": 5, "Sol Ring": 1 });
+    assert.ok(collection.importedAt);
+    const text = parseCollection("2 Island\n\nSideboard\n1 Island\n\nMaybeboard\n1 Island").collection;
+    assert.deepEqual(text.cards, { Island: 4 });
+    assert.deepEqual(collectionSize(text), { unique: 1, total: 4 });
+  });
+});
+
+describe("collection storage", () => {
+  beforeEach(() => store.clear());
+
+  it("saves imported collections and forgets cleared ones", () => {
+    assert.equal(loadCollection(), EMPTY_COLLECTION);
+    saveCollection(owned({ Island: 4 }));
+    assert.deepEqual(loadCollection(), owned({ Island: 4 }));
+    saveCollection(EMPTY_COLLECTION);
+    assert.equal(loadCollection(), EMPTY_COLLECTION);
+  });
+
+  it("ignores unreadable data", () => {
+    store.set("mtg_deck_diff_collection_v1", "{not json");
+    assert.equal(loadCollection(), EMPTY_COLLECTION);
+  });
+});
+
+describe("collectionNeeds", () => {
+  const deckA = parseDeckText("2 Lightning Bolt\n20 Island");
+  const deckB = parseDeckText(
+    "4 Lightning Bolt\n18 Island\n1 Delver of Secrets // Insectile Aberration\n\nSideboard\n1 Pyroblast\n\nMaybeboard\n1 Sol Ring"
+  );
+
+  it("is empty without an imported collection", () => {
+    assert.equal(collectionNeeds(deckA, deckB, EMPTY_COLLECTION).size, 0);
+  });
+
+  it("checks only the copies B adds beyond A", () => {
+    const needs = collectionNeeds(deckA, deckB, owned({ "Lightning Bolt": 1 }));
+    assert.deepEqual([...needs.keys()], ["Lightning Bolt", "Delver of Secrets // Insectile Aberration", "Pyroblast"]);
+    assert.deepEqual(needs.get("Lightning Bolt"), { need: 2, have: 1, status: "partial" });
+    assert.equal(needs.get("Pyroblast").status, "missing");
+  });
+
+  it("matches by lowercase front-face name", () => {
+    const needs = collectionNeeds(deckA, deckB, owned({ "delver of secrets": 1, "LIGHTNING BOLT": 4 }));
+    assert.deepEqual(needs.get("Delver of Secrets // Insectile Aberration"), { need: 1, have: 1, status: "owned" });
+    assert.equal(needs.get("Lightning Bolt").status, "owned");
+  });
+
+  it("adds up collection entries that share a front face", () => {
+    const needs = collectionNeeds(
+      deckA,
+      parseDeckText("4 Delver of Secrets // Insectile Aberration"),
+      owned({ "Delver of Secrets": 1, "Delver of Secrets // Insectile Aberration": 2 })
+    );
+    assert.deepEqual(needs.get("Delver of Secrets // Insectile Aberration"), { need: 4, have: 3, status: "partial" });
+  });
+});
+
+describe("shoppingList", () => {
+  it("lists the shortfall of partial and missing cards by name", () => {
+    const needs = new Map([
+      ["Pyroblast", { need: 1, have: 0, status: "missing" }],
+      ["Lightning Bolt", { need: 4, have: 1, status: "partial" }],
+      ["Island", { need: 2, have: 5, status: "owned" }],
+    ]);
+    const list = shoppingList(needs);
+    assert.deepEqual(list, [
+      { name: "Lightning Bolt", qty: 3 },
+      { name: "Pyroblast", qty: 1 },
+    ]);
+    assert.equal(shoppingListText(list), "3 Lightning Bolt\n1 Pyroblast");
+  });
+});
@@ -0,0 +1,183 @@
+// --- Column grouping and sorting ------------------------------------------------
+// How DeckColumn lays out a zone's cards: split into groups (type, mana value, color,
+// diff status or custom tags) and sorted within each group, after the filter bar has
+// narrowed it down. Grouping, sort and the custom tags are saved locally.
+import { manaValue } from "./manaBase.js";
+import { cardPrice } from "./prices.js";
+
+export const GROUP_OPTIONS = {
+  none: "No grouping",
+  type: "Card type",
+  mv: "Mana value",
+  color: "Color",
+  status: "Diff status",
+  tag: "Tags",
+};
+
+export const SORT_OPTIONS = {
+  name: "Name",
+  mv: "Mana value",
+  price: "Price",
+  delta: "Qty change",
+};
+
+const VIEW_KEY = "mtg_deck_diff_column_view_v1";
+const TAGS_KEY = "mtg_deck_diff_card_tags_v1";
+
+const loadJson = (key, fallback) => {
+  try {
+    const v = JSON.parse(localStorage.getItem(key) || "null");
+    return v && typeof v === "object" ? v : fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+const saveJson = (key, value, what) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (e) {
+    console.warn(`Could not save ${what}`, e);
+  }
+};
+
+// { groupBy, sortBy }
+export const loadColumnView = () => {
+  const view = loadJson(VIEW_KEY, {});
+  return {
+    groupBy: GROUP_OPTIONS[view.groupBy] ? view.groupBy : "none",
+    sortBy: SORT_OPTIONS[view.sortBy] ? view.sortBy : "name",
+  };
+};
+export const saveColumnView = (view) => saveJson(VIEW_KEY, view, "column view");
+
+// { [name]: [tag] }
+export const loadCardTags = () => loadJson(TAGS_KEY, {});
+export const saveCardTags = (tags) => saveJson(TAGS_KEY, tags, "card tags");
+
+// "ramp, Draw ,ramp" -> ["ramp", "Draw"]
+export const parseTags = (text) => [...new Set(text.split(",").map((t) => t.trim()).filter(Boolean))];
+
+// Type groups in display order; a card goes in the first that matches
+const TYPE_GROUPS = ["Creature", "Planeswalker", "Battle", "Instant", "Sorcery", "Artifact", "Enchantment", "Land"];
+const COLOR_NAMES = { W: "White", U: "Blue", B: "Black", R: "Red", G: "Green" };
+const STATUS_GROUPS = {
+  onlyA: "Only in A",
+  onlyB: "Only in B",
+  diff: "Different quantity",
+  moved: "Moved zone",
+  equal: "Same quantity",
+};
+
+const frontType = (card) => (card?.type_line || "").split(" // ")[0].split("—")[0];
+const isLand = (card) => /\bLand\b/.test(frontType(card));
+const cardManaValue = (card) => (card ? card.cmc ?? manaValue(card.mana_cost) : null);
+
+// Group keys for a card; [key, sort rank] pairs so groups come out in a fixed order.
+// Tags are the only grouping where a card can sit in several groups.
+const groupKeys = (groupBy, name, ctx) => {
+  const card = ctx.getCard(name);
+  switch (groupBy) {
+    case "type": {
+      const type = TYPE_GROUPS.find((t) => new RegExp(`\\b${t}\\b`).test(frontType(card)));
+      return card ? [[type || "Other", type ? TYPE_GROUPS.indexOf(type) : TYPE_GROUPS.length]] : [["Unknown", 99]];
+    }
+    case "mv": {
+      if (!card) return [["Unknown", 99]];
+      if (isLand(card)) return [["Lands", 98]];
+      const mv = cardManaValue(card);
+      return [[`MV ${mv}`, mv]];
+    }
+    case "color": {
+      if (!card) return [["Unknown", 99]];
+      const colors = card.colors || [];
+      if (colors.length > 1) return [["Multicolor", 5]];
+      if (colors.length === 1) return [[COLOR_NAMES[colors[0]] || colors[0], "WUBRG".indexOf(colors[0])]];
+      return [[isLand(card) ? "Lands" : "Colorless", isLand(card) ? 7 : 6]];
+    }
+    case "status": {
+      const status = ctx.status(name) || "equal";
+      return [[STATUS_GROUPS[status], Object.keys(STATUS_GROUPS).indexOf(status)]];
+    }
+    case "tag": {
+      const tags = ctx.tags[name] || [];
+      return tags.length > 0 ? tags.map((t) => [t, 0]) : [["Untagged", 1]];
+    }
+    default:
+      return [["", 0]];
+  }
+};
+
+const compareBy = (sortBy, ctx) => {
+  const byName = (a, b) => a.localeCompare(b);
+  switch (sortBy) {
+    case "mv": {
+      const mv = (n) => cardManaValue(ctx.getCard(n)) ?? Infinity;
+      return (a, b) => mv(a) - mv(b) || byName(a, b);
+    }
+    case "price": {
+      // Most expensive first, unpriced last
+      const price = (n) => cardPrice(ctx.getCard(n), ctx.currency) ?? -1;
+      return (a, b) => price(b) - price(a) || byName(a, b);
+    }
+    case "delta": {
+      // Biggest change between A and B first
+      const delta = (n) => Math.abs((ctx.qtyB(n) || 0) - (ctx.qtyA(n) || 0));
+      return (a, b) => delta(b) - delta(a) || byName(a, b);
+    }
+    default:
+      return byName;
+  }
+};
+
+// Names -> [{ key, names }] in group order, each group sorted
+// ctx: { getCard, qtyA(name), qtyB(name), status(name) (computeDeckDiff status), tags, currency }
+export const groupAndSort = (names, { groupBy, sortBy }, ctx) => {
+  const groups = new Map();
+  for (const name of names) {
+    for (const [key, rank] of groupKeys(groupBy, name, ctx)) {
+      if (!groups.has(key)) groups.set(key, { key, rank, names: [] });
+      groups.get(key).names.push(name);
+    }
+  }
+  const compare = compareBy(sortBy, ctx);
+  return [...groups.values()]
+    .sort((a, b) => a.rank - b.rank || a.key.localeCompare(b.key))
+    .map(({ key, names: groupNames }) => ({ key, names: groupNames.sort(compare) }));
+};
+
+// --- Column filter ---
+// Narrows the deck columns and the merged list. status is a computeDeckDiff status
+// ("onlyA", "onlyB", "diff", "equal", "moved"), or "added" for merged cards added by
+// hand that are in neither deck; color is a WUBRG letter, "C" for
+// colorless or "M" for multicolor; text matches the name or rules text.
+export const EMPTY_COLUMN_FILTER = { status: "", type: "", color: "", text: "" };
+
+export const FILTER_STATUSES = {
+  onlyA: "Only in A",
+  onlyB: "Only in B",
+  diff: "Quantity changed",
+  equal: "Equal",
+  moved: "Moved zone",
+  added: "Added to merge",
+};
+
+export const FILTER_COLORS = { W: "White", U: "Blue", B: "Black", R: "Red", G: "Green", C: "Colorless", M: "Multicolor" };
+
+export const isFilterActive = (filter) => Object.values(filter).some(Boolean);
+
+export const matchesColumnFilter = (name, status, filter, getCard) => {
+  if (filter.status && status !== filter.status) return false;
+  if (!filter.type && !filter.color && !filter.text.trim()) return true;
+  const card = getCard(name);
+  if (filter.type && !new RegExp(`\\b${filter.type}\\b`).test(frontType(card))) return false;
+  if (filter.color) {
+    const colors = card?.colors || [];
+    const ok =
+      filter.color === "C" ? card && colors.length === 0 : filter.color === "M" ? colors.length > 1 : colors.includes(filter.color);
+    if (!ok) return false;
+  }
+  const text = filter.text.trim().toLowerCase();
+  if (text && !name.toLowerCase().includes(text) && !(card?.oracle_text || "").toLowerCase().includes(text)) return false;
+  return true;
+};
@@ -0,0 +1,180 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  EMPTY_COLUMN_FILTER, FILTER_STATUSES, isFilterActive, matchesColumnFilter, groupAndSort, parseTags, loadColumnView, saveColumnView,
+  loadCardTags, saveCardTags,
+} from "./columnView.js";
+
+const store = new Map();
+globalThis.localStorage = {
+  getItem: (k) => (store.has(k) ? store.get(k) : null),
+  setItem: (k, v) => store.set(k, String(v)),
+  removeItem: (k) => store.delete(k),
+};
+
+const CARDS = {
+  Island: { type_line: "Basic Land — Island", colors: [], cmc: 0 },
+  "Lightning Bolt": {
+    type_line: "Instant",
+    colors: ["R"],
+    cmc: 1,
+    prices: { usd: 1.5 },
+    oracle_text: "Lightning Bolt deals 3 damage to any target.",
+  },
+  Counterspell: { type_line: "Instant", colors: ["U"], mana_cost: "{U}{U}", prices: { usd: 0.5 } },
+  "Goblin Guide": { type_line: "Creature — Goblin Scout", colors: ["R"], cmc: 1, prices: { usd: 3 } },
+  "Izzet Charm": { type_line: "Instant", colors: ["U", "R"], cmc: 2 },
+  "Sol Ring": { type_line: "Artifact", colors: [], cmc: 1, prices: { usd: 2 } },
+  "Dryad Arbor": { type_line: "Land Creature — Forest Dryad", colors: ["G"], cmc: 0 },
+};
+const qtyA = { Island: 20, "Lightning Bolt": 4, Counterspell: 2, "Sol Ring": 1 };
+const qtyB = { Island: 18, "Lightning Bolt": 4, "Goblin Guide": 4, "Izzet Charm": 1 };
+// computeDeckDiff statuses; Sol Ring moved from the mainboard to B's sideboard
+const STATUS = {
+  Island: "diff",
+  "Lightning Bolt": "equal",
+  Counterspell: "onlyA",
+  "Sol Ring": "moved",
+  "Goblin Guide": "onlyB",
+  "Izzet Charm": "onlyB",
+};
+const ctx = {
+  getCard: (name) => CARDS[name] || null,
+  qtyA: (name) => qtyA[name] || 0,
+  qtyB: (name) => qtyB[name] || 0,
+  status: (name) => STATUS[name],
+  tags: { "Lightning Bolt": ["burn", "removal"], "Goblin Guide": ["burn"] },
+  currency: "usd",
+};
+const NAMES = [...Object.keys(CARDS), "Unknown Card"];
+
+// [{ key, names }] -> { key: names }
+const layout = (groupBy, sortBy = "name", names = NAMES) =>
+  Object.fromEntries(groupAndSort(names, { groupBy, sortBy }, ctx).map((g) => [g.key, g.names]));
+
+describe("groupAndSort", () => {
+  it("keeps one sorted group without grouping", () => {
+    assert.deepEqual(groupAndSort(["Sol Ring", "Island"], { groupBy: "none", sortBy: "name" }, ctx), [
+      { key: "", names: ["Island", "Sol Ring"] },
+    ]);
+  });
+
+  it("groups by the first matching card type, in display order", () => {
+    const groups = groupAndSort(NAMES, { groupBy: "type", sortBy: "name" }, ctx);
+    assert.deepEqual(
+      groups.map((g) => g.key),
+      ["Creature", "Instant", "Artifact", "Land", "Unknown"]
+    );
+    assert.deepEqual(groups[0].names, ["Dryad Arbor", "Goblin Guide"]);
+  });
+
+  it("groups by mana value with lands apart, reading mana cost when cmc is missing", () => {
+    assert.deepEqual(layout("mv"), {
+      "MV 1": ["Goblin Guide", "Lightning Bolt", "Sol Ring"],
+      "MV 2": ["Counterspell", "Izzet Charm"],
+      Lands: ["Dryad Arbor", "Island"],
+      Unknown: ["Unknown Card"],
+    });
+  });
+
+  it("groups by color", () => {
+    assert.deepEqual(Object.keys(layout("color")), ["Blue", "Red", "Green", "Multicolor", "Colorless", "Lands", "Unknown"]);
+    assert.deepEqual(layout("color").Colorless, ["Sol Ring"]);
+  });
+
+  it("groups by diff status, moved cards apart", () => {
+    const names = ["Island", "Lightning Bolt", "Counterspell", "Sol Ring", "Goblin Guide", "Izzet Charm"];
+    assert.deepEqual(Object.entries(layout("status", "name", names)), [
+      ["Only in A", ["Counterspell"]],
+      ["Only in B", ["Goblin Guide", "Izzet Charm"]],
+      ["Different quantity", ["Island"]],
+      ["Moved zone", ["Sol Ring"]],
+      ["Same quantity", ["Lightning Bolt"]],
+    ]);
+  });
+
+  it("puts a card in every group it's tagged with", () => {
+    assert.deepEqual(layout("tag", "name", ["Lightning Bolt", "Goblin Guide", "Island"]), {
+      burn: ["Goblin Guide", "Lightning Bolt"],
+      removal: ["Lightning Bolt"],
+      Untagged: ["Island"],
+    });
+  });
+
+  it("sorts by mana value, price or quantity change, then by name", () => {
+    const names = ["Sol Ring", "Counterspell", "Lightning Bolt", "Goblin Guide", "Izzet Charm", "Unknown Card"];
+    assert.deepEqual(layout("none", "mv", names)[""], [
+      "Goblin Guide", "Lightning Bolt", "Sol Ring", "Counterspell", "Izzet Charm", "Unknown Card",
+    ]);
+    assert.deepEqual(layout("none", "price", names)[""], [
+      "Goblin Guide", "Sol Ring", "Lightning Bolt", "Counterspell", "Izzet Charm", "Unknown Card",
+    ]);
+    assert.deepEqual(layout("none", "delta", names)[""], [
+      "Goblin Guide", "Counterspell", "Izzet Charm", "Sol Ring", "Lightning Bolt", "Unknown Card",
+    ]);
+  });
+});
+
+describe("matchesColumnFilter", () => {
+  const matching = (filter, status = "equal") =>
+    NAMES.filter((name) => matchesColumnFilter(name, status, { ...EMPTY_COLUMN_FILTER, ...filter }, ctx.getCard));
+
+  it("lets everything through an empty filter", () => {
+    assert.equal(isFilterActive(EMPTY_COLUMN_FILTER), false);
+    assert.deepEqual(matching({}), NAMES);
+  });
+
+  it("filters by diff status", () => {
+    assert.equal(isFilterActive({ ...EMPTY_COLUMN_FILTER, status: "moved" }), true);
+    assert.deepEqual(matching({ status: "moved" }, "moved"), NAMES);
+    assert.deepEqual(matching({ status: "moved" }, "diff"), []);
+    // Cards added to the merge by hand have a status of their own
+    assert.equal(FILTER_STATUSES.added, "Added to merge");
+    assert.deepEqual(matching({ status: "added" }, "added"), NAMES);
+  });
+
+  it("filters by front-face type", () => {
+    assert.deepEqual(matching({ type: "Creature" }), ["Goblin Guide", "Dryad Arbor"]);
+    assert.deepEqual(matching({ type: "Land" }), ["Island", "Dryad Arbor"]);
+  });
+
+  it("filters by color, colorless or multicolor", () => {
+    assert.deepEqual(matching({ color: "R" }), ["Lightning Bolt", "Goblin Guide", "Izzet Charm"]);
+    // Unresolved cards aren't known to be colorless
+    assert.deepEqual(matching({ color: "C" }), ["Island", "Sol Ring"]);
+    assert.deepEqual(matching({ color: "M" }), ["Izzet Charm"]);
+  });
+
+  it("matches text in the name or rules text", () => {
+    assert.deepEqual(matching({ text: " GOBLIN " }), ["Goblin Guide"]);
+    assert.deepEqual(matching({ text: "any target" }), ["Lightning Bolt"]);
+    assert.deepEqual(matching({ text: "bolt", color: "U" }), []);
+  });
+});
+
+describe("parseTags", () => {
+  it("trims, drops empties and removes duplicates", () => {
+    assert.deepEqual(parseTags("ramp, Draw ,ramp,, "), ["ramp", "Draw"]);
+    assert.deepEqual(parseTags(""), []);
+  });
+});
+
+describe("column view storage", () => {
+  beforeEach(() => store.clear());
+
+  it("saves the view and falls back to defaults for unknown options", () => {
+    assert.deepEqual(loadColumnView(), { groupBy: "none", sortBy: "name" });
+    saveColumnView({ groupBy: "mv", sortBy: "price" });
+    assert.deepEqual(loadColumnView(), { groupBy: "mv", sortBy: "price" });
+    saveColumnView({ groupBy: "rarity", sortBy: "age" });
+    assert.deepEqual(loadColumnView(), { groupBy: "none", sortBy: "name" });
+  });
+
+  it("saves card tags", () => {
+    assert.deepEqual(loadCardTags(), {});
+    saveCardTags({ "Sol Ring": ["ramp"] });
+    assert.deepEqual(loadCardTags(), { "Sol Ring": ["ramp"] });
+    store.set("mtg_deck_diff_card_tags_v1", "{not json");
+    assert.deepEqual(loadCardTags(), {});
+  });
+});
@@ -0,0 +1,383 @@
+// --- Deck model -------------------------------------------------------------
+// A deck is a plain object of zone -> Map<name, qty>. Every zone is always
+// present (possibly empty) so callers never have to null-check a zone.
+// `printings` remembers the set/collector number a list was imported with, by name.
+export const ZONES = ["commander", "companion", "mainboard", "sideboard", "maybeboard"];
+
+export const ZONE_LABELS = {
+  commander: "Commander",
+  companion: "Companion",
+  mainboard: "Mainboard",
+  sideboard: "Sideboard",
+  maybeboard: "Maybeboard",
+};
+
+// Header written by generateDeckText for each zone (Arena uses "Deck" for the main)
+const ZONE_HEADERS = {
+  commander: "Commander",
+  companion: "Companion",
+  mainboard: "Deck",
+  sideboard: "Sideboard",
+  maybeboard: "Maybeboard",
+};
+
+// Section headers we recognise when parsing, e.g. "Sideboard", "// Commander", "MAYBEBOARD (12):"
+const HEADER_RE = /^(?:\/\/\s*)?(commanders?|companions?|deck|main(?:board|deck)?|sideboard|side|maybeboard|maybe|considering)\s*(?:\(\d+\))?\s*:?\s*$/i;
+
+const headerToZone = (word) => {
+  const w = word.toLowerCase();
+  if (w.startsWith("commander")) return "commander";
+  if (w.startsWith("companion")) return "companion";
+  if (w === "sideboard" || w === "side") return "sideboard";
+  if (w === "maybeboard" || w === "maybe" || w === "considering") return "maybeboard";
+  return "mainboard";
+};
+
+export const emptyDeck = () => ({
+  ...Object.fromEntries(ZONES.map((z) => [z, new Map()])),
+  printings: new Map(),
+});
+
+// Shallow copy: new zone Maps, so a single zone can be mutated safely
+export const cloneDeck = (deck) => ({
+  ...Object.fromEntries(ZONES.map((z) => [z, new Map(deck[z])])),
+  printings: new Map(deck.printings),
+});
+
+export const deckCount = (deck) =>
+  ZONES.reduce((sum, z) => sum + [...deck[z].values()].reduce((s, q) => s + q, 0), 0);
+
+export const isEmptyDeck = (deck) => ZONES.every((z) => deck[z].size === 0);
+
+// Zones that hold at least one card in any of the given decks, in ZONES order
+export const usedZones = (...decks) => ZONES.filter((z) => decks.some((d) => d[z].size > 0));
+
+// All distinct card names across every zone of the given decks
+export const deckNames = (...decks) => {
+  const s = new Set();
+  decks.forEach((d) => ZONES.forEach((z) => d[z].forEach((_, name) => s.add(name))));
+  return [...s].sort((x, y) => x.localeCompare(y));
+};
+
+// Cards that are actually played: commander(s) plus mainboard, flattened into one Map.
+// Used by stats panels that don't care about zones.
+export const playableMap = (deck) => {
+  const m = new Map();
+  ["commander", "mainboard"].forEach((z) => {
+    deck[z].forEach((qty, name) => m.set(name, (m.get(name) || 0) + qty));
+  });
+  return m;
+};
+
+// Cards a deck needs on hand: every zone but the maybeboard, flattened into one Map.
+// Used for prices and collection checks.
+export const ownedMap = (deck) => {
+  const m = new Map();
+  ["commander", "companion", "mainboard", "sideboard"].forEach((z) => {
+    deck[z].forEach((qty, name) => m.set(name, (m.get(name) || 0) + qty));
+  });
+  return m;
+};
+
+// Merge-choice / selection key for a card within a zone
+export const zoneKey = (zone, name) => `${zone}:${name}`;
+// Inverse of zoneKey: { zone, name }
+export const splitZoneKey = (key) => {
+  const i = key.indexOf(":");
+  return { zone: key.slice(0, i), name: key.slice(i + 1) };
+};
+
+// Normalize multi-face separators and spacing for card names
+export const normalizeName = (raw) => {
+  if (!raw) return raw;
+  let s = raw.trim();
+  // Collapse 3+ slashes to two (some exports use '///')
+  s = s.replace(/\/{3,}/g, "//");
+  // Single slashes separate faces too ("Fire/Ice" in MTGO and some CSV exports)
+  s = s.replace(/([^/\s])\s*\/\s*(?=[^/\s])/g, "$1 // ");
+  // Ensure single spaces around double-slash separators
+  s = s.replace(/\s*\/\/\s*/g, " // ");
+  // Collapse multiple spaces
+  s = s.replace(/\s{2,}/g, " ");
+  return s.trim();
+};
+
+// Parse a single "qty name" card line. Understands the decorations most tools add:
+// "1x Island", "4 Lightning Bolt (M11) 150", "1 Sol Ring (C21) 263 *F*",
+// "1 Island [MOM]", "1x Atraxa (C16) 28 [Commander{top}]", "1 Kenrith *CMDR*".
+// Returns { qty, name, set, collectorNumber, zone } or null when the line isn't a card.
+// zone is only set when the line itself says where the card goes.
+export const parseCardLine = (line) => {
+  const m = line.match(/^(\d+)x?\s+(.+)$/i);
+  if (!m) return null;
+  const qty = parseInt(m[1], 10) || 0;
+  let name = m[2].trim();
+  let set = null;
+  let collectorNumber = null;
+  let zone = null;
+
+  // Commander / foil / etched markers
+  if (/\*cmdr\*/i.test(name)) zone = "commander";
+  name = name.replace(/\s*\*[a-z]+\*/gi, "");
+
+  // Trailing brackets: either a set code "[MOM]" or Archidekt categories "[Commander{top},Ramp]"
+  const bracket = name.match(/\s*\[([^\]]+)\]\s*$/);
+  if (bracket) {
+    name = name.slice(0, bracket.index);
+    const inner = bracket[1].trim();
+    if (/^[A-Za-z0-9]{2,6}$/.test(inner) && !/\([^)]*\)/.test(name)) {
+      set = inner.toUpperCase();
+    } else {
+      const first = inner.split(",")[0].replace(/\{[^}]*\}/g, "").trim();
+      const header = first.match(HEADER_RE);
+      if (header) zone = headerToZone(header[1]);
+    }
+  }
+  // Trailing parenthetical set codes and optional collector numbers, e.g. "(M11) 150" or "(151/280)"
+  const printing = name.match(/\s*\(([^)]*)\)\s*([\w/-]*)\s*$/);
+  if (printing) {
+    name = name.slice(0, printing.index);
+    if (/^[A-Za-z0-9]{2,6}$/.test(printing[1].trim())) {
+      set = printing[1].trim().toUpperCase();
+      collectorNumber = printing[2] || null;
+    }
+  }
+  // Remove stray trailing collector numbers if any remain (e.g., "Lightning Bolt 150")
+  name = name.replace(/\s+\d+\s*$/, "");
+
+  // Normalize multi-face separators (e.g., '///' -> ' // ')
+  name = normalizeName(name);
+  if (!name || qty <= 0) return null;
+  return { qty, name, set, collectorNumber, zone };
+};
+
+// Add a parsed card (see parseCardLine) to a deck in place, remembering its printing
+export const addParsedCard = (deck, card, zone = "mainboard") => {
+  const map = deck[card.zone || zone];
+  map.set(card.name, (map.get(card.name) || 0) + card.qty);
+  if (card.set && !deck.printings.has(card.name)) {
+    deck.printings.set(card.name, { set: card.set, collectorNumber: card.collectorNumber || null });
+  }
+};
+
+// Section header at the start of a line, or null
+export const matchZoneHeader = (line) => {
+  const header = line.match(HEADER_RE);
+  return header ? headerToZone(header[1]) : null;
+};
+
+export const parseDeckText = (text, unparsed = null) => {
+  // Supports lines like: "3 Lightning Bolt", "1x Island", "SB: 2 Duress"
+  // Section headers ("Commander", "Deck", "Sideboard", "Maybeboard", ...) switch the zone
+  // that following lines are added to; everything before the first header is mainboard.
+  // Lines that aren't cards, headers or comments are pushed to `unparsed` when given.
+  const lines = text
+    .replace(/\r/g, "\n")
+    .split(/\n+/)
+    .map((l) => l.trim())
+    .filter(Boolean);
+
+  const deck = emptyDeck();
+  let zone = "mainboard";
+
+  for (let line of lines) {
+    const header = matchZoneHeader(line);
+    if (header) {
+      zone = header;
+      continue;
+    }
+    // Comments
+    if (/^(\/\/|#)/.test(line)) continue;
+
+    // MTGO-style inline sideboard prefix
+    let lineZone = zone;
+    const sb = line.match(/^sb:\s*(.+)$/i);
+    if (sb) {
+      lineZone = "sideboard";
+      line = sb[1];
+    }
+
+    const card = parseCardLine(line);
+    if (!card) {
+      if (unparsed) unparsed.push(line);
+      continue;
+    }
+    addParsedCard(deck, card, lineZone);
+  }
+
+  return deck; // { [zone]: Map<name, qty>, printings: Map<name, { set, collectorNumber }> }
+};
+
+// Produces .txt format. Mainboard-only decks stay as plain '2 Lightning Bolt\n1 Island';
+// anything with other zones gets Arena-style section headers. Known printings are kept
+// as "(SET) 123" so they survive a round trip through the textarea.
+export const generateDeckText = (deck) => {
+  const zones = usedZones(deck);
+  const lines = (z) => [...deck[z].entries()].map(([name, qty]) => {
+    const p = deck.printings?.get(name);
+    if (!p?.set) return `${qty} ${name}`;
+    return `${qty} ${name} (${p.set})${p.collectorNumber ? ` ${p.collectorNumber}` : ""}`;
+  });
+  if (zones.length === 0) return "";
+  if (zones.length === 1 && zones[0] === "mainboard") return lines("mainboard").join("\n");
+  return zones.map((z) => [ZONE_HEADERS[z], ...lines(z)].join("\n")).join("\n\n");
+};
+
+// Build a deck object from rows of { zone, name, qty } (e.g. merged deck rows),
+// optionally carrying over printings from the source decks
+export const deckFromRows = (rows, ...sources) => {
+  const deck = emptyDeck();
+  sources.forEach((src) => src?.printings?.forEach((p, name) => {
+    if (!deck.printings.has(name)) deck.printings.set(name, p);
+  }));
+  rows.forEach(({ zone = "mainboard", name, qty }) => {
+    if (qty > 0) deck[zone].set(name, (deck[zone].get(name) || 0) + qty);
+  });
+  return deck;
+};
+
+// Add one copy of a card to a zone, matching existing entries by normalized name
+export const addCard = (deck, cardObj, zone = "mainboard") => {
+  const name = cardObj?.name;
+  const updated = cloneDeck(deck);
+  if (!name) return updated;
+  const map = updated[zone];
+  const normalized = normalizeName(name);
+  for (const key of map.keys()) {
+    if (normalizeName(key) === normalized) {
+      map.set(key, (map.get(key) || 0) + 1);
+      return updated;
+    }
+  }
+  map.set(name, 1);
+  return updated;
+};
+
+// Remove one copy of a card from a zone, dropping the entry when it reaches zero
+export const removeCard = (deck, name, zone = "mainboard") => {
+  const updated = cloneDeck(deck);
+  const map = updated[zone];
+  const qty = map.get(name) || 0;
+  if (qty <= 1) map.delete(name);
+  else map.set(name, qty - 1);
+  return updated;
+};
+
+// Replace a card name in every zone (e.g. a typo fixed from a suggestion), merging
+// quantities if the new name is already in the deck. The old printing is dropped.
+export const renameCard = (deck, from, to) => {
+  const updated = cloneDeck(deck);
+  for (const zone of ZONES) {
+    const qty = updated[zone].get(from);
+    if (!qty) continue;
+    updated[zone].delete(from);
+    updated[zone].set(to, (updated[zone].get(to) || 0) + qty);
+  }
+  updated.printings.delete(from);
+  return updated;
+};
+
+// The name a card has in a zone of a parsed (not canonicalized) deck, given the name
+// canonicalizeDeck gave it; null if the zone doesn't hold it
+export const parsedNameOf = (deck, zone, name, resolve) => {
+  for (const key of deck[zone].keys()) {
+    if (key === name || resolve(key)?.name === name) return key;
+  }
+  return null;
+};
+
+// Re-key a deck on card identity once names are resolved: spelling variants, front-face
+// names and localized names of one card collapse into a single entry under its canonical
+// name. resolve(name) returns a card ({ oracle_id, name }) or null; unresolved names stay as-is.
+export const canonicalizeDeck = (deck, resolve) => {
+  const updated = emptyDeck();
+  // oracle_id -> the canonical name used for it
+  const nameById = new Map();
+  const canonical = (name) => {
+    const card = resolve(name);
+    if (!card?.name) return name;
+    const id = card.oracle_id || card.name;
+    if (!nameById.has(id)) nameById.set(id, card.name);
+    return nameById.get(id);
+  };
+  for (const zone of ZONES) {
+    for (const [name, qty] of deck[zone]) {
+      const key = canonical(name);
+      updated[zone].set(key, (updated[zone].get(key) || 0) + qty);
+    }
+  }
+  for (const [name, printing] of deck.printings) {
+    const key = canonical(name);
+    if (!updated.printings.has(key)) updated.printings.set(key, printing);
+  }
+  return updated;
+};
+
+// --- Diff -------------------------------------------------------------------
+export const computeStatus = (qa, qb) => {
+  if (qa && qb) {
+    if (qa === qb) return "equal";
+    return "diff";
+  }
+  if (qa && !qb) return "onlyA";
+  if (!qa && qb) return "onlyB";
+  return "equal";
+};
+
+// Compare two decks zone by zone. A card whose copies changed zone between A and B
+// (e.g. main -> side) is reported as a move rather than a cut plus an add.
+// Returns { entries: Map<zoneKey, entry>, moves: [{ name, from, to, qty }], counts }
+// where entry = { zone, name, qa, qb, status, movedTo, movedFrom }.
+export const computeDeckDiff = (deckA, deckB) => {
+  const entries = new Map();
+  const moves = [];
+  const counts = { equal: 0, onlyA: 0, onlyB: 0, diff: 0, moved: 0 };
+
+  for (const name of deckNames(deckA, deckB)) {
+    // Per-zone delta (B - A); pair zones that lost copies with zones that gained them
+    const losses = [];
+    const gains = [];
+    const remaining = {};
+    for (const zone of ZONES) {
+      const delta = (deckB[zone].get(name) || 0) - (deckA[zone].get(name) || 0);
+      remaining[zone] = delta;
+      if (delta < 0) losses.push(zone);
+      if (delta > 0) gains.push(zone);
+    }
+    const movedFrom = {};
+    const movedTo = {};
+    for (const from of losses) {
+      for (const to of gains) {
+        const qty = Math.min(-remaining[from], remaining[to]);
+        if (qty <= 0) continue;
+        remaining[from] += qty;
+        remaining[to] -= qty;
+        moves.push({ name, from, to, qty });
+        movedTo[from] = to;
+        movedFrom[to] = from;
+      }
+    }
+    if (Object.keys(movedTo).length > 0) counts.moved += 1;
+
+    for (const zone of ZONES) {
+      const qa = deckA[zone].get(name) || 0;
+      const qb = deckB[zone].get(name) || 0;
+      if (!qa && !qb) continue;
+      // Fully explained by a move: the zone change is the only difference
+      const isMove = qa !== qb && remaining[zone] === 0;
+      const status = isMove ? "moved" : computeStatus(qa, qb);
+      if (!isMove) counts[status] += 1;
+      entries.set(zoneKey(zone, name), {
+        zone,
+        name,
+        qa,
+        qb,
+        status,
+        movedTo: movedTo[zone] || null,
+        movedFrom: movedFrom[zone] || null,
+      });
+    }
+  }
+
+  return { entries, moves, counts };
+};
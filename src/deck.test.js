@@ -0,0 +1,185 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  parseDeckText, parseCardLine, generateDeckText, normalizeName, addCard, removeCard, renameCard, playableMap,
+  zoneKey, splitZoneKey, canonicalizeDeck, parsedNameOf, computeDeckDiff,
+} from "./deck.js";
+
+describe("parseDeckText", () => {
+  it("reads everything before the first header as mainboard", () => {
+    const deck = parseDeckText("4 Lightning Bolt\n1x Island");
+    assert.deepEqual([...deck.mainboard], [["Lightning Bolt", 4], ["Island", 1]]);
+  });
+
+  it("switches zones on section headers", () => {
+    const deck = parseDeckText(
+      "Commander\n1 Kenrith, the Returned King\n\nCompanion\n1 Lurrus of the Dream-Den\n\nDeck\n1 Sol Ring\n\nSideboard (1):\n1 Duress\n\n// Maybeboard\n1 Mana Crypt"
+    );
+    assert.deepEqual([...deck.commander.keys()], ["Kenrith, the Returned King"]);
+    assert.deepEqual([...deck.companion.keys()], ["Lurrus of the Dream-Den"]);
+    assert.deepEqual([...deck.mainboard.keys()], ["Sol Ring"]);
+    assert.deepEqual([...deck.sideboard.keys()], ["Duress"]);
+    assert.deepEqual([...deck.maybeboard.keys()], ["Mana Crypt"]);
+  });
+
+  it("puts SB: lines in the sideboard", () => {
+    const deck = parseDeckText("4 Lightning Bolt\nSB: 2 Duress");
+    assert.equal(deck.sideboard.get("Duress"), 2);
+    assert.equal(deck.mainboard.size, 1);
+  });
+
+  it("honours inline commander markers", () => {
+    const deck = parseDeckText("1 Kenrith *CMDR*\n1 Sol Ring");
+    assert.equal(deck.commander.get("Kenrith"), 1);
+    assert.equal(deck.mainboard.size, 1);
+  });
+
+  it("collects lines it can't read", () => {
+    const unparsed = [];
+    parseDeckText("4 Lightning Bolt\nnot a card\n# comment", unparsed);
+    assert.deepEqual(unparsed, ["not a card"]);
+  });
+
+  it("keeps printings through a round trip", () => {
+    const deck = parseDeckText("Commander\n1 Sol Ring (C21) 263\n\nDeck\n4 Lightning Bolt (M11) 150");
+    assert.deepEqual(deck.printings.get("Lightning Bolt"), { set: "M11", collectorNumber: "150" });
+    assert.equal(generateDeckText(parseDeckText(generateDeckText(deck))), generateDeckText(deck));
+  });
+
+  it("round-trips through generateDeckText", () => {
+    const text = "Commander\n1 Kenrith, the Returned King\n\nDeck\n1 Sol Ring\n\nSideboard\n1 Duress";
+    assert.equal(generateDeckText(parseDeckText(text)), text);
+    assert.equal(generateDeckText(parseDeckText("4 Lightning Bolt\n1 Island")), "4 Lightning Bolt\n1 Island");
+  });
+});
+
+describe("parseCardLine", () => {
+  it("strips decorations and reads the printing", () => {
+    assert.deepEqual(parseCardLine("1 Fire // Ice [MH2]"), {
+      qty: 1,
+      name: "Fire // Ice",
+      set: "MH2",
+      collectorNumber: null,
+      zone: null,
+    });
+    assert.deepEqual(parseCardLine("1 Sol Ring (C21) 263 *F*"), {
+      qty: 1,
+      name: "Sol Ring",
+      set: "C21",
+      collectorNumber: "263",
+      zone: null,
+    });
+    assert.equal(parseCardLine("1x Atraxa (C16) 28 [Commander{top}]").zone, "commander");
+    assert.equal(parseCardLine("Lightning Bolt"), null);
+  });
+});
+
+describe("normalizeName", () => {
+  it("writes every face separator as \" // \"", () => {
+    assert.equal(normalizeName("Fire/Ice"), "Fire // Ice");
+    assert.equal(normalizeName("Fire///Ice"), "Fire // Ice");
+    assert.equal(normalizeName("  Fire  //Ice "), "Fire // Ice");
+  });
+});
+
+describe("deck edits", () => {
+  it("adds and removes single copies within a zone", () => {
+    let deck = parseDeckText("1 Island");
+    deck = addCard(deck, { name: "Island" });
+    deck = addCard(deck, { name: "Duress" }, "sideboard");
+    assert.deepEqual([deck.mainboard.get("Island"), deck.sideboard.get("Duress")], [2, 1]);
+    deck = removeCard(deck, "Duress", "sideboard");
+    assert.equal(deck.sideboard.has("Duress"), false);
+  });
+
+  it("renames a card in every zone, merging into an existing entry", () => {
+    const typo = parseDeckText("2 Lightnig Bolt (M11) 150\n1 Lightning Bolt\n\nSideboard\n1 Lightnig Bolt");
+    const deck = renameCard(typo, "Lightnig Bolt", "Lightning Bolt");
+    assert.deepEqual([...deck.mainboard], [["Lightning Bolt", 3]]);
+    assert.deepEqual([...deck.sideboard], [["Lightning Bolt", 1]]);
+    assert.equal(deck.printings.size, 0);
+  });
+
+  it("counts only commander and mainboard as the playable deck", () => {
+    const deck = parseDeckText("Commander\n1 Kenrith\n\nDeck\n1 Kenrith\n2 Sol Ring\n\nSideboard\n1 Duress");
+    assert.deepEqual([...playableMap(deck)], [["Kenrith", 2], ["Sol Ring", 2]]);
+  });
+
+  it("splits zone keys at the first colon only", () => {
+    assert.deepEqual(splitZoneKey(zoneKey("mainboard", "Circle of Protection: Red")), {
+      zone: "mainboard",
+      name: "Circle of Protection: Red",
+    });
+  });
+});
+
+describe("canonicalizeDeck", () => {
+  const CARDS = {
+    "Fire/Ice": { oracle_id: "fi", name: "Fire // Ice" },
+    "Fire // Ice": { oracle_id: "fi", name: "Fire // Ice" },
+    Rayo: { oracle_id: "lb", name: "Lightning Bolt" },
+    "Lightning Bolt": { oracle_id: "lb", name: "Lightning Bolt" },
+  };
+  const resolve = (name) => CARDS[name] || null;
+
+  it("collapses spellings of one card into its canonical name", () => {
+    const deck = canonicalizeDeck(parseDeckText("1 Fire/Ice\n2 Fire // Ice\n1 Rayo (M11) 150\n3 Lightning Bolt"), resolve);
+    assert.deepEqual([...deck.mainboard], [["Fire // Ice", 3], ["Lightning Bolt", 4]]);
+    assert.deepEqual(deck.printings.get("Lightning Bolt"), { set: "M11", collectorNumber: "150" });
+  });
+
+  it("keeps unresolved names and zones as they are", () => {
+    const deck = canonicalizeDeck(parseDeckText("1 Rayo\n1 Mystery Card\n\nSideboard\n1 Lightning Bolt"), resolve);
+    assert.deepEqual([...deck.mainboard], [["Lightning Bolt", 1], ["Mystery Card", 1]]);
+    assert.deepEqual([...deck.sideboard], [["Lightning Bolt", 1]]);
+  });
+
+  it("makes spelling differences disappear from the diff", () => {
+    const { counts } = computeDeckDiff(
+      canonicalizeDeck(parseDeckText("1 Fire/Ice"), resolve),
+      canonicalizeDeck(parseDeckText("1 Fire // Ice"), resolve)
+    );
+    assert.deepEqual(counts, { equal: 1, onlyA: 0, onlyB: 0, diff: 0, moved: 0 });
+  });
+
+  it("finds the spelling a parsed deck uses for a canonical name", () => {
+    const parsed = parseDeckText("1 Rayo\n\nSideboard\n1 Lightning Bolt");
+    assert.equal(parsedNameOf(parsed, "mainboard", "Lightning Bolt", resolve), "Rayo");
+    assert.equal(parsedNameOf(parsed, "sideboard", "Lightning Bolt", resolve), "Lightning Bolt");
+    assert.equal(parsedNameOf(parsed, "mainboard", "Fire // Ice", resolve), null);
+  });
+});
+
+describe("computeDeckDiff", () => {
+  it("reports quantity changes per zone", () => {
+    const { entries, counts } = computeDeckDiff(
+      parseDeckText("4 Lightning Bolt\n2 Shock\n1 Island"),
+      parseDeckText("3 Lightning Bolt\n2 Shock\n1 Mountain")
+    );
+    assert.equal(entries.get("mainboard:Lightning Bolt").status, "diff");
+    assert.equal(entries.get("mainboard:Shock").status, "equal");
+    assert.equal(entries.get("mainboard:Island").status, "onlyA");
+    assert.equal(entries.get("mainboard:Mountain").status, "onlyB");
+    assert.deepEqual(counts, { equal: 1, onlyA: 1, onlyB: 1, diff: 1, moved: 0 });
+  });
+
+  it("reports a zone change as a move rather than a cut and an add", () => {
+    const { entries, moves, counts } = computeDeckDiff(
+      parseDeckText("4 Duress\n4 Lightning Bolt"),
+      parseDeckText("4 Lightning Bolt\n\nSideboard\n4 Duress")
+    );
+    assert.deepEqual(moves, [{ name: "Duress", from: "mainboard", to: "sideboard", qty: 4 }]);
+    assert.equal(entries.get("mainboard:Duress").status, "moved");
+    assert.equal(entries.get("mainboard:Duress").movedTo, "sideboard");
+    assert.equal(entries.get("sideboard:Duress").status, "moved");
+    assert.equal(entries.get("sideboard:Duress").movedFrom, "mainboard");
+    assert.deepEqual(counts, { equal: 1, onlyA: 0, onlyB: 0, diff: 0, moved: 1 });
+  });
+
+  it("keeps the leftover of a partial move as a quantity change", () => {
+    const { entries, moves } = computeDeckDiff(parseDeckText("4 Duress"), parseDeckText("2 Duress\n\nSideboard\n1 Duress"));
+    assert.deepEqual(moves, [{ name: "Duress", from: "mainboard", to: "sideboard", qty: 1 }]);
+    assert.equal(entries.get("mainboard:Duress").status, "diff");
+    assert.equal(entries.get("sideboard:Duress").status, "moved");
+  });
+});
@@ -0,0 +1,249 @@
+// --- Deck exporters ---------------------------------------------------------
+// The counterpart of importers.js: each exporter renders a zoned deck to one format.
+// An exporter is { id, label, extension, mimeType, render(deck, { name, getCard }) }.
+// getCard (optional) fills in set/collector/MTGO ids the deck itself doesn't know.
+import { ZONES, ZONE_LABELS, usedZones, generateDeckText, zoneKey } from "./deck.js";
+
+// Set / collector number for a card: the imported printing first, then Scryfall data
+const printingOf = (deck, name, getCard) => {
+  const p = deck.printings?.get(name);
+  if (p?.set) return { set: p.set, collectorNumber: p.collectorNumber || "" };
+  const card = getCard ? getCard(name) : null;
+  return {
+    set: card?.set ? card.set.toUpperCase() : "",
+    collectorNumber: card?.collector_number || "",
+  };
+};
+
+const escapeXml = (s) =>
+  String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/"/g, "&quot;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+
+const escapeCsv = (s) => {
+  const v = String(s ?? "");
+  return /[",\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v;
+};
+
+export const escapeHtml = (s) =>
+  String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// Arena has no maybeboard; its section names differ slightly from ours
+const ARENA_HEADERS = {
+  commander: "Commander",
+  companion: "Companion",
+  mainboard: "Deck",
+  sideboard: "Sideboard",
+};
+
+const text = {
+  id: "text",
+  label: "Text (.txt)",
+  extension: "txt",
+  mimeType: "text/plain",
+  render: (deck) => generateDeckText(deck),
+};
+
+const arena = {
+  id: "arena",
+  label: "MTG Arena",
+  extension: "txt",
+  mimeType: "text/plain",
+  render: (deck, { getCard } = {}) =>
+    usedZones(deck)
+      .filter((z) => ARENA_HEADERS[z])
+      .map((z) => {
+        const lines = [...deck[z].entries()].map(([name, qty]) => {
+          const { set, collectorNumber } = printingOf(deck, name, getCard);
+          return set ? `${qty} ${name} (${set})${collectorNumber ? ` ${collectorNumber}` : ""}` : `${qty} ${name}`;
+        });
+        return [ARENA_HEADERS[z], ...lines].join("\n");
+      })
+      .join("\n\n"),
+};
+
+// MTGO keeps the commander (and companion) in the sideboard and writes split cards as "Fire/Ice"
+const mtgoDek = {
+  id: "mtgo-dek",
+  label: "MTGO .dek",
+  extension: "dek",
+  mimeType: "application/xml",
+  render: (deck, { getCard } = {}) => {
+    const cards = [];
+    ["mainboard", "commander", "companion", "sideboard"].forEach((z) => {
+      deck[z].forEach((qty, name) => {
+        const catId = getCard?.(name)?.mtgo_id || 0;
+        const sideboard = z === "mainboard" ? "false" : "true";
+        cards.push(
+          `  <Cards CatID="${catId}" Quantity="${qty}" Sideboard="${sideboard}" Name="${escapeXml(name.replace(/\s*\/\/\s*/g, "/"))}" />`
+        );
+      });
+    });
+    return [
+      '<?xml version="1.0" encoding="utf-8"?>',
+      '<Deck xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">',
+      "  <NetDeckID>0</NetDeckID>",
+      "  <PreconstructedDeckID>0</PreconstructedDeckID>",
+      ...cards,
+      "</Deck>",
+      "",
+    ].join("\n");
+  },
+};
+
+// Column names match what the CSV importer reads back
+const csv = {
+  id: "csv",
+  label: "CSV (set / collector #)",
+  extension: "csv",
+  mimeType: "text/csv",
+  render: (deck, { getCard } = {}) => {
+    const rows = [["Count", "Name", "Edition", "Collector Number", "Board"]];
+    ZONES.forEach((z) => {
+      deck[z].forEach((qty, name) => {
+        const { set, collectorNumber } = printingOf(deck, name, getCard);
+        rows.push([qty, name, set, collectorNumber, ZONE_LABELS[z]]);
+      });
+    });
+    return rows.map((r) => r.map(escapeCsv).join(",")).join("\n") + "\n";
+  },
+};
+
+const json = {
+  id: "json",
+  label: "JSON",
+  extension: "json",
+  mimeType: "application/json",
+  render: (deck, { name = "", getCard } = {}) => {
+    const zones = {};
+    usedZones(deck).forEach((z) => {
+      zones[z] = [...deck[z].entries()].map(([cardName, qty]) => {
+        const { set, collectorNumber } = printingOf(deck, cardName, getCard);
+        return { name: cardName, qty, ...(set ? { set, collectorNumber } : {}) };
+      });
+    });
+    return JSON.stringify({ format: "mtg-deck-diff", version: 1, name, zones }, null, 2);
+  },
+};
+
+export const EXPORTERS = [text, arena, mtgoDek, csv, json];
+
+// Strip a file extension from a deck name ("burn.txt" -> "burn") and make it file-safe
+export const fileBaseName = (name, fallback = "deck") => {
+  const base = (name || "").replace(/\.[a-z0-9]{1,5}$/i, "").trim();
+  return base.replace(/[\\/:*?"<>|]+/g, "_") || fallback;
+};
+
+export const exportDeck = (exporterId, deck, { name = "", getCard } = {}) => {
+  const exporter = EXPORTERS.find((e) => e.id === exporterId) || text;
+  return {
+    text: exporter.render(deck, { name: fileBaseName(name), getCard }),
+    fileName: `${fileBaseName(name)}.${exporter.extension}`,
+    mimeType: exporter.mimeType,
+  };
+};
+
+// Trigger a browser download of `text`
+export const downloadFile = (text, fileName, mimeType = "text/plain") => {
+  const blob = new Blob([text], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  setTimeout(() => {
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }, 100);
+};
+
+// --- Diff report ------------------------------------------------------------
+// Adds, cuts, quantity changes and zone moves between A and B, from computeDeckDiff.
+// Copies that changed zone are only listed under Moved: each zone's change is measured
+// against B's count as if those moves hadn't happened.
+export const diffReportSections = (diff) => {
+  const movedOut = new Map();
+  const shift = (zone, name, qty) => {
+    const key = zoneKey(zone, name);
+    movedOut.set(key, (movedOut.get(key) || 0) + qty);
+  };
+  for (const m of diff.moves) {
+    shift(m.from, m.name, m.qty);
+    shift(m.to, m.name, -m.qty);
+  }
+  const adds = [];
+  const cuts = [];
+  const changes = [];
+  for (const [key, entry] of diff.entries) {
+    if (entry.status === "moved" || entry.status === "equal") continue;
+    const qa = entry.qa;
+    const qb = entry.qb + (movedOut.get(key) || 0);
+    if (qa === 0) adds.push({ ...entry, qb, qty: qb });
+    else if (qb === 0) cuts.push({ ...entry, qb, qty: qa });
+    else if (qa !== qb) changes.push({ ...entry, qb });
+  }
+  const byZoneThenName = (x, y) =>
+    ZONES.indexOf(x.zone) - ZONES.indexOf(y.zone) || x.name.localeCompare(y.name);
+  adds.sort(byZoneThenName);
+  cuts.sort(byZoneThenName);
+  changes.sort(byZoneThenName);
+  const moves = [...diff.moves].sort((x, y) => x.name.localeCompare(y.name));
+  return { adds, cuts, changes, moves };
+};
+
+const zoneSuffix = (zone) => (zone === "mainboard" ? "" : ` (${ZONE_LABELS[zone]})`);
+
+export const renderDiffMarkdown = (diff, { nameA = "Deck A", nameB = "Deck B" } = {}) => {
+  const { adds, cuts, changes, moves } = diffReportSections(diff);
+  const out = [`# ${nameA} → ${nameB}`, ""];
+  const section = (title, items, line) => {
+    if (items.length === 0) return;
+    out.push(`## ${title} (${items.length})`, ...items.map((i) => `- ${line(i)}`), "");
+  };
+  section("Adds", adds, (e) => `${e.qty} ${e.name}${zoneSuffix(e.zone)}`);
+  section("Cuts", cuts, (e) => `${e.qty} ${e.name}${zoneSuffix(e.zone)}`);
+  section("Quantity changes", changes, (e) => `${e.name}${zoneSuffix(e.zone)}: ${e.qa} → ${e.qb}`);
+  section("Moved", moves, (m) => `${m.qty} ${m.name}: ${ZONE_LABELS[m.from]} → ${ZONE_LABELS[m.to]}`);
+  if (out.length === 2) out.push("No differences.", "");
+  return out.join("\n");
+};
+
+export const renderDiffHtml = (diff, { nameA = "Deck A", nameB = "Deck B" } = {}) => {
+  const { adds, cuts, changes, moves } = diffReportSections(diff);
+  const title = `${escapeHtml(nameA)} → ${escapeHtml(nameB)}`;
+  const body = [];
+  const section = (heading, color, items, line) => {
+    if (items.length === 0) return;
+    body.push(
+      `<h2 style="color:${color}">${heading} (${items.length})</h2>`,
+      "<ul>",
+      ...items.map((i) => `  <li>${escapeHtml(line(i))}</li>`),
+      "</ul>"
+    );
+  };
+  section("Adds", "#15803d", adds, (e) => `${e.qty} ${e.name}${zoneSuffix(e.zone)}`);
+  section("Cuts", "#b91c1c", cuts, (e) => `${e.qty} ${e.name}${zoneSuffix(e.zone)}`);
+  section("Quantity changes", "#a16207", changes, (e) => `${e.name}${zoneSuffix(e.zone)}: ${e.qa} → ${e.qb}`);
+  section("Moved", "#7e22ce", moves, (m) => `${m.qty} ${m.name}: ${ZONE_LABELS[m.from]} → ${ZONE_LABELS[m.to]}`);
+  if (body.length === 0) body.push("<p>No differences.</p>");
+  return [
+    "<!DOCTYPE html>",
+    '<html lang="en">',
+    `<head><meta charset="utf-8"><title>${title}</title>`,
+    "<style>body{font-family:system-ui,sans-serif;max-width:40rem;margin:2rem auto;padding:0 1rem}li{margin:.15rem 0}</style>",
+    "</head>",
+    "<body>",
+    `<h1>${title}</h1>`,
+    ...body,
+    "</body>",
+    "</html>",
+    "",
+  ].join("\n");
+};
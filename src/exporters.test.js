@@ -0,0 +1,111 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { ZONES, parseDeckText, computeDeckDiff } from "./deck.js";
+import { importDeck } from "./importers.js";
+import { EXPORTERS, exportDeck, fileBaseName, renderDiffMarkdown, renderDiffHtml } from "./exporters.js";
+
+// Zones and printings as plain arrays, for deepEqual
+const contents = (deck, zones = ZONES) => ({
+  ...Object.fromEntries(zones.map((z) => [z, [...deck[z]].sort()])),
+  printings: [...deck.printings].sort(),
+});
+
+const deck = parseDeckText(
+  "Commander\n1 Kenrith, the Returned King (ELD) 303\n\nDeck\n4 Lightning Bolt (M11) 150\n1 Fire // Ice\n20 Mountain\n\nSideboard\n2 Duress"
+);
+
+describe("exporters", () => {
+  for (const id of ["text", "arena", "csv", "json"]) {
+    it(`round-trips ${id} through importDeck`, () => {
+      const { text } = exportDeck(id, deck, { name: "Burn" });
+      assert.deepEqual(contents(importDeck(text).deck), contents(deck));
+    });
+  }
+
+  it("round-trips MTGO .dek, which keeps the commander in the sideboard", () => {
+    const { text, fileName, mimeType } = exportDeck("mtgo-dek", deck, { name: "burn.txt" });
+    assert.deepEqual([fileName, mimeType], ["burn.dek", "application/xml"]);
+    assert.match(text, /Name="Fire\/Ice"/);
+    const imported = importDeck(text).deck;
+    assert.deepEqual(contents(imported, ["mainboard"]).mainboard, contents(deck, ["mainboard"]).mainboard);
+    assert.deepEqual([...imported.sideboard].sort(), [["Duress", 2], ["Kenrith, the Returned King", 1]]);
+  });
+
+  it("fills in printings from card data when the deck has none", () => {
+    const getCard = (name) => (name === "Duress" ? { set: "m19", collector_number: "94", mtgo_id: 68000 } : null);
+    const plain = parseDeckText("Sideboard\n2 Duress");
+    assert.match(exportDeck("arena", plain, { getCard }).text, /^Sideboard\n2 Duress \(M19\) 94$/);
+    assert.match(exportDeck("mtgo-dek", plain, { getCard }).text, /CatID="68000"/);
+    assert.match(exportDeck("csv", plain, { getCard }).text, /^2,Duress,M19,94,Sideboard$/m);
+  });
+
+  it("falls back to text for unknown exporters", () => {
+    assert.equal(exportDeck("nope", deck).fileName, "deck.txt");
+    assert.equal(EXPORTERS[0].id, "text");
+  });
+
+  it("makes file-safe base names", () => {
+    assert.equal(fileBaseName("burn.txt"), "burn");
+    assert.equal(fileBaseName("a/b: c?"), "a_b_ c_");
+    assert.equal(fileBaseName("", "merged"), "merged");
+  });
+});
+
+describe("diff reports", () => {
+  const diff = computeDeckDiff(
+    parseDeckText("4 Lightning Bolt\n2 Shock\n1 Island\n3 Duress"),
+    parseDeckText("3 Lightning Bolt\n2 Shock\n1 Mountain\n\nSideboard\n3 Duress")
+  );
+
+  it("renders adds, cuts, quantity changes and moves as Markdown", () => {
+    assert.equal(
+      renderDiffMarkdown(diff, { nameA: "Old", nameB: "New" }),
+      [
+        "# Old → New",
+        "",
+        "## Adds (1)",
+        "- 1 Mountain",
+        "",
+        "## Cuts (1)",
+        "- 1 Island",
+        "",
+        "## Quantity changes (1)",
+        "- Lightning Bolt: 4 → 3",
+        "",
+        "## Moved (1)",
+        "- 3 Duress: Mainboard → Sideboard",
+        "",
+      ].join("\n")
+    );
+  });
+
+  it("renders the same sections as escaped HTML", () => {
+    const html = renderDiffHtml(diff, { nameA: "<Old>", nameB: "New" });
+    assert.match(html, /<title>&lt;Old&gt; → New<\/title>/);
+    assert.match(html, /<h2 style="color:#15803d">Adds \(1\)<\/h2>\n<ul>\n {2}<li>1 Mountain<\/li>/);
+    assert.match(html, /Cuts \(1\)<\/h2>\n<ul>\n {2}<li>1 Island<\/li>/);
+    assert.match(html, /Quantity changes \(1\)<\/h2>\n<ul>\n {2}<li>Lightning Bolt: 4 → 3<\/li>/);
+    assert.match(html, /Moved \(1\)<\/h2>\n<ul>\n {2}<li>3 Duress: Mainboard → Sideboard<\/li>/);
+  });
+
+  it("doesn't count moved copies again as adds, cuts or quantity changes", () => {
+    const partial = computeDeckDiff(
+      parseDeckText("4 Duress\n2 Shock\n\nSideboard\n1 Pyroblast"),
+      parseDeckText("2 Duress\n\nSideboard\n1 Duress\n3 Shock\n3 Pyroblast")
+    );
+    const markdown = renderDiffMarkdown(partial);
+    assert.match(markdown, /## Adds \(1\)\n- 1 Shock \(Sideboard\)\n/);
+    assert.match(markdown, /## Quantity changes \(2\)\n- Duress: 4 → 3\n- Pyroblast \(Sideboard\): 1 → 3\n/);
+    assert.match(markdown, /## Moved \(2\)\n- 1 Duress: Mainboard → Sideboard\n- 2 Shock: Mainboard → Sideboard\n/);
+    assert.doesNotMatch(markdown, /Cuts/);
+    const html = renderDiffHtml(partial);
+    assert.match(html, /Quantity changes \(2\)<\/h2>\n<ul>\n {2}<li>Duress: 4 → 3<\/li>/);
+    assert.doesNotMatch(html, /Duress \(Sideboard\)/);
+  });
+
+  it("says so when the decks match", () => {
+    const same = computeDeckDiff(parseDeckText("1 Island"), parseDeckText("1 Island"));
+    assert.match(renderDiffMarkdown(same), /No differences\./);
+    assert.match(renderDiffHtml(same), /<p>No differences\.<\/p>/);
+  });
+});
@@ -0,0 +1,35 @@
+// --- IndexedDB helpers ------------------------------------------------------
+// Promise wrappers shared by the offline card database and the card cache.
+
+// Promise for an IDBRequest
+export const done = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+// Promise for a whole transaction
+export const committed = (tx) =>
+  new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+
+// Opener for a database, memoized so every caller shares one connection.
+// upgrade(db) creates the object stores; a failed open is retried on the next call.
+export const databaseOpener = (name, version, upgrade) => {
+  let dbPromise = null;
+  return () => {
+    if (typeof indexedDB === "undefined") return Promise.reject(new Error("IndexedDB is not available"));
+    if (!dbPromise) {
+      const request = indexedDB.open(name, version);
+      request.onupgradeneeded = () => upgrade(request.result);
+      dbPromise = done(request).catch((e) => {
+        dbPromise = null;
+        throw e;
+      });
+    }
+    return dbPromise;
+  };
+};
@@ -0,0 +1,281 @@
+// --- Deck importers ---------------------------------------------------------
+// Each importer turns one export format into the zoned deck model from deck.js.
+// An importer is { id, label, detect(text, fileName), parse(text) }, where parse
+// returns { deck, unparsed } and unparsed lists the lines it couldn't understand.
+// importDeck tries IMPORTERS in order and uses the first whose detect() matches, so
+// more specific formats go first and the plain-text parser goes last.
+import {
+  ZONES, emptyDeck, parseDeckText, parseCardLine, addParsedCard, matchZoneHeader, normalizeName,
+} from "./deck.js";
+
+const splitLines = (text) => text.replace(/\r\n?/g, "\n").split("\n");
+
+// --- MTGO .dek (XML) ---
+// <Cards CatID="12345" Quantity="4" Sideboard="false" Name="Lightning Bolt" />
+const decodeXml = (s) =>
+  s
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&");
+
+const parseXmlAttrs = (tag) => {
+  const attrs = {};
+  for (const m of tag.matchAll(/([\w:-]+)\s*=\s*"([^"]*)"/g)) attrs[m[1].toLowerCase()] = decodeXml(m[2]);
+  return attrs;
+};
+
+const mtgoDek = {
+  id: "mtgo-dek",
+  label: "MTGO .dek",
+  detect: (text, fileName = "") => /\.dek$/i.test(fileName) || /<\s*Deck[\s>]/i.test(text),
+  parse: (text) => {
+    const deck = emptyDeck();
+    const unparsed = [];
+    for (const m of text.matchAll(/<\s*Cards\b[^>]*>/gi)) {
+      const attrs = parseXmlAttrs(m[0]);
+      const qty = parseInt(attrs.quantity, 10);
+      // MTGO writes split cards as "Fire/Ice"
+      const name = normalizeName((attrs.name || "").replace(/([^/])\/([^/])/g, "$1 // $2"));
+      if (!name || !(qty > 0)) {
+        unparsed.push(m[0]);
+        continue;
+      }
+      const zone = attrs.sideboard === "true" ? "sideboard" : "mainboard";
+      addParsedCard(deck, { qty, name }, zone);
+    }
+    return { deck, unparsed };
+  },
+};
+
+// --- CSV (Moxfield, Archidekt, most collection managers) ---
+// Minimal RFC 4180 parser: quoted fields, doubled quotes, commas inside quotes.
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((f) => f.trim() !== ""));
+};
+
+// Header aliases, lower-cased
+const CSV_COLUMNS = {
+  qty: ["count", "quantity", "qty", "amount"],
+  name: ["name", "card name", "card"],
+  set: ["edition", "set code", "set", "edition code"],
+  collectorNumber: ["collector number", "collector_number", "card number", "number", "cn"],
+  zone: ["board", "section", "zone", "categories", "category"],
+};
+
+const csvColumnIndexes = (header) => {
+  const lower = header.map((h) => h.trim().toLowerCase());
+  const idx = {};
+  for (const [key, aliases] of Object.entries(CSV_COLUMNS)) {
+    idx[key] = aliases.map((a) => lower.indexOf(a)).find((i) => i >= 0) ?? -1;
+  }
+  return idx;
+};
+
+// Archidekt puts the zone in the first category ("Commander", "Sideboard", "Maybeboard")
+const csvZone = (value) => {
+  const first = (value || "").split(/[,;]/)[0].replace(/\{[^}]*\}/g, "").trim();
+  return (first && matchZoneHeader(first)) || "mainboard";
+};
+
+const csv = {
+  id: "csv",
+  label: "CSV (Moxfield / Archidekt)",
+  detect: (text, fileName = "") => {
+    if (/\.csv$/i.test(fileName)) return true;
+    const firstLine = splitLines(text.trim())[0] || "";
+    if (!firstLine.includes(",")) return false;
+    const idx = csvColumnIndexes(parseCsv(firstLine)[0] || []);
+    return idx.name >= 0 && idx.qty >= 0;
+  },
+  parse: (text) => {
+    const deck = emptyDeck();
+    const unparsed = [];
+    const [header = [], ...rows] = parseCsv(text);
+    const idx = csvColumnIndexes(header);
+    if (idx.name < 0) {
+      return { deck, unparsed: [`Missing "Name" column in CSV header: ${header.join(",")}`] };
+    }
+    for (const row of rows) {
+      const name = normalizeName(row[idx.name] || "");
+      const qty = idx.qty >= 0 ? parseInt(row[idx.qty], 10) : 1;
+      if (!name || !(qty > 0)) {
+        unparsed.push(row.join(","));
+        continue;
+      }
+      const set = idx.set >= 0 ? (row[idx.set] || "").trim().toUpperCase() : "";
+      addParsedCard(
+        deck,
+        {
+          qty,
+          name,
+          set: /^[A-Z0-9]{2,6}$/.test(set) ? set : null,
+          collectorNumber: idx.collectorNumber >= 0 ? (row[idx.collectorNumber] || "").trim() || null : null,
+        },
+        idx.zone >= 0 ? csvZone(row[idx.zone]) : "mainboard"
+      );
+    }
+    return { deck, unparsed };
+  },
+};
+
+// --- MTG Arena export ---
+// "About / Name My Deck" metadata, then "Commander", "Deck", "Sideboard" sections with
+// lines like "4 Lightning Bolt (M11) 150".
+const ARENA_LINE = /^\d+\s+.+\s\([A-Za-z0-9]{2,6}\)\s+\S+$/;
+
+const arena = {
+  id: "arena",
+  label: "MTG Arena",
+  detect: (text) => {
+    const lines = splitLines(text).map((l) => l.trim()).filter(Boolean);
+    return lines[0]?.toLowerCase() === "about" || lines.some((l) => ARENA_LINE.test(l));
+  },
+  parse: (text) => {
+    const unparsed = [];
+    // Drop the "About" block metadata before handing off to the generic parser
+    const body = splitLines(text)
+      .filter((l) => !/^\s*(about|name\s+.+)\s*$/i.test(l))
+      .join("\n");
+    const deck = parseDeckText(body, unparsed);
+    return { deck, unparsed };
+  },
+};
+
+// --- MTGGoldfish / MTGO .txt ---
+// No headers: mainboard, one blank line, then the sideboard. A blank line alone is a
+// weak signal (people paste lists with gaps), so the first block also has to be a full
+// mainboard: a limited deck from a .txt/.dec file, or a constructed deck when pasted.
+const SIDEBOARD_MAX = 15;
+const FILE_MAINBOARD_MIN = 40;
+const PASTED_MAINBOARD_MIN = 60;
+
+const textBlocks = (text) =>
+  text
+    .replace(/\r\n?/g, "\n")
+    .trim()
+    .split(/\n\s*\n/)
+    .map((b) => b.split("\n").map((l) => l.trim()).filter(Boolean));
+
+const goldfish = {
+  id: "goldfish",
+  label: "MTGGoldfish / MTGO text",
+  detect: (text, fileName = "") => {
+    const blocks = textBlocks(text);
+    if (blocks.length !== 2) return false;
+    const lines = blocks.flat();
+    if (lines.some((l) => matchZoneHeader(l))) return false;
+    const cards = blocks.map((b) => b.map(parseCardLine));
+    if (cards.flat().some((c) => !c)) return false;
+    const [mainCount, sideCount] = cards.map((block) => block.reduce((s, c) => s + c.qty, 0));
+    const mainMin = /\.(txt|dec)$/i.test(fileName) ? FILE_MAINBOARD_MIN : PASTED_MAINBOARD_MIN;
+    return mainCount >= mainMin && sideCount <= SIDEBOARD_MAX;
+  },
+  parse: (text) => {
+    const deck = emptyDeck();
+    const unparsed = [];
+    textBlocks(text).forEach((block, i) => {
+      block.forEach((line) => {
+        const card = parseCardLine(line);
+        if (card) addParsedCard(deck, card, i === 0 ? "mainboard" : "sideboard");
+        else unparsed.push(line);
+      });
+    });
+    return { deck, unparsed };
+  },
+};
+
+// --- JSON (our own export, see exporters.js) ---
+const json = {
+  id: "json",
+  label: "JSON",
+  detect: (text) => /^\s*\{[\s\S]*"zones"\s*:/.test(text),
+  parse: (text) => {
+    const deck = emptyDeck();
+    const unparsed = [];
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      return { deck, unparsed: [`Invalid JSON: ${e.message}`] };
+    }
+    for (const [zone, cards] of Object.entries(data.zones || {})) {
+      if (!ZONES.includes(zone) || !Array.isArray(cards)) {
+        unparsed.push(`Unknown zone "${zone}"`);
+        continue;
+      }
+      cards.forEach((c) => {
+        const name = normalizeName(c?.name || "");
+        const qty = parseInt(c?.qty, 10);
+        if (!name || !(qty > 0)) {
+          unparsed.push(JSON.stringify(c));
+          return;
+        }
+        addParsedCard(deck, { qty, name, set: c.set || null, collectorNumber: c.collectorNumber || null }, zone);
+      });
+    }
+    return { deck, unparsed };
+  },
+};
+
+// --- Plain text (fallback) ---
+const plainText = {
+  id: "text",
+  label: "Text",
+  detect: () => true,
+  parse: (text) => {
+    const unparsed = [];
+    const deck = parseDeckText(text, unparsed);
+    return { deck, unparsed };
+  },
+};
+
+export const IMPORTERS = [mtgoDek, json, csv, arena, goldfish, plainText];
+
+// File extensions the importers understand, for <input type="file" accept>
+export const IMPORT_ACCEPT = ".txt,.dek,.dec,.csv,.xml,.json,text/plain,text/csv,text/xml,application/json";
+
+// Detect the format of `text` and parse it. Returns { format, label, deck, unparsed }.
+export const importDeck = (text, fileName = "") => {
+  if (!text || !text.trim()) {
+    return { format: null, label: "", deck: emptyDeck(), unparsed: [] };
+  }
+  const importer = IMPORTERS.find((imp) => imp.detect(text, fileName)) || plainText;
+  const { deck, unparsed } = importer.parse(text);
+  return { format: importer.id, label: importer.label, deck, unparsed };
+};
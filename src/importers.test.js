@@ -0,0 +1,102 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { importDeck, parseCsv } from "./importers.js";
+
+// `count` distinct "qty Prefix A", "qty Prefix B", ... lines (a trailing number would
+// read as a collector number)
+const lines = (qty, prefix, count) =>
+  Array.from({ length: count }, (_, i) => `${qty} ${prefix} ${String.fromCharCode(65 + i)}`).join("\n");
+
+describe("parseCsv", () => {
+  it("handles quoted fields, doubled quotes and CRLF", () => {
+    assert.deepEqual(parseCsv('Count,Name\r\n1,"Borrowing 100,000 Arrows"\r\n2,"The ""Big"" One"\r\n'), [
+      ["Count", "Name"],
+      ["1", "Borrowing 100,000 Arrows"],
+      ["2", 'The "Big" One'],
+    ]);
+  });
+});
+
+describe("importDeck format detection", () => {
+  it("returns an empty deck for blank input", () => {
+    assert.equal(importDeck("  \n ").format, null);
+  });
+
+  it("detects MTGO .dek XML by content or file name", () => {
+    const dek =
+      '<?xml version="1.0"?>\n<Deck>\n<Cards CatID="1" Quantity="4" Sideboard="false" Name="Lightning Bolt" />\n<Cards CatID="3" Quantity="1" Sideboard="false" Name="Fire/Ice" />\n<Cards CatID="2" Quantity="2" Sideboard="true" Name="Duress" />\n</Deck>';
+    const { format, deck } = importDeck(dek);
+    assert.equal(format, "mtgo-dek");
+    assert.equal(deck.mainboard.get("Lightning Bolt"), 4);
+    assert.equal(deck.mainboard.get("Fire // Ice"), 1);
+    assert.equal(deck.sideboard.get("Duress"), 2);
+    assert.equal(importDeck("4 Lightning Bolt", "deck.dek").format, "mtgo-dek");
+  });
+
+  it("detects our JSON export", () => {
+    const { format, deck, unparsed } = importDeck(
+      JSON.stringify({ zones: { commander: [{ name: "Kenrith", qty: 1 }], mainboard: [{ name: "Sol Ring", qty: 0 }] } })
+    );
+    assert.equal(format, "json");
+    assert.equal(deck.commander.get("Kenrith"), 1);
+    assert.deepEqual(unparsed, ['{"name":"Sol Ring","qty":0}']);
+    assert.match(importDeck('{"zones": ').unparsed[0], /^Invalid JSON/);
+  });
+
+  it("reports JSON zones that aren't deck zones, including object prototype keys", () => {
+    const zones = { constructor: [{ name: "Sol Ring", qty: 1 }], toString: [], printings: [], mainboard: [{ name: "Island", qty: 1 }] };
+    const { deck, unparsed } = importDeck(JSON.stringify({ zones }));
+    assert.deepEqual(unparsed, ['Unknown zone "constructor"', 'Unknown zone "toString"', 'Unknown zone "printings"']);
+    assert.deepEqual([...deck.mainboard], [["Island", 1]]);
+  });
+
+  it("detects CSV by its header or file name", () => {
+    const csv = 'Count,Name,Edition,Board\n4,"Lightning Bolt",m11,main\n1,Duress,,sideboard';
+    const { format, deck } = importDeck(csv);
+    assert.equal(format, "csv");
+    assert.equal(deck.mainboard.get("Lightning Bolt"), 4);
+    assert.deepEqual(deck.printings.get("Lightning Bolt"), { set: "M11", collectorNumber: null });
+    assert.equal(deck.sideboard.get("Duress"), 1);
+    assert.equal(importDeck("Name\nSol Ring", "list.csv").format, "csv");
+  });
+
+  it("reads Archidekt categories as zones", () => {
+    const { deck } = importDeck('Quantity,Name,Categories\n1,Kenrith,"Commander{top}"\n1,Sol Ring,"Ramp,Artifact"');
+    assert.equal(deck.commander.get("Kenrith"), 1);
+    assert.equal(deck.mainboard.get("Sol Ring"), 1);
+  });
+
+  it("detects MTG Arena exports", () => {
+    const { format, deck } = importDeck("About\nName Burn\n\nDeck\n4 Lightning Bolt (M11) 150\n\nSideboard\n2 Duress (M19) 94");
+    assert.equal(format, "arena");
+    assert.equal(deck.mainboard.get("Lightning Bolt"), 4);
+    assert.equal(deck.sideboard.get("Duress"), 2);
+  });
+
+  it("reads a header-less list with a trailing block as main and sideboard", () => {
+    const { format, deck } = importDeck(`${lines(4, "Card", 15)}\n\n${lines(1, "Side", 15)}`);
+    assert.equal(format, "goldfish");
+    assert.equal(deck.mainboard.size, 15);
+    assert.equal(deck.sideboard.size, 15);
+  });
+
+  it("needs a full mainboard before a blank line means a sideboard", () => {
+    // A short pasted list with a gap is just a list
+    assert.equal(importDeck(`${lines(4, "Card", 5)}\n\n${lines(1, "Side", 5)}`).format, "text");
+    // A 40-card limited deck counts when it comes from a .txt or .dec file
+    const limited = `${lines(4, "Card", 10)}\n\n${lines(1, "Side", 15)}`;
+    assert.equal(importDeck(limited, "sealed.txt").format, "goldfish");
+    assert.equal(importDeck(limited, "sealed.dec").format, "goldfish");
+    assert.equal(importDeck(limited).format, "text");
+  });
+
+  it("leaves lists with section headers to the text parser", () => {
+    const { format, deck } = importDeck(`${lines(4, "Card", 15)}\n\nSideboard\n${lines(1, "Side", 15)}`);
+    assert.equal(format, "text");
+    assert.equal(deck.sideboard.size, 15);
+  });
+
+  it("doesn't take a long second block for a sideboard", () => {
+    assert.equal(importDeck(`${lines(4, "Card", 15)}\n\n${lines(1, "Side", 16)}`).format, "text");
+  });
+});
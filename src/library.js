@@ -0,0 +1,127 @@
+// --- Deck library -----------------------------------------------------------
+// Named saved decks with version history, kept in localStorage next to the card cache.
+// Each deck is { id, name, createdAt, updatedAt, versions: [{ id, ts, text }] } where
+// text is deckVersionText() of the slot's deck, oldest version first.
+// The A/B slots can be linked to a library deck; edits to a linked slot are recorded
+// as new versions (see useDeckLibrary().recordVersion).
+import { useCallback, useEffect, useRef, useState } from "react";
+import { generateDeckText } from "./deck.js";
+
+const LIBRARY_KEY = "mtg_deck_diff_library_v1";
+const LIBRARY_LINKS_KEY = "mtg_deck_diff_library_links_v1";
+// Oldest versions are dropped beyond this
+export const MAX_VERSIONS = 50;
+// Edits are recorded once the deck has been idle this long, so typing doesn't create a version per keystroke
+export const VERSION_DEBOUNCE_MS = 1500;
+
+const newId = () => Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+
+const loadJson = (key, fallback) => {
+  try {
+    const raw = localStorage.getItem(key);
+    if (!raw) return fallback;
+    return JSON.parse(raw) || fallback;
+  } catch {
+    return fallback;
+  }
+};
+const saveJson = (key, obj) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(obj));
+  } catch (e) {
+    console.warn("Could not save", key, e);
+  }
+};
+
+export const loadLibrary = () => loadJson(LIBRARY_KEY, {});
+// Which library deck/version each slot shows: { A: { deckId, versionId } | null, B: ... }
+export const loadLibraryLinks = () => ({ A: null, B: null, ...loadJson(LIBRARY_LINKS_KEY, {}) });
+export const saveLibraryLinks = (links) => saveJson(LIBRARY_LINKS_KEY, links);
+
+export const findVersion = (library, deckId, versionId) =>
+  library[deckId]?.versions.find((v) => v.id === versionId) || null;
+
+export const latestVersion = (deck) => deck?.versions[deck.versions.length - 1] || null;
+
+// Text a slot's parsed deck is saved and recorded as. Saving and the version recorder
+// must both use it, or the recorder sees a change right after every save.
+export const deckVersionText = (parsedDeck) => generateDeckText(parsedDeck);
+
+// --- Library updates (pure; ids and timestamps come from the caller) ---
+export const addDeck = (library, { deckId, versionId, name, text, ts }) => ({
+  ...library,
+  [deckId]: {
+    id: deckId,
+    name: name || "Untitled deck",
+    createdAt: ts,
+    updatedAt: ts,
+    versions: [{ id: versionId, ts, text }],
+  },
+});
+
+// Whether recording text for deckId would add a version, i.e. it differs from the
+// version the slot is showing
+export const isNewVersion = (library, deckId, baseVersionId, text) =>
+  findVersion(library, deckId, baseVersionId)?.text !== text;
+
+export const addVersion = (library, deckId, version) => {
+  const deck = library[deckId];
+  if (!deck) return library;
+  const versions = [...deck.versions, version].slice(-MAX_VERSIONS);
+  return { ...library, [deckId]: { ...deck, updatedAt: version.ts, versions } };
+};
+
+// Text and display name for a linked slot, used to restore the A/B decks on page load
+export const linkedSlotState = (slot) => {
+  const link = loadLibraryLinks()[slot];
+  const library = loadLibrary();
+  const version = link && findVersion(library, link.deckId, link.versionId);
+  if (!version) return null;
+  return { text: version.text, name: library[link.deckId].name };
+};
+
+// Library state plus actions. All actions return ids synchronously so callers can
+// link a slot to what they just saved.
+export const useDeckLibrary = () => {
+  const [library, setLibrary] = useState(() => loadLibrary());
+  // Read by recordVersion, so it stays the same function as the library changes
+  const libraryRef = useRef(library);
+
+  useEffect(() => {
+    libraryRef.current = library;
+    saveJson(LIBRARY_KEY, library);
+  }, [library]);
+
+  // Save text as a new named deck; returns { deckId, versionId }
+  const saveDeck = useCallback((name, text) => {
+    const deckId = newId();
+    const versionId = newId();
+    setLibrary((prev) => addDeck(prev, { deckId, versionId, name, text, ts: Date.now() }));
+    return { deckId, versionId };
+  }, []);
+
+  // Record text as a new version of deckId, unless it matches baseVersionId (the version
+  // the slot is currently showing). Returns the id of the version that now holds the text.
+  const recordVersion = useCallback((deckId, text, baseVersionId) => {
+    if (!libraryRef.current[deckId]) return null;
+    if (!isNewVersion(libraryRef.current, deckId, baseVersionId, text)) return baseVersionId;
+    const versionId = newId();
+    const ts = Date.now();
+    setLibrary((prev) => addVersion(prev, deckId, { id: versionId, ts, text }));
+    return versionId;
+  }, []);
+
+  const renameDeck = useCallback((deckId, name) => {
+    setLibrary((prev) => (prev[deckId] ? { ...prev, [deckId]: { ...prev[deckId], name } } : prev));
+  }, []);
+
+  const deleteDeck = useCallback((deckId) => {
+    setLibrary((prev) => {
+      const next = { ...prev };
+      delete next[deckId];
+      return next;
+    });
+  }, []);
+
+  return { library, saveDeck, recordVersion, renameDeck, deleteDeck };
+};
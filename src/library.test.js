@@ -0,0 +1,80 @@
+import { beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { parseDeckText } from "./deck.js";
+import {
+  MAX_VERSIONS, loadLibrary, loadLibraryLinks, saveLibraryLinks, findVersion, latestVersion, linkedSlotState,
+  deckVersionText, addDeck, isNewVersion, addVersion,
+} from "./library.js";
+
+// In-memory stand-in for the browser's localStorage
+const storage = new Map();
+globalThis.localStorage = {
+  getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: (key) => storage.delete(key),
+};
+
+const library = {
+  d1: {
+    id: "d1",
+    name: "Burn",
+    createdAt: 1,
+    updatedAt: 2,
+    versions: [
+      { id: "v1", ts: 1, text: "4 Lightning Bolt" },
+      { id: "v2", ts: 2, text: "4 Lightning Bolt\n4 Shock" },
+    ],
+  },
+};
+
+describe("deck library", () => {
+  beforeEach(() => storage.clear());
+
+  it("finds versions by id and the latest one", () => {
+    assert.equal(findVersion(library, "d1", "v1").text, "4 Lightning Bolt");
+    assert.equal(findVersion(library, "d1", "v3"), null);
+    assert.equal(findVersion(library, "nope", "v1"), null);
+    assert.equal(latestVersion(library.d1).id, "v2");
+    assert.equal(latestVersion(undefined), null);
+  });
+
+  it("starts empty and keeps both slots in the links", () => {
+    assert.deepEqual(loadLibrary(), {});
+    assert.deepEqual(loadLibraryLinks(), { A: null, B: null });
+    saveLibraryLinks({ A: { deckId: "d1", versionId: "v1" } });
+    assert.deepEqual(loadLibraryLinks(), { A: { deckId: "d1", versionId: "v1" }, B: null });
+  });
+
+  it("ignores unreadable saved data", () => {
+    storage.set("mtg_deck_diff_library_v1", "{oops");
+    assert.deepEqual(loadLibrary(), {});
+  });
+
+  it("restores a linked slot's text and deck name", () => {
+    storage.set("mtg_deck_diff_library_v1", JSON.stringify(library));
+    saveLibraryLinks({ A: { deckId: "d1", versionId: "v1" }, B: { deckId: "d1", versionId: "gone" } });
+    assert.deepEqual(linkedSlotState("A"), { text: "4 Lightning Bolt", name: "Burn" });
+    assert.equal(linkedSlotState("B"), null);
+  });
+});
+
+describe("library updates", () => {
+  // A slot's parsed deck, spelled the way the user typed it
+  const typed = "1 Rayo (M11) 150\n2 fire/ice\n\nSideboard\n1 Duress";
+
+  it("records no new version right after saving the same deck", () => {
+    const saved = addDeck({}, { deckId: "d1", versionId: "v1", name: "Burn", text: deckVersionText(parseDeckText(typed)), ts: 1 });
+    assert.equal(isNewVersion(saved, "d1", "v1", deckVersionText(parseDeckText(typed))), false);
+    assert.equal(isNewVersion(saved, "d1", "v1", deckVersionText(parseDeckText(`${typed}\n1 Shock`))), true);
+  });
+
+  it("appends versions and drops the oldest beyond the limit", () => {
+    let lib = addDeck({}, { deckId: "d1", versionId: "v0", name: "", text: "1 Island", ts: 1 });
+    assert.equal(lib.d1.name, "Untitled deck");
+    for (let i = 1; i <= MAX_VERSIONS; i++) lib = addVersion(lib, "d1", { id: `v${i}`, ts: i + 1, text: `${i} Island` });
+    assert.equal(lib.d1.versions.length, MAX_VERSIONS);
+    assert.equal(lib.d1.versions[0].id, "v1");
+    assert.equal(lib.d1.updatedAt, MAX_VERSIONS + 1);
+    assert.equal(addVersion(lib, "gone", { id: "x", ts: 0, text: "" }), lib);
+  });
+});
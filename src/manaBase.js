@@ -0,0 +1,66 @@
+// --- Mana base analysis -------------------------------------------------------
+// Compares colored pips in the spells' mana costs with the lands that produce each
+// color (Scryfall's produced_mana). A color is short when the share of lands that
+// make it is below its share of the pips, or when nothing makes it at all.
+
+export const MANA_COLORS = ["W", "U", "B", "R", "G", "C"];
+
+// "{W/U}" -> "WU", matching Scryfall's symbol file names (WU.svg, WP.svg, 2U.svg)
+export const normalizeManaToken = (tok) => {
+  const inner = tok.replace(/[{}]/g, "").toUpperCase();
+  return inner.replaceAll("/", "");
+};
+
+export const manaTokens = (cost) => (cost?.match(/\{[^}]+\}/g) || []).map(normalizeManaToken);
+
+// Mana value of a mana cost: generic numbers as printed, {2/W} as 2, X as 0 and
+// every other symbol as 1
+export const manaValue = (cost) =>
+  manaTokens(cost).reduce((sum, code) => {
+    const generic = code.match(/^\d+/);
+    if (generic) return sum + parseInt(generic[0], 10);
+    return ["X", "Y", "Z"].includes(code) ? sum : sum + 1;
+  }, 0);
+
+// Colored pips in a mana cost: { W: 2, U: 0.5, ... }. Hybrid pips are split between
+// their colors, a {2/W} or Phyrexian pip counts fully for its color.
+export const manaPips = (cost) => {
+  const pips = {};
+  for (const code of manaTokens(cost)) {
+    const colors = [...code].filter((ch) => MANA_COLORS.includes(ch));
+    colors.forEach((c) => {
+      pips[c] = (pips[c] || 0) + 1 / colors.length;
+    });
+  }
+  return pips;
+};
+
+const isLand = (card) => /\bLand\b/.test((card?.type_line || "").split(" // ")[0]);
+
+// name -> qty Map -> { pips, sources, lands, totalPips, shortfalls: [color] }
+//   pips: colored pips over nonland cards; sources: lands producing each color
+export const analyzeManaBase = (deckMap, getCard) => {
+  const pips = Object.fromEntries(MANA_COLORS.map((c) => [c, 0]));
+  const sources = Object.fromEntries(MANA_COLORS.map((c) => [c, 0]));
+  let lands = 0;
+  for (const [name, qty] of deckMap) {
+    const card = getCard(name);
+    if (!card) continue;
+    if (isLand(card)) {
+      lands += qty;
+      (card.produced_mana || []).forEach((c) => {
+        if (c in sources) sources[c] += qty;
+      });
+      continue;
+    }
+    Object.entries(manaPips(card.mana_cost)).forEach(([c, n]) => {
+      pips[c] += n * qty;
+    });
+  }
+  const totalPips = MANA_COLORS.reduce((sum, c) => sum + pips[c], 0);
+  const shortfalls =
+    lands === 0
+      ? []
+      : MANA_COLORS.filter((c) => pips[c] > 0 && (sources[c] === 0 || sources[c] / lands < pips[c] / totalPips));
+  return { pips, sources, lands, totalPips, shortfalls };
+};
@@ -0,0 +1,74 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeManaToken, manaTokens, manaPips, manaValue, analyzeManaBase } from "./manaBase.js";
+
+const CARDS = {
+  Island: { type_line: "Basic Land — Island", produced_mana: ["U"] },
+  Mountain: { type_line: "Basic Land — Mountain", produced_mana: ["R"] },
+  "Steam Vents": { type_line: "Land — Island Mountain", produced_mana: ["U", "R"] },
+  "Lightning Bolt": { type_line: "Instant", mana_cost: "{R}" },
+  Counterspell: { type_line: "Instant", mana_cost: "{U}{U}" },
+  "Izzet Charm": { type_line: "Instant", mana_cost: "{U}{R}" },
+  "Sol Ring": { type_line: "Artifact", mana_cost: "{1}", produced_mana: ["C"] },
+  "Swords to Plowshares": { type_line: "Instant", mana_cost: "{W}" },
+};
+const getCard = (name) => CARDS[name] || null;
+
+describe("mana symbols", () => {
+  it("normalizes tokens to Scryfall's symbol names", () => {
+    assert.equal(normalizeManaToken("{w/u}"), "WU");
+    assert.equal(normalizeManaToken("{2/W}"), "2W");
+    assert.deepEqual(manaTokens("{2}{G/P}{G}"), ["2", "GP", "G"]);
+    assert.deepEqual(manaTokens(undefined), []);
+  });
+
+  it("splits hybrid pips and counts Phyrexian and {2/W} pips fully", () => {
+    assert.deepEqual(manaPips("{1}{W}{W}"), { W: 2 });
+    assert.deepEqual(manaPips("{W/U}{W/U}"), { W: 1, U: 1 });
+    assert.deepEqual(manaPips("{2/W}{G/P}"), { W: 1, G: 1 });
+    assert.deepEqual(manaPips("{C}"), { C: 1 });
+  });
+
+  it("computes mana value with X as zero and {2/W} as two", () => {
+    assert.equal(manaValue("{3}{U}{U}"), 5);
+    assert.equal(manaValue("{X}{R}{R}"), 2);
+    assert.equal(manaValue("{2/W}{2/W}"), 4);
+    assert.equal(manaValue("{W/U}{G/P}"), 2);
+    assert.equal(manaValue(""), 0);
+  });
+});
+
+describe("analyzeManaBase", () => {
+  it("compares pips with the lands that produce each color", () => {
+    const deck = new Map([
+      ["Island", 8],
+      ["Mountain", 2],
+      ["Steam Vents", 2],
+      ["Sol Ring", 1],
+      ["Counterspell", 4],
+      ["Lightning Bolt", 4],
+      ["Izzet Charm", 4],
+    ]);
+    const { pips, sources, lands, totalPips, shortfalls } = analyzeManaBase(deck, getCard);
+    assert.equal(lands, 12);
+    assert.equal(totalPips, 20);
+    assert.deepEqual([pips.U, pips.R], [12, 8]);
+    // Nonland mana sources aren't lands
+    assert.deepEqual([sources.U, sources.R, sources.C], [10, 4, 0]);
+    // 4 of 12 lands make red against 8 of 20 pips
+    assert.deepEqual(shortfalls, ["R"]);
+  });
+
+  it("flags colors nothing produces and skips unresolved cards", () => {
+    const deck = new Map([
+      ["Island", 10],
+      ["Swords to Plowshares", 1],
+      ["Unknown Card", 4],
+    ]);
+    assert.deepEqual(analyzeManaBase(deck, getCard).shortfalls, ["W"]);
+  });
+
+  it("reports no shortfalls without lands", () => {
+    assert.deepEqual(analyzeManaBase(new Map([["Lightning Bolt", 4]]), getCard).shortfalls, []);
+  });
+});
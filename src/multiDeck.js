@@ -0,0 +1,50 @@
+// --- N-way comparison -------------------------------------------------------
+// Card x deck quantity matrix for any number of decks, grouped by how many decks
+// contain each card, plus a merge that can take each card from any deck.
+import { ZONES, deckNames, deckFromRows, zoneKey } from "./deck.js";
+
+// Grouping of a matrix row: in every deck, in several, or in exactly one
+export const MATRIX_GROUPS = ["all", "some", "unique"];
+
+// decks: [{ id, deck }] -> rows [{ key, zone, name, qtys, present, group, uniqueTo }]
+// qtys is aligned with `decks`; uniqueTo is the id of the only deck holding the card.
+export const computeDeckMatrix = (decks) => {
+  const rows = [];
+  const all = decks.map((d) => d.deck);
+  for (const zone of ZONES) {
+    const names = deckNames(...all).filter((n) => all.some((d) => d[zone].has(n)));
+    for (const name of names) {
+      const qtys = all.map((d) => d[zone].get(name) || 0);
+      const present = qtys.filter((q) => q > 0).length;
+      const group = present === decks.length ? "all" : present === 1 ? "unique" : "some";
+      rows.push({
+        key: zoneKey(zone, name),
+        zone,
+        name,
+        qtys,
+        present,
+        group,
+        uniqueTo: group === "unique" ? decks[qtys.findIndex((q) => q > 0)].id : null,
+      });
+    }
+  }
+  return rows;
+};
+
+// Default merge source: cards in every deck come from the deck with the most copies;
+// everything else is left out until picked.
+export const defaultMultiChoice = (row, decks) => {
+  if (row.group !== "all") return null;
+  const max = Math.max(...row.qtys);
+  return decks[row.qtys.indexOf(max)].id;
+};
+
+// choices: { [rowKey]: deckId | "none" }. Returns the merged deck object.
+export const computeMultiMerge = (rows, decks, choices) => {
+  const mergedRows = rows.map((row) => {
+    const choice = choices[row.key] ?? defaultMultiChoice(row, decks);
+    const index = decks.findIndex((d) => d.id === choice);
+    return { zone: row.zone, name: row.name, qty: index >= 0 ? row.qtys[index] : 0 };
+  });
+  return deckFromRows(mergedRows, ...decks.map((d) => d.deck));
+};
@@ -0,0 +1,71 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { parseDeckText } from "./deck.js";
+import { computeDeckMatrix, defaultMultiChoice, computeMultiMerge } from "./multiDeck.js";
+
+const decks = [
+  { id: "a", deck: parseDeckText("4 Lightning Bolt\n2 Shock\n1 Island (M19) 264") },
+  { id: "b", deck: parseDeckText("3 Lightning Bolt\n2 Shock\n\nSideboard\n2 Duress") },
+  { id: "c", deck: parseDeckText("2 Lightning Bolt\n1 Opt") },
+];
+const rows = computeDeckMatrix(decks);
+const row = (key) => rows.find((r) => r.key === key);
+
+describe("computeDeckMatrix", () => {
+  it("lines up quantities per deck and groups by how many decks hold the card", () => {
+    assert.deepEqual(row("mainboard:Lightning Bolt"), {
+      key: "mainboard:Lightning Bolt",
+      zone: "mainboard",
+      name: "Lightning Bolt",
+      qtys: [4, 3, 2],
+      present: 3,
+      group: "all",
+      uniqueTo: null,
+    });
+    assert.deepEqual([row("mainboard:Shock").group, row("mainboard:Shock").qtys], ["some", [2, 2, 0]]);
+    assert.deepEqual([row("mainboard:Opt").group, row("mainboard:Opt").uniqueTo], ["unique", "c"]);
+  });
+
+  it("keeps zones apart", () => {
+    assert.deepEqual(row("sideboard:Duress").qtys, [0, 2, 0]);
+    assert.equal(row("mainboard:Duress"), undefined);
+    assert.deepEqual([...new Set(rows.map((r) => r.zone))], ["mainboard", "sideboard"]);
+  });
+});
+
+describe("defaultMultiChoice", () => {
+  it("takes cards in every deck from the deck with the most copies", () => {
+    assert.equal(defaultMultiChoice(row("mainboard:Lightning Bolt"), decks), "a");
+    const tie = computeDeckMatrix([
+      { id: "x", deck: parseDeckText("2 Shock") },
+      { id: "y", deck: parseDeckText("3 Shock") },
+      { id: "z", deck: parseDeckText("3 Shock") },
+    ])[0];
+    assert.equal(defaultMultiChoice(tie, [{ id: "x" }, { id: "y" }, { id: "z" }]), "y");
+  });
+
+  it("leaves cards missing from some deck out", () => {
+    assert.equal(defaultMultiChoice(row("mainboard:Shock"), decks), null);
+    assert.equal(defaultMultiChoice(row("mainboard:Opt"), decks), null);
+  });
+});
+
+describe("computeMultiMerge", () => {
+  it("uses the defaults when nothing is picked", () => {
+    const merged = computeMultiMerge(rows, decks, {});
+    assert.deepEqual([...merged.mainboard], [["Lightning Bolt", 4]]);
+    assert.equal(merged.sideboard.size, 0);
+  });
+
+  it("takes picked cards from the chosen deck and drops \"none\"", () => {
+    const merged = computeMultiMerge(rows, decks, {
+      "mainboard:Lightning Bolt": "c",
+      "mainboard:Shock": "none",
+      "mainboard:Island": "a",
+      "sideboard:Duress": "b",
+    });
+    assert.deepEqual([...merged.mainboard].sort(), [["Island", 1], ["Lightning Bolt", 2]]);
+    assert.deepEqual([...merged.sideboard], [["Duress", 2]]);
+    assert.deepEqual(merged.printings.get("Island"), { set: "M19", collectorNumber: "264" });
+  });
+});
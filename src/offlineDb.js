@@ -0,0 +1,280 @@
+// --- Offline card database --------------------------------------------------
+// A Scryfall "oracle cards" bulk file stored in IndexedDB, so name resolution and card
+// search keep working without a connection. Cards are stored trimmed to the fields the
+// app reads, keyed by lowercased name, with a multi-entry "lookup" index over the full
+// name and each face name ("Bonecrusher Giant" finds "Bonecrusher Giant // Stomp").
+import { useCallback, useEffect, useState } from "react";
+import { scryfallFetch } from "./scryfallClient.js";
+import { databaseOpener, done, committed } from "./idb.js";
+
+const DB_NAME = "mtg_deck_diff_offline";
+const DB_VERSION = 1;
+const CARDS = "cards";
+const META = "meta";
+const BULK_INDEX_PATH = "/bulk-data/oracle-cards";
+// Cards written per IndexedDB transaction while importing
+const WRITE_BATCH = 1000;
+
+// Fields kept from each bulk card (the rest of the ~150 MB file is dropped)
+const CARD_FIELDS = [
+  "id", "oracle_id", "name", "lang", "layout", "mana_cost", "cmc", "type_line", "oracle_text",
+  "colors", "color_identity", "keywords", "produced_mana", "legalities", "prices", "image_uris",
+  "scryfall_uri", "set", "set_name", "collector_number", "mtgo_id", "released_at", "rarity",
+];
+const FACE_FIELDS = ["name", "mana_cost", "type_line", "oracle_text", "colors", "image_uris", "oracle_id"];
+
+const pick = (obj, fields) => {
+  const out = {};
+  for (const f of fields) if (obj[f] !== undefined) out[f] = obj[f];
+  return out;
+};
+
+const slimCard = (c) => {
+  const card = pick(c, CARD_FIELDS);
+  if (Array.isArray(c.card_faces)) card.card_faces = c.card_faces.map((f) => pick(f, FACE_FIELDS));
+  return card;
+};
+
+const lookupKeys = (c) => {
+  const keys = [c.name, ...(c.card_faces || []).map((f) => f.name)]
+    .filter(Boolean)
+    .map((n) => n.toLowerCase());
+  return [...new Set(keys)];
+};
+
+const openDb = databaseOpener(DB_NAME, DB_VERSION, (db) => {
+  if (!db.objectStoreNames.contains(CARDS)) {
+    const cards = db.createObjectStore(CARDS, { keyPath: "key" });
+    cards.createIndex("lookup", "lookup", { multiEntry: true });
+  }
+  if (!db.objectStoreNames.contains(META)) db.createObjectStore(META, { keyPath: "id" });
+});
+
+// { count, importedAt, source } for the loaded bulk file, or null when there is none
+export const getOfflineMeta = async () => {
+  try {
+    const db = await openDb();
+    return (await done(db.transaction(META).objectStore(META).get("bulk"))) || null;
+  } catch {
+    return null;
+  }
+};
+
+// In-memory search index, built on first search and dropped whenever the data changes
+let searchIndex = null;
+// Cached meta so lookups skip IndexedDB entirely when no bulk file is loaded
+let metaPromise = null;
+const hasOfflineCards = async () => {
+  if (!metaPromise) metaPromise = getOfflineMeta();
+  return ((await metaPromise)?.count || 0) > 0;
+};
+const invalidate = () => {
+  searchIndex = null;
+  metaPromise = null;
+};
+
+// Replace the stored cards with `cards` (parsed bulk JSON). onProgress(done, total).
+export const importBulkCards = async (cards, source, onProgress = () => {}) => {
+  if (!Array.isArray(cards)) throw new Error("Not a Scryfall bulk card file");
+  const db = await openDb();
+  let tx = db.transaction([CARDS, META], "readwrite");
+  tx.objectStore(CARDS).clear();
+  tx.objectStore(META).delete("bulk");
+  await committed(tx);
+  invalidate();
+
+  // Skip tokens, art cards and other non-game objects the oracle file includes
+  const playable = cards.filter((c) => c?.name && !["token", "double_faced_token", "art_series", "emblem"].includes(c.layout));
+  for (let i = 0; i < playable.length; i += WRITE_BATCH) {
+    tx = db.transaction(CARDS, "readwrite");
+    const store = tx.objectStore(CARDS);
+    for (const c of playable.slice(i, i + WRITE_BATCH)) {
+      const card = slimCard(c);
+      store.put({ key: c.name.toLowerCase(), lookup: lookupKeys(c), card });
+    }
+    await committed(tx);
+    onProgress(Math.min(i + WRITE_BATCH, playable.length), playable.length);
+  }
+
+  const meta = { id: "bulk", count: playable.length, importedAt: Date.now(), source };
+  tx = db.transaction(META, "readwrite");
+  tx.objectStore(META).put(meta);
+  await committed(tx);
+  invalidate();
+  return meta;
+};
+
+export const loadBulkFile = async (file, onProgress) =>
+  importBulkCards(JSON.parse(await file.text()), file.name, onProgress);
+
+// Fetch the current oracle cards file from Scryfall
+export const downloadBulkData = async (onProgress) => {
+  const { json: index } = await scryfallFetch(BULK_INDEX_PATH);
+  if (!index?.download_uri) throw new Error(index?.details || "Bulk data is unavailable");
+  const res = await fetch(index.download_uri);
+  if (!res.ok) throw new Error(`Download failed (${res.status})`);
+  return importBulkCards(await res.json(), `Scryfall oracle cards ${index.updated_at || ""}`.trim(), onProgress);
+};
+
+export const clearOfflineCards = async () => {
+  const db = await openDb();
+  const tx = db.transaction([CARDS, META], "readwrite");
+  tx.objectStore(CARDS).clear();
+  tx.objectStore(META).delete("bulk");
+  await committed(tx);
+  invalidate();
+};
+
+// Cards for each name (exact, case-insensitive; full or face name).
+// Returns Map<name, bulk card>; names not in the database are left out.
+export const getOfflineCards = async (names) => {
+  const found = new Map();
+  if (names.length === 0 || !(await hasOfflineCards())) return found;
+  const db = await openDb();
+  const index = db.transaction(CARDS).objectStore(CARDS).index("lookup");
+  await Promise.all(
+    names.map(async (name) => {
+      const record = await done(index.get(name.toLowerCase()));
+      if (record) found.set(name, record.card);
+    })
+  );
+  return found;
+};
+
+// --- Offline search ---
+// Understands the Scryfall syntax the filter builder produces (see searchQuery.js):
+// plain words (all must appear in the name), "quoted phrases", t:, o:, c:, id:, mv,
+// f: and usd/eur/tix with :, =, !=, <, <=, > and >=. A "word:" that isn't a known key
+// is name text, as on Scryfall ("Circle of Protection:Red"); a known key used in a
+// way offline search can't answer is reported rather than silently ignored.
+const FIELD_ALIASES = {
+  name: "name", t: "type", type: "type", o: "text", oracle: "text",
+  c: "colors", color: "colors", id: "identity", identity: "identity", ci: "identity",
+  mv: "mv", cmc: "mv", manavalue: "mv", f: "format", format: "format", legal: "format",
+  usd: "usd", eur: "eur", tix: "tix",
+};
+const TEXT_FIELDS = ["name", "type", "text"];
+const NUMBER_FIELDS = ["mv", "usd", "eur", "tix"];
+
+// query -> [{ field, op, value, negate }]; throws on terms it can't evaluate
+export const parseOfflineQuery = (query) => {
+  const terms = [];
+  const re = /(-?)(?:(\w+)(:|<=|>=|!=|=|<|>))?("([^"]*)"|\S+)/g;
+  let m;
+  while ((m = re.exec(query))) {
+    const key = (m[2] || "name").toLowerCase();
+    const op = m[3] || ":";
+    const value = (m[5] ?? m[4]).toLowerCase();
+    const field = FIELD_ALIASES[key];
+    if (!field) {
+      terms.push({ field: "name", op: ":", value: `${key}${op}${value}`, negate: m[1] === "-" });
+      continue;
+    }
+    if (TEXT_FIELDS.includes(field) && op !== ":") throw new Error(`"${key}${op}" isn't supported by offline search`);
+    if (NUMBER_FIELDS.includes(field) && Number.isNaN(Number(value))) throw new Error(`"${key}${op}${value}" needs a number`);
+    terms.push({ field, op, value, negate: m[1] === "-" });
+  }
+  return terms;
+};
+
+const compareNumbers = (a, op, b) =>
+  ({ ":": a === b, "=": a === b, "!=": a !== b, "<": a < b, "<=": a <= b, ">": a > b, ">=": a >= b })[op];
+
+// Color sets compare like Scryfall: "c:" means at least these colors, "id:" at most
+const compareColors = (have, value, op, field) => {
+  const want = value === "c" ? [] : [...new Set(value.replace(/[^wubrg]/g, ""))];
+  const subset = have.every((c) => want.includes(c));
+  const superset = want.every((c) => have.includes(c));
+  const effective = op === ":" ? (field === "identity" ? "<=" : ">=") : op;
+  return {
+    "=": subset && superset,
+    "!=": !(subset && superset),
+    "<=": subset,
+    "<": subset && have.length < want.length,
+    ">=": superset,
+    ">": superset && have.length > want.length,
+  }[effective];
+};
+
+const matchesTerm = (entry, { field, op, value }) => {
+  if (TEXT_FIELDS.includes(field)) return entry[field].includes(value);
+  if (field === "colors" || field === "identity") return compareColors(entry[field], value, op, field);
+  if (field === "format") return entry.formats.includes(value);
+  const n = entry[field];
+  return n != null && compareNumbers(n, op, Number(value));
+};
+
+const toNumber = (v) => (v == null || v === "" ? null : Number(v));
+
+const buildSearchIndex = async () => {
+  const db = await openDb();
+  const records = await done(db.transaction(CARDS).objectStore(CARDS).getAll());
+  return records.map(({ key, card }) => ({
+    key,
+    name: key,
+    type: (card.type_line || "").toLowerCase(),
+    text: [card.oracle_text, ...(card.card_faces || []).map((f) => f.oracle_text)].join("\n").toLowerCase(),
+    colors: (card.colors || card.card_faces?.[0]?.colors || []).map((c) => c.toLowerCase()),
+    identity: (card.color_identity || []).map((c) => c.toLowerCase()),
+    mv: toNumber(card.cmc),
+    formats: Object.keys(card.legalities || {}).filter((f) => ["legal", "restricted"].includes(card.legalities[f])),
+    usd: toNumber(card.prices?.usd),
+    eur: toNumber(card.prices?.eur),
+    tix: toNumber(card.prices?.tix),
+  }));
+};
+
+// Cards matching query, name-prefix matches first, then alphabetical.
+// Returns { cards, total } for the `limit` matches starting at `offset`.
+export const searchOffline = async (query, { offset = 0, limit = 60 } = {}) => {
+  const terms = parseOfflineQuery(query);
+  if (terms.length === 0) return { cards: [], total: 0 };
+  if (!searchIndex) searchIndex = buildSearchIndex();
+  const entries = await searchIndex;
+  const first = terms.find((t) => t.field === "name" && !t.negate)?.value;
+  const hits = entries
+    .filter((e) => terms.every((t) => matchesTerm(e, t) !== t.negate))
+    .sort((x, y) => {
+      const px = first && x.name.startsWith(first) ? 0 : 1;
+      const py = first && y.name.startsWith(first) ? 0 : 1;
+      return px - py || x.name.localeCompare(y.name);
+    });
+  const db = await openDb();
+  const store = db.transaction(CARDS).objectStore(CARDS);
+  const records = await Promise.all(hits.slice(offset, offset + limit).map((h) => done(store.get(h.key))));
+  return { cards: records.filter(Boolean).map((r) => r.card), total: hits.length };
+};
+
+// Offline database status plus import/clear actions for the settings UI
+export const useOfflineDb = () => {
+  const [meta, setMeta] = useState(null);
+  // null when idle, otherwise { label, done, total }
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    getOfflineMeta().then(setMeta);
+  }, []);
+
+  const run = useCallback(async (label, task) => {
+    setError("");
+    setProgress({ label, done: 0, total: 0 });
+    try {
+      const next = await task((doneCount, total) => setProgress({ label: "Saving", done: doneCount, total }));
+      setMeta(next);
+    } catch (e) {
+      console.error("Offline card database update failed", e);
+      setError(e.message || "Import failed");
+    }
+    setProgress(null);
+  }, []);
+
+  const loadFile = useCallback((file) => run("Reading file", (onProgress) => loadBulkFile(file, onProgress)), [run]);
+  const download = useCallback(() => run("Downloading", downloadBulkData), [run]);
+  const clear = useCallback(() => run("Removing", async () => {
+    await clearOfflineCards();
+    return null;
+  }), [run]);
+
+  return { meta, available: (meta?.count || 0) > 0, progress, error, loadFile, download, clear };
+};
@@ -0,0 +1,53 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { parseOfflineQuery } from "./offlineDb.js";
+import { EMPTY_FILTERS, fullSearchQuery } from "./searchQuery.js";
+
+const term = (field, op, value, negate = false) => ({ field, op, value, negate });
+
+describe("parseOfflineQuery", () => {
+  it("reads plain words and quoted phrases as name text", () => {
+    assert.deepEqual(parseOfflineQuery('Goblin "Mob Boss"'), [term("name", ":", "goblin"), term("name", ":", "mob boss")]);
+    assert.deepEqual(parseOfflineQuery(""), []);
+  });
+
+  it("maps key aliases to fields and keeps operators and negation", () => {
+    assert.deepEqual(parseOfflineQuery("t:Creature -o:flying cmc>=3 legal:modern ci<=wu usd<1.5"), [
+      term("type", ":", "creature"),
+      term("text", ":", "flying", true),
+      term("mv", ">=", "3"),
+      term("format", ":", "modern"),
+      term("identity", "<=", "wu"),
+      term("usd", "<", "1.5"),
+    ]);
+  });
+
+  it("reads what the filter builder produces", () => {
+    const filters = { colors: ["R", "G"], type: "Creature", mvMin: "2", mvMax: "4", format: "modern", maxPrice: "5" };
+    assert.deepEqual(parseOfflineQuery(fullSearchQuery("elf", filters)), [
+      term("name", ":", "elf"),
+      term("identity", "<=", "rg"),
+      term("type", ":", "creature"),
+      term("mv", ">=", "2"),
+      term("mv", "<=", "4"),
+      term("format", ":", "modern"),
+      term("usd", "<=", "5"),
+    ]);
+    assert.deepEqual(parseOfflineQuery(fullSearchQuery("", EMPTY_FILTERS)), []);
+  });
+
+  it("treats unknown keys as name text, like Scryfall", () => {
+    assert.deepEqual(parseOfflineQuery("Circle of Protection:Red"), [
+      term("name", ":", "circle"),
+      term("name", ":", "of"),
+      term("name", ":", "protection:red"),
+    ]);
+    assert.deepEqual(parseOfflineQuery("-Protection:Red"), [term("name", ":", "protection:red", true)]);
+    assert.deepEqual(parseOfflineQuery("Circle of Protection: Red").at(-2), term("name", ":", "protection:"));
+  });
+
+  it("rejects known keys it can't evaluate", () => {
+    assert.throws(() => parseOfflineQuery("t>creature"), /"t>" isn't supported/);
+    assert.throws(() => parseOfflineQuery("mv>=three"), /needs a number/);
+  });
+});
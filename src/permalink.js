@@ -0,0 +1,103 @@
+// --- Shareable permalinks ---------------------------------------------------
+// The whole comparison (both decks, their names and the merge state) is packed into
+// the URL fragment, so links work on a static host with no backend. The payload is
+// JSON, deflated with the browser's CompressionStream when available, then base64url
+// encoded. The first character says which: "z" = deflate-raw, "j" = plain JSON.
+const SHARE_PARAM = "share";
+
+const toBase64Url = (bytes) => {
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+};
+
+const fromBase64Url = (str) => {
+  const b64 = str.replace(/-/g, "+").replace(/_/g, "/");
+  const bin = atob(b64 + "===".slice((b64.length + 3) % 4));
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return bytes;
+};
+
+const pipeBytes = async (bytes, stream) =>
+  new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+
+const canCompress = () => typeof CompressionStream !== "undefined" && typeof DecompressionStream !== "undefined";
+
+// state: { deckAText, deckBText, baseText, deckAName, deckBName, mergeChoices, selectedForMerge,
+//          mergeEdits, threeWayChoices, showMerge }
+export const encodeShareState = async (state) => {
+  const json = JSON.stringify({
+    v: 1,
+    a: state.deckAText || "",
+    b: state.deckBText || "",
+    // Base deck for a three-way merge, omitted when unused
+    ...(state.baseText ? { o: state.baseText } : {}),
+    na: state.deckAName || "",
+    nb: state.deckBName || "",
+    mc: state.mergeChoices || {},
+    // Only the selected keys matter
+    sm: Object.keys(state.selectedForMerge || {}).filter((k) => state.selectedForMerge[k]),
+    // Manual edits to the merged deck, omitted when there are none
+    ...(Object.keys(state.mergeEdits || {}).length > 0 ? { me: state.mergeEdits } : {}),
+    // Three-way conflict resolutions against the base deck
+    ...(Object.keys(state.threeWayChoices || {}).length > 0 ? { tw: state.threeWayChoices } : {}),
+    m: state.showMerge ? 1 : 0,
+  });
+  const bytes = new TextEncoder().encode(json);
+  if (canCompress()) {
+    return "z" + toBase64Url(await pipeBytes(bytes, new CompressionStream("deflate-raw")));
+  }
+  return "j" + toBase64Url(bytes);
+};
+
+// Returns the decoded state, or null if the payload is missing or unreadable
+export const decodeShareState = async (payload) => {
+  if (!payload) return null;
+  try {
+    let bytes = fromBase64Url(payload.slice(1));
+    if (payload[0] === "z") {
+      if (!canCompress()) return null;
+      bytes = await pipeBytes(bytes, new DecompressionStream("deflate-raw"));
+    } else if (payload[0] !== "j") {
+      return null;
+    }
+    const data = JSON.parse(new TextDecoder().decode(bytes));
+    if (data?.v !== 1) return null;
+    return {
+      deckAText: String(data.a || ""),
+      deckBText: String(data.b || ""),
+      baseText: String(data.o || ""),
+      deckAName: String(data.na || "Deck A"),
+      deckBName: String(data.nb || "Deck B"),
+      mergeChoices: data.mc && typeof data.mc === "object" ? data.mc : {},
+      selectedForMerge: Object.fromEntries((Array.isArray(data.sm) ? data.sm : []).map((k) => [k, true])),
+      mergeEdits: data.me && typeof data.me === "object" ? data.me : {},
+      threeWayChoices: data.tw && typeof data.tw === "object" ? data.tw : {},
+      showMerge: !!data.m,
+    };
+  } catch (e) {
+    console.warn("Could not decode share link", e);
+    return null;
+  }
+};
+
+// Payload from a location hash like "#share=z..."
+export const readShareHash = (hash = window.location.hash) => {
+  const params = new URLSearchParams(hash.replace(/^#/, ""));
+  return params.get(SHARE_PARAM);
+};
+
+export const buildShareUrl = (payload) => {
+  const { origin, pathname, search } = window.location;
+  return `${origin}${pathname}${search}#${SHARE_PARAM}=${payload}`;
+};
+
+// Drop the share fragment once it has been applied, so reloading the page keeps the
+// user's edits instead of restoring the shared comparison over them
+export const clearShareHash = () => {
+  const { pathname, search } = window.location;
+  window.history.replaceState(null, "", `${pathname}${search}`);
+};
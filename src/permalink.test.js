@@ -0,0 +1,87 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { Buffer } from "node:buffer";
+import { encodeShareState, decodeShareState, readShareHash, clearShareHash } from "./permalink.js";
+
+const state = {
+  deckAText: "Commander\n1 Kenrith, the Returned King\n\nDeck\n1 Sol Ring",
+  deckBText: "1 Sol Ring\n1 Arcane Signet",
+  baseText: "1 Sol Ring",
+  deckAName: "Kenrith",
+  deckBName: "Kenrith v2",
+  mergeChoices: { "mainboard:Sol Ring": "B" },
+  selectedForMerge: { "mainboard:Arcane Signet": true, "mainboard:Island": false },
+  mergeEdits: { "mainboard:Sol Ring": 2, "sideboard:Duress": 1 },
+  threeWayChoices: { "mainboard:Arcane Signet": "Base" },
+  showMerge: true,
+};
+
+// A plain-JSON ("j") payload, as written where CompressionStream is missing
+const jsonPayload = (data) => "j" + Buffer.from(JSON.stringify(data)).toString("base64url");
+
+describe("share links", () => {
+  it("round-trips the comparison through a compressed payload", async () => {
+    const payload = await encodeShareState(state);
+    assert.equal(payload[0], "z");
+    assert.match(payload, /^[A-Za-z0-9_-]+$/);
+    assert.deepEqual(await decodeShareState(payload), {
+      ...state,
+      selectedForMerge: { "mainboard:Arcane Signet": true },
+    });
+  });
+
+  it("reads plain JSON payloads and fills in defaults", async () => {
+    assert.deepEqual(await decodeShareState(jsonPayload({ v: 1, a: "1 Island" })), {
+      deckAText: "1 Island",
+      deckBText: "",
+      baseText: "",
+      deckAName: "Deck A",
+      deckBName: "Deck B",
+      mergeChoices: {},
+      selectedForMerge: {},
+      mergeEdits: {},
+      threeWayChoices: {},
+      showMerge: false,
+    });
+  });
+
+  it("leaves merge edits out of the payload when there are none", async () => {
+    const payload = await encodeShareState({ ...state, mergeEdits: {} });
+    assert.deepEqual((await decodeShareState(payload)).mergeEdits, {});
+    assert.ok(payload.length < (await encodeShareState(state)).length);
+  });
+
+  it("rejects malformed payloads", async (t) => {
+    t.mock.method(console, "warn", () => {});
+    assert.equal(await decodeShareState(""), null);
+    assert.equal(await decodeShareState("x" + jsonPayload({ v: 1 }).slice(1)), null);
+    assert.equal(await decodeShareState("z!!not-base64!!"), null);
+    assert.equal(await decodeShareState("zAAAA"), null);
+    assert.equal(await decodeShareState("j" + Buffer.from("{not json").toString("base64url")), null);
+  });
+
+  it("rejects unknown payload versions", async () => {
+    assert.equal(await decodeShareState(jsonPayload({ v: 2, a: "1 Island" })), null);
+    assert.equal(await decodeShareState(jsonPayload({ a: "1 Island" })), null);
+  });
+
+  it("reads the payload from a location hash", () => {
+    assert.equal(readShareHash("#share=zAbC-_"), "zAbC-_");
+    assert.equal(readShareHash("#other=1&share=jXYZ"), "jXYZ");
+    assert.equal(readShareHash(""), null);
+  });
+
+  it("clears the share fragment and keeps the rest of the URL", () => {
+    const replaced = [];
+    globalThis.window = {
+      location: { pathname: "/deck-diff/", search: "?theme=dark", hash: "#share=zAbC" },
+      history: { replaceState: (...args) => replaced.push(args) },
+    };
+    try {
+      clearShareHash();
+    } finally {
+      delete globalThis.window;
+    }
+    assert.deepEqual(replaced, [[null, "", "/deck-diff/?theme=dark"]]);
+  });
+});
@@ -0,0 +1,92 @@
+// --- Playtest (goldfish) ------------------------------------------------------------
+// Game state for the playtester: each copy of a card is an instance { id, name } in
+// one of the zones below. The library is the mainboard; commanders start in the
+// command zone. Mulligans follow the London rule: draw seven again, and on keeping
+// put one card on the bottom per mulligan taken.
+// phase: "mulligan" (deciding on the hand), "bottom" (choosing cards to bottom), "play"
+export const PLAYTEST_ZONES = ["hand", "battlefield", "graveyard", "exile", "command"];
+
+const shuffle = (cards) => {
+  const out = [...cards];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+};
+
+const instances = (map, prefix) => {
+  const out = [];
+  map.forEach((qty, name) => {
+    for (let i = 0; i < qty; i++) out.push({ id: `${prefix}-${name}-${i}`, name });
+  });
+  return out;
+};
+
+// Shuffle the library and draw seven
+const dealHand = (library) => {
+  const shuffled = shuffle(library);
+  return { hand: shuffled.slice(0, 7), library: shuffled.slice(7) };
+};
+
+export const newGame = (deck) => {
+  const library = instances(deck.mainboard, "lib");
+  return {
+    ...dealHand(library),
+    battlefield: [],
+    graveyard: [],
+    exile: [],
+    command: instances(deck.commander, "cmd"),
+    turn: 0,
+    mulligans: 0,
+    phase: "mulligan",
+  };
+};
+
+const isCommander = (card) => card.id.startsWith("cmd-");
+
+// Every card goes back: commanders to the command zone, the rest shuffled into the library
+export const mulligan = (state) => {
+  const cards = PLAYTEST_ZONES.flatMap((z) => state[z]);
+  return {
+    ...state,
+    ...dealHand([...state.library, ...cards.filter((c) => !isCommander(c))]),
+    battlefield: [],
+    graveyard: [],
+    exile: [],
+    command: cards.filter(isCommander),
+    mulligans: state.mulligans + 1,
+  };
+};
+
+export const keepHand = (state) => ({ ...state, phase: state.mulligans > 0 ? "bottom" : "play", turn: 1 });
+
+// Cards still to put on the bottom after a mulligan
+export const cardsToBottom = (state) => (state.phase === "bottom" ? state.mulligans - (7 - state.hand.length) : 0);
+
+export const putOnBottom = (state, id) => {
+  const card = state.hand.find((c) => c.id === id);
+  if (!card || cardsToBottom(state) <= 0) return state;
+  const next = { ...state, hand: state.hand.filter((c) => c.id !== id), library: [...state.library, card] };
+  return cardsToBottom(next) > 0 ? next : { ...next, phase: "play" };
+};
+
+export const drawCard = (state) =>
+  state.library.length === 0
+    ? state
+    : { ...state, hand: [...state.hand, state.library[0]], library: state.library.slice(1) };
+
+// Next turn: untap is implicit, draw for the turn
+export const nextTurn = (state) => drawCard({ ...state, turn: state.turn + 1 });
+
+// Move a card instance between PLAYTEST_ZONES (or onto the top of the library). Cards
+// only move once the game is under way, so the hand can't change while bottoming.
+export const moveCard = (state, id, to) => {
+  if (state.phase !== "play") return state;
+  const from = [...PLAYTEST_ZONES, "library"].find((z) => state[z].some((c) => c.id === id));
+  if (!from || from === to) return state;
+  const card = state[from].find((c) => c.id === id);
+  const next = { ...state, [from]: state[from].filter((c) => c.id !== id) };
+  next[to] = to === "library" ? [card, ...next.library] : [...next[to], card];
+  return next;
+};
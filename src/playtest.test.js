@@ -0,0 +1,80 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { parseDeckText } from "./deck.js";
+import { newGame, mulligan, keepHand, cardsToBottom, putOnBottom, drawCard, nextTurn, moveCard } from "./playtest.js";
+
+const deck = parseDeckText("Commander\n1 Krenko, Mob Boss\n\nDeck\n30 Mountain\n29 Goblin Guide\n\nSideboard\n15 Duress");
+
+const zoneSizes = (game) =>
+  ["library", "hand", "battlefield", "graveyard", "exile", "command"].map((zone) => game[zone].length);
+
+// Keep after `mulligans` mulligans and bottom the first cards of the hand
+const keepAfter = (mulligans) => {
+  let game = newGame(deck);
+  for (let i = 0; i < mulligans; i++) game = mulligan(game);
+  game = keepHand(game);
+  while (cardsToBottom(game) > 0) game = putOnBottom(game, game.hand[0].id);
+  return game;
+};
+
+describe("playtest", () => {
+  it("deals seven from the mainboard and puts commanders in the command zone", () => {
+    const game = newGame(deck);
+    assert.deepEqual(zoneSizes(game), [52, 7, 0, 0, 0, 1]);
+    assert.equal(game.phase, "mulligan");
+  });
+
+  it("goes straight to play when keeping seven", () => {
+    const game = keepHand(newGame(deck));
+    assert.deepEqual([game.phase, game.turn, cardsToBottom(game)], ["play", 1, 0]);
+  });
+
+  it("draws seven again on a mulligan and bottoms one card per mulligan on keep", () => {
+    let game = mulligan(mulligan(newGame(deck)));
+    assert.deepEqual([game.hand.length, game.mulligans], [7, 2]);
+    game = keepHand(game);
+    assert.deepEqual([game.phase, cardsToBottom(game)], ["bottom", 2]);
+    const bottomed = game.hand[0];
+    game = putOnBottom(game, bottomed.id);
+    assert.deepEqual([game.phase, cardsToBottom(game)], ["bottom", 1]);
+    assert.equal(game.library.at(-1), bottomed);
+    game = putOnBottom(game, game.hand[0].id);
+    assert.deepEqual([game.phase, game.hand.length, game.library.length], ["play", 5, 54]);
+    assert.equal(putOnBottom(game, game.hand[0].id), game);
+  });
+
+  it("doesn't move cards before play starts", () => {
+    const game = keepHand(mulligan(newGame(deck)));
+    assert.equal(moveCard(game, game.hand[0].id, "battlefield"), game);
+    assert.equal(moveCard(newGame(deck), "cmd-Krenko, Mob Boss-0", "battlefield").command.length, 1);
+  });
+
+  it("moves cards between zones and onto the top of the library once playing", () => {
+    let game = keepAfter(0);
+    const card = game.hand[0];
+    game = moveCard(game, card.id, "battlefield");
+    assert.deepEqual([game.hand.length, game.battlefield[0]], [6, card]);
+    game = moveCard(game, card.id, "library");
+    assert.equal(game.library[0], card);
+    game = drawCard(game);
+    assert.equal(game.hand.at(-1), card);
+  });
+
+  it("returns every zone on a mulligan, commanders to the command zone", () => {
+    let game = keepAfter(0);
+    game = moveCard(game, game.hand[0].id, "battlefield");
+    game = moveCard(game, game.hand[0].id, "graveyard");
+    game = moveCard(game, game.hand[0].id, "exile");
+    game = moveCard(game, game.command[0].id, "battlefield");
+    game = mulligan(game);
+    assert.deepEqual(zoneSizes(game), [52, 7, 0, 0, 0, 1]);
+  });
+
+  it("draws a card each turn until the library runs out", () => {
+    let game = keepAfter(0);
+    game = nextTurn(game);
+    assert.deepEqual([game.turn, game.hand.length, game.library.length], [2, 8, 51]);
+    game = { ...game, library: [] };
+    assert.equal(drawCard(game), game);
+  });
+});
@@ -0,0 +1,71 @@
+// --- Prices -----------------------------------------------------------------
+// Scryfall prices kept by normalizeCard as { usd, eur, tix } numbers (null when
+// Scryfall has none). Totals count every zone you'd need the cards for, so the
+// maybeboard is left out.
+import { ownedMap } from "./deck.js";
+
+export const CURRENCIES = {
+  usd: { label: "USD", format: (n) => `$${n.toFixed(2)}` },
+  eur: { label: "EUR", format: (n) => `€${n.toFixed(2)}` },
+  tix: { label: "TIX", format: (n) => `${n.toFixed(2)} tix` },
+};
+
+const PRICE_KEY = "mtg_deck_diff_currency_v1";
+
+export const loadCurrency = () => {
+  try {
+    const c = localStorage.getItem(PRICE_KEY);
+    return CURRENCIES[c] ? c : "usd";
+  } catch {
+    return "usd";
+  }
+};
+
+export const saveCurrency = (currency) => {
+  try {
+    localStorage.setItem(PRICE_KEY, currency);
+  } catch (e) {
+    console.warn("Could not save currency", e);
+  }
+};
+
+// Scryfall's prices object -> { usd, eur, tix }; foil prices stand in for cards only
+// printed in foil
+export const normalizePrices = (prices) => {
+  const num = (...values) => {
+    const v = values.find((x) => x != null && x !== "");
+    return v == null ? null : Number(v);
+  };
+  return {
+    usd: num(prices?.usd, prices?.usd_foil, prices?.usd_etched),
+    eur: num(prices?.eur, prices?.eur_foil),
+    tix: num(prices?.tix),
+  };
+};
+
+export const cardPrice = (card, currency) => card?.prices?.[currency] ?? null;
+
+export const formatPrice = (value, currency) => (value == null ? "—" : CURRENCIES[currency].format(value));
+
+// Sum qty × price over name -> qty entries: { total, missing } where missing counts
+// cards without a price (unresolved or no listing)
+const priceEntries = (entries, getCard, currency) => {
+  let total = 0;
+  let missing = 0;
+  for (const [name, qty] of entries) {
+    if (qty <= 0) continue;
+    const price = cardPrice(getCard(name), currency);
+    if (price == null) missing += 1;
+    else total += price * qty;
+  }
+  return { total, missing };
+};
+
+export const deckPrice = (deck, getCard, currency) => priceEntries(ownedMap(deck), getCard, currency);
+
+// What going from deck A to deck B costs: every copy B has beyond A's count
+export const upgradeCost = (deckA, deckB, getCard, currency) => {
+  const have = ownedMap(deckA);
+  const needed = [...ownedMap(deckB)].map(([name, qty]) => [name, qty - (have.get(name) || 0)]);
+  return priceEntries(needed, getCard, currency);
+};
@@ -0,0 +1,87 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { parseDeckText } from "./deck.js";
+import { normalizePrices, cardPrice, formatPrice, deckPrice, upgradeCost, loadCurrency, saveCurrency } from "./prices.js";
+
+const store = new Map();
+globalThis.localStorage = {
+  getItem: (k) => (store.has(k) ? store.get(k) : null),
+  setItem: (k, v) => store.set(k, String(v)),
+  removeItem: (k) => store.delete(k),
+};
+
+// Resolved cards by name; anything else is unresolved
+const CARDS = {
+  "Lightning Bolt": { prices: normalizePrices({ usd: "1.50", eur: "1.20", tix: "0.05" }) },
+  Island: { prices: normalizePrices({ usd: "0.10" }) },
+  "Sol Ring": { prices: normalizePrices({ usd: "2.00" }) },
+  "Ragavan, Nimble Pilferer": { prices: normalizePrices({ usd: "50.00" }) },
+  "Unpriced Promo": { prices: normalizePrices({}) },
+};
+const getCard = (name) => CARDS[name] || null;
+
+describe("normalizePrices", () => {
+  it("reads Scryfall's price strings as numbers", () => {
+    assert.deepEqual(normalizePrices({ usd: "1.50", eur: "1.20", tix: "0.05" }), { usd: 1.5, eur: 1.2, tix: 0.05 });
+  });
+
+  it("falls back to foil and etched prices for foil-only printings", () => {
+    assert.deepEqual(normalizePrices({ usd: null, usd_foil: "3.00", eur_foil: "2.50" }), { usd: 3, eur: 2.5, tix: null });
+    assert.equal(normalizePrices({ usd_etched: "4.00" }).usd, 4);
+    assert.equal(normalizePrices({ usd: "1.00", usd_foil: "3.00" }).usd, 1);
+  });
+
+  it("leaves missing prices null", () => {
+    assert.deepEqual(normalizePrices(undefined), { usd: null, eur: null, tix: null });
+    assert.deepEqual(normalizePrices({ usd: "" }), { usd: null, eur: null, tix: null });
+  });
+});
+
+describe("cardPrice and formatPrice", () => {
+  it("reads one currency and formats it", () => {
+    assert.equal(cardPrice(CARDS["Lightning Bolt"], "eur"), 1.2);
+    assert.equal(cardPrice(null, "usd"), null);
+    assert.equal(formatPrice(1.5, "usd"), "$1.50");
+    assert.equal(formatPrice(1.2, "eur"), "€1.20");
+    assert.equal(formatPrice(0.05, "tix"), "0.05 tix");
+    assert.equal(formatPrice(null, "usd"), "—");
+  });
+});
+
+describe("deckPrice", () => {
+  it("totals every zone but the maybeboard", () => {
+    const deck = parseDeckText("4 Lightning Bolt\n20 Island\n\nSideboard\n1 Sol Ring\n\nMaybeboard\n1 Ragavan, Nimble Pilferer");
+    assert.deepEqual(deckPrice(deck, getCard, "usd"), { total: 10, missing: 0 });
+  });
+
+  it("counts cards without a price instead of guessing", () => {
+    const deck = parseDeckText("4 Lightning Bolt\n1 Unpriced Promo\n2 Unknown Card");
+    const { total, missing } = deckPrice(deck, getCard, "usd");
+    assert.equal(total, 6);
+    assert.equal(missing, 2);
+    assert.deepEqual(deckPrice(parseDeckText("20 Island"), getCard, "eur"), { total: 0, missing: 1 });
+  });
+});
+
+describe("upgradeCost", () => {
+  it("prices only the copies deck B has beyond deck A", () => {
+    const a = parseDeckText("2 Lightning Bolt\n20 Island\n1 Sol Ring");
+    const b = parseDeckText("4 Lightning Bolt\n18 Island\n1 Ragavan, Nimble Pilferer\n\nSideboard\n1 Sol Ring\n1 Unknown Card");
+    assert.deepEqual(upgradeCost(a, b, getCard, "usd"), { total: 53, missing: 1 });
+  });
+
+  it("is free when B is a subset of A", () => {
+    const a = parseDeckText("4 Lightning Bolt\n20 Island");
+    assert.deepEqual(upgradeCost(a, parseDeckText("2 Lightning Bolt"), getCard, "usd"), { total: 0, missing: 0 });
+  });
+});
+
+describe("currency preference", () => {
+  it("persists the chosen currency and defaults to USD", () => {
+    assert.equal(loadCurrency(), "usd");
+    saveCurrency("eur");
+    assert.equal(loadCurrency(), "eur");
+    store.set("mtg_deck_diff_currency_v1", "gold");
+    assert.equal(loadCurrency(), "usd");
+  });
+});
@@ -0,0 +1,75 @@
+// --- Draw probabilities -----------------------------------------------------------
+// Exact hypergeometric odds for a deck's library (the mainboard; commanders start in
+// the command zone), plus random sample hands. Mulligans and card draw beyond one
+// card per turn are ignored.
+import { manaValue } from "./manaBase.js";
+
+const logFactorials = [0];
+const logFactorial = (n) => {
+  for (let i = logFactorials.length; i <= n; i++) logFactorials[i] = logFactorials[i - 1] + Math.log(i);
+  return logFactorials[n];
+};
+const logChoose = (n, k) => logFactorial(n) - logFactorial(k) - logFactorial(n - k);
+
+// P(at least `atLeast` successes) drawing `draws` cards from `population` holding
+// `successes` of them
+export const hypergeomAtLeast = (population, successes, draws, atLeast) => {
+  const n = Math.min(draws, population);
+  if (atLeast <= 0) return 1;
+  let p = 0;
+  for (let k = atLeast; k <= Math.min(n, successes); k++) {
+    if (n - k > population - successes) continue;
+    p += Math.exp(logChoose(successes, k) + logChoose(population - successes, n - k) - logChoose(population, n));
+  }
+  return Math.min(p, 1);
+};
+
+// Cards seen by the given turn: the opening seven plus one draw per turn, skipping
+// the first draw on the play
+export const cardsSeen = (turn, onDraw) => 7 + turn - (onDraw ? 0 : 1);
+
+const isLand = (card) => /\bLand\b/.test((card?.type_line || "").split(" // ")[0]);
+
+// Odds for one zoned deck:
+//   lands: P(at least `lands` lands by `turn`)
+//   commanders: [{ name, mv, p }] P(enough lands to cast each commander on its turn)
+//   pkg: P(at least one card of `packageNames` by `turn`), with how many copies count
+export const deckOdds = (deck, getCard, { lands, turn, onDraw, packageNames }) => {
+  const library = deck.mainboard;
+  let size = 0;
+  let landCount = 0;
+  library.forEach((qty, name) => {
+    size += qty;
+    if (isLand(getCard(name))) landCount += qty;
+  });
+  const wanted = new Set(packageNames.map((n) => n.toLowerCase()));
+  const packageCount = [...library].reduce((sum, [name, qty]) => (wanted.has(name.toLowerCase()) ? sum + qty : sum), 0);
+  const seen = cardsSeen(turn, onDraw);
+  const commanders = [...deck.commander.keys()].map((name) => {
+    const card = getCard(name);
+    if (!card) return { name, mv: null, p: null };
+    const mv = manaValue(card.mana_cost);
+    return { name, mv, p: hypergeomAtLeast(size, landCount, cardsSeen(Math.max(mv, 1), onDraw), mv) };
+  });
+  return {
+    size,
+    landCount,
+    lands: hypergeomAtLeast(size, landCount, seen, lands),
+    commanders,
+    packageCount,
+    pkg: packageCount > 0 ? hypergeomAtLeast(size, packageCount, seen, 1) : null,
+  };
+};
+
+// A random opening hand of `count` card names from the deck's library
+export const sampleHand = (deck, count = 7) => {
+  const cards = [];
+  deck.mainboard.forEach((qty, name) => {
+    for (let i = 0; i < qty; i++) cards.push(name);
+  });
+  for (let i = cards.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [cards[i], cards[j]] = [cards[j], cards[i]];
+  }
+  return cards.slice(0, count);
+};
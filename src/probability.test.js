@@ -0,0 +1,68 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { parseDeckText } from "./deck.js";
+import { hypergeomAtLeast, cardsSeen, deckOdds, sampleHand } from "./probability.js";
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+
+describe("hypergeomAtLeast", () => {
+  it("matches hand-computed odds", () => {
+    // 3 successes in 10 cards, draw 3: 1 - C(7,3)/C(10,3)
+    close(hypergeomAtLeast(10, 3, 3, 1), 1 - 35 / 120);
+    // All three: 1/C(10,3)
+    close(hypergeomAtLeast(10, 3, 3, 3), 1 / 120);
+  });
+
+  it("handles the edges", () => {
+    assert.equal(hypergeomAtLeast(60, 0, 7, 0), 1);
+    assert.equal(hypergeomAtLeast(60, 0, 7, 1), 0);
+    assert.equal(hypergeomAtLeast(60, 2, 7, 3), 0);
+    // Drawing more cards than the library holds sees all of it
+    close(hypergeomAtLeast(5, 2, 10, 2), 1);
+  });
+
+  it("sums to one over every outcome", () => {
+    const exactly = (k) => hypergeomAtLeast(60, 24, 7, k) - hypergeomAtLeast(60, 24, 7, k + 1);
+    close([0, 1, 2, 3, 4, 5, 6, 7].reduce((sum, k) => sum + exactly(k), 0), 1);
+  });
+});
+
+describe("cardsSeen", () => {
+  it("skips the first draw on the play", () => {
+    assert.equal(cardsSeen(1, false), 7);
+    assert.equal(cardsSeen(1, true), 8);
+    assert.equal(cardsSeen(3, false), 9);
+  });
+});
+
+describe("deckOdds", () => {
+  const CARDS = {
+    Island: { type_line: "Basic Land — Island" },
+    "Krenko, Mob Boss": { type_line: "Legendary Creature — Goblin Warrior", mana_cost: "{2}{R}{R}" },
+  };
+  const getCard = (name) => CARDS[name] || { type_line: "Instant" };
+
+  it("counts lands and package cards in the library only", () => {
+    const deck = parseDeckText("Commander\n1 Krenko, Mob Boss\n\nDeck\n40 Island\n4 Lightning Bolt\n55 Shock");
+    const odds = deckOdds(deck, getCard, { lands: 3, turn: 3, onDraw: false, packageNames: ["lightning bolt"] });
+    assert.deepEqual([odds.size, odds.landCount, odds.packageCount], [99, 40, 4]);
+    close(odds.lands, hypergeomAtLeast(99, 40, 9, 3));
+    close(odds.pkg, hypergeomAtLeast(99, 4, 9, 1));
+    assert.deepEqual(odds.commanders.map((c) => [c.name, c.mv]), [["Krenko, Mob Boss", 4]]);
+    close(odds.commanders[0].p, hypergeomAtLeast(99, 40, cardsSeen(4, false), 4));
+  });
+
+  it("leaves the package out when there is none", () => {
+    const odds = deckOdds(parseDeckText("60 Island"), getCard, { lands: 1, turn: 1, onDraw: true, packageNames: [] });
+    assert.equal(odds.pkg, null);
+    assert.equal(odds.lands, 1);
+  });
+});
+
+describe("sampleHand", () => {
+  it("draws distinct copies from the mainboard", () => {
+    const hand = sampleHand(parseDeckText("3 Island\n2 Shock\n\nSideboard\n15 Duress"));
+    assert.equal(hand.length, 5);
+    assert.deepEqual([...hand].sort(), ["Island", "Island", "Island", "Shock", "Shock"]);
+  });
+});
@@ -0,0 +1,65 @@
+// --- Scryfall client --------------------------------------------------------
+// Every call to api.scryfall.com goes through scryfallFetch, which keeps requests at
+// least REQUEST_SPACING_MS apart (Scryfall asks for 50–100 ms), retries 429 and 5xx
+// responses and network errors with exponential backoff, and shares one request
+// between callers asking for the same thing at the same time.
+export const SCRYFALL_API = "https://api.scryfall.com";
+
+const REQUEST_SPACING_MS = 100;
+const MAX_RETRIES = 3;
+const BACKOFF_MS = 500;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Time the next request may start; each caller reserves a slot before sending
+let nextSlot = 0;
+const waitTurn = async () => {
+  const now = Date.now();
+  const at = Math.max(now, nextSlot);
+  nextSlot = at + REQUEST_SPACING_MS;
+  if (at > now) await sleep(at - now);
+};
+
+const retryable = (status) => status === 429 || status >= 500;
+
+// Delay before retry `attempt` (0-based), honouring Retry-After when Scryfall sends one
+const retryDelay = (res, attempt) => {
+  const after = Number(res?.headers.get("Retry-After"));
+  return after > 0 ? after * 1000 : BACKOFF_MS * 2 ** attempt;
+};
+
+const send = async (url, init) => {
+  let lastError = null;
+  for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
+    await waitTurn();
+    let res = null;
+    try {
+      res = await fetch(url, init);
+      if (!retryable(res.status)) {
+        const json = await res.json().catch(() => null);
+        return { ok: res.ok, status: res.status, json };
+      }
+      lastError = new Error(`Scryfall responded ${res.status}`);
+    } catch (e) {
+      lastError = e;
+    }
+    if (attempt < MAX_RETRIES) await sleep(retryDelay(res, attempt));
+  }
+  throw lastError;
+};
+
+const inFlight = new Map();
+
+// path is relative to the API root ("/cards/named?exact=..."). Resolves to
+// { ok, status, json } for any non-retryable response, so a 404 is a normal result;
+// rejects only when the request still fails after all retries.
+export const scryfallFetch = (path, { method = "GET", body } = {}) => {
+  const payload = body === undefined ? undefined : JSON.stringify(body);
+  const key = `${method} ${path} ${payload || ""}`;
+  if (!inFlight.has(key)) {
+    const init = payload ? { method, body: payload, headers: { "Content-Type": "application/json" } } : { method };
+    const request = send(`${SCRYFALL_API}${path}`, init).finally(() => inFlight.delete(key));
+    inFlight.set(key, request);
+  }
+  return inFlight.get(key);
+};
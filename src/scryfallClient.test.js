@@ -0,0 +1,57 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { scryfallFetch, SCRYFALL_API } from "./scryfallClient.js";
+
+// Replies with `responses` in order (the last one repeats); Retry-After keeps retries short
+const stubFetch = (t, responses) => {
+  const calls = [];
+  t.mock.method(globalThis, "fetch", async (url, init) => {
+    calls.push({ url, init });
+    const status = responses[Math.min(calls.length, responses.length) - 1];
+    return {
+      ok: status < 300,
+      status,
+      headers: new Map([["Retry-After", "0.01"]]),
+      json: async () => ({ status }),
+    };
+  });
+  return calls;
+};
+
+describe("scryfallFetch", () => {
+  it("resolves non-retryable responses, including 404s", async (t) => {
+    const calls = stubFetch(t, [404]);
+    assert.deepEqual(await scryfallFetch("/cards/named?exact=Nope"), { ok: false, status: 404, json: { status: 404 } });
+    assert.equal(calls[0].url, `${SCRYFALL_API}/cards/named?exact=Nope`);
+  });
+
+  it("sends bodies as JSON", async (t) => {
+    const calls = stubFetch(t, [200]);
+    await scryfallFetch("/cards/collection", { method: "POST", body: { identifiers: [] } });
+    assert.equal(calls[0].init.method, "POST");
+    assert.equal(calls[0].init.body, '{"identifiers":[]}');
+    assert.equal(calls[0].init.headers["Content-Type"], "application/json");
+  });
+
+  it("retries 429 and 5xx responses", async (t) => {
+    const calls = stubFetch(t, [429, 503, 200]);
+    const res = await scryfallFetch("/cards/named?exact=Retry");
+    assert.equal(res.status, 200);
+    assert.equal(calls.length, 3);
+  });
+
+  it("rejects once the retries run out", async (t) => {
+    const calls = stubFetch(t, [500]);
+    await assert.rejects(scryfallFetch("/cards/named?exact=Down"), /Scryfall responded 500/);
+    assert.equal(calls.length, 4);
+  });
+
+  it("shares one request between identical concurrent calls", async (t) => {
+    const calls = stubFetch(t, [200]);
+    const [a, b] = await Promise.all([scryfallFetch("/sets"), scryfallFetch("/sets")]);
+    assert.equal(a, b);
+    assert.equal(calls.length, 1);
+    await scryfallFetch("/sets");
+    assert.equal(calls.length, 2);
+  });
+});
@@ -0,0 +1,50 @@
+// --- Search filters ---------------------------------------------------------
+// The advanced filter builder in CardSearchPanel produces Scryfall query syntax, so
+// the same query works online and against the offline database (see offlineDb.js).
+export const SEARCH_COLORS = ["W", "U", "B", "R", "G"];
+export const SEARCH_TYPES = ["Creature", "Instant", "Sorcery", "Artifact", "Enchantment", "Planeswalker", "Land", "Battle"];
+export const SEARCH_FORMATS = ["standard", "pioneer", "modern", "legacy", "vintage", "pauper", "commander", "brawl"];
+
+export const EMPTY_FILTERS = { colors: [], type: "", mvMin: "", mvMax: "", format: "", maxPrice: "" };
+
+// filters -> Scryfall terms, e.g. "id<=wu t:creature mv>=2 mv<=4 f:modern usd<=5"
+export const buildFilterQuery = (filters) => {
+  const terms = [];
+  if (filters.colors.length > 0) {
+    // Color identity within the picked colors, like a commander's
+    terms.push(`id<=${SEARCH_COLORS.filter((c) => filters.colors.includes(c)).join("").toLowerCase()}`);
+  }
+  if (filters.type) terms.push(`t:${filters.type.toLowerCase()}`);
+  if (filters.mvMin !== "") terms.push(`mv>=${Number(filters.mvMin)}`);
+  if (filters.mvMax !== "") terms.push(`mv<=${Number(filters.mvMax)}`);
+  if (filters.format) terms.push(`f:${filters.format}`);
+  if (filters.maxPrice !== "") terms.push(`usd<=${Number(filters.maxPrice)}`);
+  return terms.join(" ");
+};
+
+// The query actually sent: typed text plus the filter terms
+export const fullSearchQuery = (text, filters) => [text.trim(), buildFilterQuery(filters)].filter(Boolean).join(" ");
+
+// --- Recent searches ---
+const RECENT_SEARCHES_KEY = "mtg_deck_diff_recent_searches_v1";
+const MAX_RECENT_SEARCHES = 10;
+
+export const loadRecentSearches = () => {
+  try {
+    const list = JSON.parse(localStorage.getItem(RECENT_SEARCHES_KEY) || "[]");
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+};
+
+// Move query to the front of the list and persist it; returns the new list
+export const rememberSearch = (list, query) => {
+  const next = [query, ...list.filter((q) => q !== query)].slice(0, MAX_RECENT_SEARCHES);
+  try {
+    localStorage.setItem(RECENT_SEARCHES_KEY, JSON.stringify(next));
+  } catch (e) {
+    console.warn("Could not save recent searches", e);
+  }
+  return next;
+};
@@ -0,0 +1,62 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { EMPTY_FILTERS, buildFilterQuery, fullSearchQuery, loadRecentSearches, rememberSearch } from "./searchQuery.js";
+
+const store = new Map();
+globalThis.localStorage = {
+  getItem: (k) => (store.has(k) ? store.get(k) : null),
+  setItem: (k, v) => store.set(k, String(v)),
+  removeItem: (k) => store.delete(k),
+};
+
+describe("buildFilterQuery", () => {
+  it("is empty without filters", () => {
+    assert.equal(buildFilterQuery(EMPTY_FILTERS), "");
+  });
+
+  it("turns every filter into a Scryfall term", () => {
+    const filters = { colors: ["U", "W"], type: "Creature", mvMin: "2", mvMax: "4", format: "modern", maxPrice: "5" };
+    assert.equal(buildFilterQuery(filters), "id<=wu t:creature mv>=2 mv<=4 f:modern usd<=5");
+  });
+
+  it("keeps a zero mana value", () => {
+    assert.equal(buildFilterQuery({ ...EMPTY_FILTERS, mvMax: "0" }), "mv<=0");
+  });
+});
+
+describe("fullSearchQuery", () => {
+  it("joins the typed text and the filter terms", () => {
+    assert.equal(fullSearchQuery("  bolt ", { ...EMPTY_FILTERS, type: "Instant" }), "bolt t:instant");
+    assert.equal(fullSearchQuery("", { ...EMPTY_FILTERS, format: "pauper" }), "f:pauper");
+    assert.equal(fullSearchQuery(" ", EMPTY_FILTERS), "");
+  });
+});
+
+describe("recent searches", () => {
+  beforeEach(() => store.clear());
+
+  it("moves a repeated query to the front and persists the list", () => {
+    let list = loadRecentSearches();
+    assert.deepEqual(list, []);
+    list = rememberSearch(list, "bolt");
+    list = rememberSearch(list, "t:goblin");
+    list = rememberSearch(list, "bolt");
+    assert.deepEqual(list, ["bolt", "t:goblin"]);
+    assert.deepEqual(loadRecentSearches(), ["bolt", "t:goblin"]);
+  });
+
+  it("keeps the ten most recent", () => {
+    let list = [];
+    for (const q of "abcdefghijkl") list = rememberSearch(list, q);
+    assert.equal(list.length, 10);
+    assert.equal(list[0], "l");
+    assert.equal(list.at(-1), "c");
+  });
+
+  it("ignores unreadable data", () => {
+    store.set("mtg_deck_diff_recent_searches_v1", "{not json");
+    assert.deepEqual(loadRecentSearches(), []);
+    store.set("mtg_deck_diff_recent_searches_v1", '"bolt"');
+    assert.deepEqual(loadRecentSearches(), []);
+  });
+});
@@ -0,0 +1,63 @@
+// --- Three-way merge --------------------------------------------------------
+// Merge two decks derived from a common base, the way git merges files: a change
+// made on only one side is applied automatically, identical changes on both sides
+// are taken once, and only cards both sides changed differently are conflicts.
+import { ZONES, deckNames, zoneKey } from "./deck.js";
+
+// Per-card outcome of a three-way merge
+//   unchanged: nobody touched it          same: A and B made the same change
+//   takeA / takeB: only that side changed  conflict: A and B disagree
+export const THREE_WAY_STATUS_LABELS = {
+  unchanged: "unchanged",
+  same: "both",
+  takeA: "from A",
+  takeB: "from B",
+  conflict: "conflict",
+};
+
+// resolutions: { [zoneKey]: "A" | "B" | "Base" } for conflicts.
+// Returns { rows, conflicts, unresolved } where each row matches the shape of
+// computeMergedDeck rows ({ zone, key, name, qty, choice, options, qa, qb }) plus
+// { qo, status, resolved }. Unresolved conflicts keep A's quantity until picked.
+export const computeThreeWayMerge = (base, deckA, deckB, resolutions = {}) => {
+  const rows = [];
+  let conflicts = 0;
+  let unresolved = 0;
+  const names = deckNames(base, deckA, deckB);
+  for (const zone of ZONES) {
+    for (const name of names) {
+      const qo = base[zone].get(name) || 0;
+      const qa = deckA[zone].get(name) || 0;
+      const qb = deckB[zone].get(name) || 0;
+      if (!qo && !qa && !qb) continue;
+      const key = zoneKey(zone, name);
+      let status;
+      let qty;
+      if (qa === qb) {
+        status = qa === qo ? "unchanged" : "same";
+        qty = qa;
+      } else if (qa === qo) {
+        status = "takeB";
+        qty = qb;
+      } else if (qb === qo) {
+        status = "takeA";
+        qty = qa;
+      } else {
+        status = "conflict";
+      }
+      let choice = null;
+      let options = [];
+      let resolved = true;
+      if (status === "conflict") {
+        conflicts += 1;
+        options = ["A", "B", "Base"];
+        choice = options.includes(resolutions[key]) ? resolutions[key] : null;
+        resolved = choice !== null;
+        if (!resolved) unresolved += 1;
+        qty = choice === "B" ? qb : choice === "Base" ? qo : qa;
+      }
+      rows.push({ zone, key, name, qty, choice, options, qa, qb, qo, status, resolved });
+    }
+  }
+  return { rows, conflicts, unresolved };
+};
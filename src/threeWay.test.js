@@ -0,0 +1,55 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { parseDeckText } from "./deck.js";
+import { computeThreeWayMerge } from "./threeWay.js";
+
+const base = parseDeckText("4 Lightning Bolt\n4 Shock\n2 Duress\n1 Island");
+const deckA = parseDeckText("4 Lightning Bolt\n3 Shock\n3 Duress\n1 Island\n1 Opt");
+const deckB = parseDeckText("4 Lightning Bolt\n4 Shock\n1 Duress\n1 Opt");
+
+const row = (merge, name) => merge.rows.find((r) => r.key === `mainboard:${name}`);
+
+describe("computeThreeWayMerge", () => {
+  it("applies one-sided changes and takes identical changes once", () => {
+    const merge = computeThreeWayMerge(base, deckA, deckB);
+    assert.equal(row(merge, "Lightning Bolt").status, "unchanged");
+    assert.deepEqual([row(merge, "Shock").status, row(merge, "Shock").qty], ["takeA", 3]);
+    assert.deepEqual([row(merge, "Island").status, row(merge, "Island").qty], ["takeB", 0]);
+    assert.deepEqual([row(merge, "Opt").status, row(merge, "Opt").qty], ["same", 1]);
+  });
+
+  it("flags cards both sides changed differently as unresolved conflicts", () => {
+    const merge = computeThreeWayMerge(base, deckA, deckB);
+    const duress = row(merge, "Duress");
+    assert.equal(duress.status, "conflict");
+    assert.deepEqual(duress.options, ["A", "B", "Base"]);
+    assert.equal(duress.choice, null);
+    assert.equal(duress.resolved, false);
+    assert.deepEqual([merge.conflicts, merge.unresolved], [1, 1]);
+  });
+
+  it("resolves conflicts with the picked side", () => {
+    for (const [choice, qty] of [["A", 3], ["B", 1], ["Base", 2]]) {
+      const merge = computeThreeWayMerge(base, deckA, deckB, { "mainboard:Duress": choice });
+      assert.deepEqual([row(merge, "Duress").qty, row(merge, "Duress").resolved], [qty, true]);
+      assert.equal(merge.unresolved, 0);
+    }
+  });
+
+  it("ignores resolutions that aren't conflict options", () => {
+    const merge = computeThreeWayMerge(base, deckA, deckB, { "mainboard:Duress": "both", "mainboard:Shock": "B" });
+    assert.equal(merge.unresolved, 1);
+    assert.equal(row(merge, "Shock").qty, 3);
+  });
+
+  it("merges each zone on its own", () => {
+    const merge = computeThreeWayMerge(
+      parseDeckText("2 Duress"),
+      parseDeckText("2 Duress\n\nSideboard\n1 Duress"),
+      parseDeckText("1 Duress")
+    );
+    assert.equal(row(merge, "Duress").status, "takeB");
+    assert.equal(merge.rows.find((r) => r.key === "sideboard:Duress").status, "takeA");
+    assert.equal(merge.conflicts, 0);
+  });
+});
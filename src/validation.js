@@ -0,0 +1,148 @@
+// --- Deck validation --------------------------------------------------------
+// Format checks on a zoned deck using resolved card data (color_identity, legalities,
+// type line and rules text from normalizeCard). Cards that aren't resolved yet are
+// skipped rather than reported.
+import { playableMap } from "./deck.js";
+
+// Deck construction rules per format, keyed by Scryfall's legalities key.
+//   deckSize: exact size (singleton formats) or minDeckSize: at least this many
+//   copies: copy limit per card, counted across the main deck and sideboard
+//   sideboard: maximum sideboard size (the companion counts toward it outside commander formats)
+//   commander: needs a commander and enforces its color identity
+export const FORMATS = {
+  standard: { label: "Standard", minDeckSize: 60, copies: 4, sideboard: 15 },
+  pioneer: { label: "Pioneer", minDeckSize: 60, copies: 4, sideboard: 15 },
+  modern: { label: "Modern", minDeckSize: 60, copies: 4, sideboard: 15 },
+  legacy: { label: "Legacy", minDeckSize: 60, copies: 4, sideboard: 15 },
+  vintage: { label: "Vintage", minDeckSize: 60, copies: 4, sideboard: 15 },
+  pauper: { label: "Pauper", minDeckSize: 60, copies: 4, sideboard: 15 },
+  brawl: { label: "Brawl", deckSize: 100, copies: 1, sideboard: 0, commander: true },
+  commander: { label: "Commander", deckSize: 100, copies: 1, sideboard: 0, commander: true },
+};
+
+// Issue kinds that make a card illegal outright, highlighted in the columns
+export const ILLEGAL_KINDS = ["banned", "not_legal"];
+
+const NUMBER_WORDS = { two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+
+// Copies a card's own rules allow regardless of the format limit: Infinity for basic
+// lands and "any number of cards named" cards, 7 for Seven Dwarves, 9 for Nazgûl.
+// null when the card has no such exemption.
+export const copyLimitOverride = (card) => {
+  if (/\bBasic\b/.test(card.type_line || "")) return Infinity;
+  const text = card.oracle_text || "";
+  if (/any number of cards named/i.test(text)) return Infinity;
+  const m = text.match(/up to (\w+) cards named/i);
+  if (m) return NUMBER_WORDS[m[1].toLowerCase()] || Number(m[1]) || null;
+  return null;
+};
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+const sumQty = (map) => [...map.values()].reduce((sum, q) => sum + q, 0);
+
+// Issues found on one card, shown as badges next to it: [{ kind, label, title }]
+const addIssue = (cardIssues, name, issue) => {
+  if (!cardIssues.has(name)) cardIssues.set(name, []);
+  cardIssues.get(name).push(issue);
+};
+
+// Check deck against FORMATS[formatId]: deck size, copy limit (4-of or singleton, with
+// basic land / "any number" exemptions and Vintage restrictions), sideboard size,
+// per-card legality and, for commander formats, the commanders' color identity.
+// Returns { problems: [message], cardIssues: Map<name, [{ kind, label, title }]> }.
+export const validateDeck = (deck, formatId, getCard) => {
+  const format = FORMATS[formatId];
+  const problems = [];
+  const cardIssues = new Map();
+  const main = playableMap(deck);
+
+  // Companions and the sideboard sit outside the main deck
+  const count = sumQty(main);
+  if (format.deckSize && count !== format.deckSize) {
+    problems.push(`${plural(count, "card")}; ${format.label} decks have exactly ${format.deckSize}`);
+  } else if (format.minDeckSize && count < format.minDeckSize) {
+    problems.push(`${plural(count, "card")}; ${format.label} decks need at least ${format.minDeckSize}`);
+  }
+
+  // In commander formats the companion starts outside the game rather than in a
+  // sideboard, so it's checked on its own below
+  const companionCount = sumQty(deck.companion);
+  const sideboardCount = sumQty(deck.sideboard) + (format.commander ? 0 : companionCount);
+  if (format.commander && companionCount > 1) {
+    problems.push(`${plural(companionCount, "companion")}; at most 1`);
+  }
+  if (sideboardCount > format.sideboard) {
+    problems.push(
+      format.sideboard === 0
+        ? `${format.label} decks have no sideboard (${plural(sideboardCount, "card")} found)`
+        : `Sideboard has ${plural(sideboardCount, "card")}; at most ${format.sideboard}`
+    );
+  }
+
+  // Partners and backgrounds share one color identity
+  const commanders = [...deck.commander.keys()];
+  const identity = new Set(commanders.flatMap((name) => getCard(name)?.color_identity || []));
+  const identityKnown = commanders.length > 0 && commanders.every((name) => getCard(name));
+  if (format.commander && commanders.length === 0) problems.push("No commander; put it under a Commander header");
+
+  // Copy limits count every zone that is part of the deck
+  const copies = new Map(main);
+  for (const zone of ["sideboard", "companion"]) {
+    deck[zone].forEach((qty, name) => copies.set(name, (copies.get(name) || 0) + qty));
+  }
+
+  let overLimit = 0;
+  let offColor = 0;
+  const banned = [];
+  const notLegal = [];
+  for (const [name, qty] of copies) {
+    const card = getCard(name);
+    if (!card) continue;
+    const legality = card.legalities?.[formatId];
+    const limit = legality === "restricted" ? 1 : copyLimitOverride(card) ?? format.copies;
+    if (qty > limit) {
+      overLimit += 1;
+      addIssue(cardIssues, name, {
+        kind: "copies",
+        label: `${qty} copies`,
+        title:
+          legality === "restricted"
+            ? `Restricted in ${format.label}`
+            : limit === 1
+              ? `${format.label} decks are singleton`
+              : `At most ${limit} copies`,
+      });
+    }
+    const outside = (card.color_identity || []).filter((c) => !identity.has(c));
+    if (format.commander && identityKnown && outside.length > 0) {
+      offColor += 1;
+      addIssue(cardIssues, name, {
+        kind: "identity",
+        label: "off-color",
+        title: `Color identity includes ${outside.join("")}, outside the commander's`,
+      });
+    }
+    if (legality === "banned") {
+      banned.push(name);
+      addIssue(cardIssues, name, { kind: "banned", label: "banned", title: `Banned in ${format.label}` });
+    } else if (legality === "not_legal") {
+      notLegal.push(name);
+      addIssue(cardIssues, name, { kind: "not_legal", label: "not legal", title: `Not legal in ${format.label}` });
+    }
+  }
+  if (overLimit > 0) problems.push(`${plural(overLimit, "card")} over the copy limit`);
+  if (offColor > 0) problems.push(`${plural(offColor, "card")} outside the commander's color identity`);
+  if (banned.length > 0) problems.push(`Banned: ${banned.join(", ")}`);
+  if (notLegal.length > 0) problems.push(`Not legal: ${notLegal.join(", ")}`);
+
+  return { problems, cardIssues };
+};
+
+// Format to check a deck against: the chosen one, or with "auto" Commander for decks
+// that name a commander and nothing otherwise
+export const effectiveFormat = (formatId, deck) => {
+  if (formatId !== "auto") return FORMATS[formatId] ? formatId : null;
+  return deck.commander.size > 0 ? "commander" : null;
+};
+
+export const isIllegal = (issues) => (issues || []).some((issue) => ILLEGAL_KINDS.includes(issue.kind));
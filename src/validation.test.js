@@ -0,0 +1,159 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { parseDeckText } from "./deck.js";
+import { validateDeck, copyLimitOverride, effectiveFormat, isIllegal } from "./validation.js";
+
+// Resolved card data by name; anything else is treated as a legal colorless card
+const CARDS = {
+  Island: { type_line: "Basic Land — Island", color_identity: ["U"] },
+  "Lightning Bolt": { type_line: "Instant", color_identity: ["R"] },
+  "Relentless Rats": { type_line: "Creature — Rat", oracle_text: "A deck can have any number of cards named Relentless Rats." },
+  "Seven Dwarves": { type_line: "Creature — Dwarf", oracle_text: "A deck can have up to seven cards named Seven Dwarves." },
+  "Mana Crypt": { type_line: "Artifact", legalities: { commander: "banned", vintage: "restricted" } },
+  "Kenrith, the Returned King": { type_line: "Legendary Creature — Human Noble", color_identity: ["W", "U", "B", "R", "G"] },
+  "Krenko, Mob Boss": { type_line: "Legendary Creature — Goblin Warrior", color_identity: ["R"] },
+  "Lurrus of the Dream-Den": { type_line: "Legendary Creature — Cat Nightmare", color_identity: ["W", "B"] },
+  "Black Lotus": { type_line: "Artifact", legalities: { modern: "not_legal" } },
+};
+const getCard = (name) => CARDS[name] || { type_line: "Artifact", color_identity: [] };
+
+// A singleton filler list of `count` distinct cards
+const filler = (count) =>
+  Array.from({ length: count }, (_, i) => `1 Filler ${String.fromCharCode(65 + (i % 26))}${"x".repeat(Math.floor(i / 26))}`).join("\n");
+
+const commanderDeck = (commander, extra = "", fillerCount = 99) =>
+  parseDeckText(`Commander\n1 ${commander}\n\nDeck\n${filler(fillerCount)}\n${extra}`);
+
+describe("copyLimitOverride", () => {
+  it("exempts basics and cards that say how many copies are allowed", () => {
+    assert.equal(copyLimitOverride(CARDS.Island), Infinity);
+    assert.equal(copyLimitOverride(CARDS["Relentless Rats"]), Infinity);
+    assert.equal(copyLimitOverride(CARDS["Seven Dwarves"]), 7);
+    assert.equal(copyLimitOverride(CARDS["Lightning Bolt"]), null);
+  });
+});
+
+describe("validateDeck", () => {
+  it("accepts a legal 60-card deck with a sideboard", () => {
+    const deck = parseDeckText(`20 Island\n4 Lightning Bolt\n${filler(36)}\n\nSideboard\n${filler(15)}`);
+    assert.deepEqual(validateDeck(deck, "modern", getCard).problems, []);
+  });
+
+  it("checks deck and sideboard sizes", () => {
+    const deck = parseDeckText(`20 Island\n\nSideboard\n${filler(16)}`);
+    assert.deepEqual(validateDeck(deck, "modern", getCard).problems, [
+      "20 cards; Modern decks need at least 60",
+      "Sideboard has 16 cards; at most 15",
+    ]);
+  });
+
+  it("counts copies across the main deck and sideboard", () => {
+    const deck = parseDeckText(`3 Lightning Bolt\n57 Island\n\nSideboard\n2 Lightning Bolt`);
+    const { problems, cardIssues } = validateDeck(deck, "modern", getCard);
+    assert.deepEqual(problems, ["1 card over the copy limit"]);
+    assert.equal(cardIssues.get("Lightning Bolt")[0].label, "5 copies");
+  });
+
+  it("enforces copy limits with basic land and named-card exemptions", () => {
+    const deck = parseDeckText(`5 Lightning Bolt\n30 Island\n12 Relentless Rats\n7 Seven Dwarves\n6 Filler A`);
+    const { problems, cardIssues } = validateDeck(deck, "modern", getCard);
+    assert.deepEqual(problems, ["2 cards over the copy limit"]);
+    assert.deepEqual([...cardIssues.keys()], ["Lightning Bolt", "Filler A"]);
+  });
+
+  it("counts the companion toward the sideboard outside commander formats", () => {
+    const deck = parseDeckText(`60 Island\n\nCompanion\n1 Lurrus of the Dream-Den\n\nSideboard\n${filler(15)}`);
+    assert.deepEqual(validateDeck(deck, "modern", getCard).problems, ["Sideboard has 16 cards; at most 15"]);
+  });
+
+  it("allows a companion in commander without a sideboard error", () => {
+    const deck = parseDeckText(
+      `Commander\n1 Kenrith, the Returned King\n\nCompanion\n1 Lurrus of the Dream-Den\n\nDeck\n${filler(99)}`
+    );
+    assert.deepEqual(validateDeck(deck, "commander", getCard).problems, []);
+  });
+
+  it("limits commander decks to one companion", () => {
+    const deck = parseDeckText(
+      `Commander\n1 Kenrith, the Returned King\n\nCompanion\n1 Lurrus of the Dream-Den\n1 Jegantha\n\nDeck\n${filler(99)}`
+    );
+    assert.deepEqual(validateDeck(deck, "commander", getCard).problems, ["2 companions; at most 1"]);
+  });
+
+  it("checks the companion's color identity against the commander", () => {
+    const deck = parseDeckText(`Commander\n1 Krenko, Mob Boss\n\nCompanion\n1 Lurrus of the Dream-Den\n\nDeck\n${filler(99)}`);
+    const { problems, cardIssues } = validateDeck(deck, "commander", getCard);
+    assert.deepEqual(problems, ["1 card outside the commander's color identity"]);
+    assert.equal(cardIssues.get("Lurrus of the Dream-Den")[0].kind, "identity");
+  });
+
+  it("reports banned, restricted and not-legal cards", () => {
+    const banned = validateDeck(commanderDeck("Kenrith, the Returned King", "1 Mana Crypt", 98), "commander", getCard);
+    assert.deepEqual(banned.problems, ["Banned: Mana Crypt"]);
+    const restricted = validateDeck(parseDeckText("2 Mana Crypt\n58 Island"), "vintage", getCard);
+    assert.deepEqual(restricted.problems, ["1 card over the copy limit"]);
+    assert.equal(restricted.cardIssues.get("Mana Crypt")[0].title, "Restricted in Vintage");
+    const notLegal = validateDeck(parseDeckText("1 Black Lotus\n59 Island"), "modern", getCard);
+    assert.deepEqual(notLegal.problems, ["Not legal: Black Lotus"]);
+    assert.equal(isIllegal(notLegal.cardIssues.get("Black Lotus")), true);
+    assert.equal(isIllegal(restricted.cardIssues.get("Mana Crypt")), false);
+  });
+
+  it("accepts a legal 100-card commander deck", () => {
+    const { problems, cardIssues } = validateDeck(commanderDeck("Kenrith, the Returned King"), "commander", getCard);
+    assert.deepEqual(problems, []);
+    assert.equal(cardIssues.size, 0);
+  });
+
+  it("counts the commander toward the 100 and allows no sideboard", () => {
+    const deck = parseDeckText(`Commander\n1 Krenko, Mob Boss\n\nDeck\n${filler(98)}\n\nSideboard\n1 Spare Card`);
+    assert.deepEqual(validateDeck(deck, "commander", getCard).problems, [
+      "99 cards; Commander decks have exactly 100",
+      "Commander decks have no sideboard (1 card found)",
+    ]);
+  });
+
+  it("needs a commander in commander formats", () => {
+    const { problems } = validateDeck(parseDeckText(filler(100)), "commander", getCard);
+    assert.deepEqual(problems, ["No commander; put it under a Commander header"]);
+  });
+
+  it("enforces singleton with basic land and named-card exemptions", () => {
+    const deck = commanderDeck("Kenrith, the Returned King", "10 Island\n12 Relentless Rats\n8 Seven Dwarves\n2 Sol Ring", 67);
+    const { problems, cardIssues } = validateDeck(deck, "commander", getCard);
+    assert.deepEqual(problems, ["2 cards over the copy limit"]);
+    assert.deepEqual([...cardIssues.keys()], ["Seven Dwarves", "Sol Ring"]);
+    assert.equal(cardIssues.get("Seven Dwarves")[0].title, "At most 7 copies");
+    assert.equal(cardIssues.get("Sol Ring")[0].title, "Commander decks are singleton");
+  });
+
+  it("flags cards outside the commander's color identity", () => {
+    const deck = commanderDeck("Krenko, Mob Boss", "1 Lightning Bolt\n1 Island", 97);
+    const { problems, cardIssues } = validateDeck(deck, "commander", getCard);
+    assert.deepEqual(problems, ["1 card outside the commander's color identity"]);
+    assert.equal(cardIssues.get("Island")[0].kind, "identity");
+    assert.equal(cardIssues.has("Lightning Bolt"), false);
+    // Other formats don't look at color identity
+    assert.deepEqual(validateDeck(parseDeckText("40 Island\n20 Lightning Bolt"), "pauper", getCard).problems, [
+      "1 card over the copy limit",
+    ]);
+  });
+
+  it("skips cards that aren't resolved yet", () => {
+    const deck = commanderDeck("Krenko, Mob Boss", "2 Unknown Card", 97);
+    const partial = (name) => (name === "Unknown Card" ? null : getCard(name));
+    assert.deepEqual(validateDeck(deck, "commander", partial).problems, []);
+    // Without the commander's identity, colors can't be checked
+    const noCommander = (name) => (name === "Krenko, Mob Boss" ? null : getCard(name));
+    assert.deepEqual(validateDeck(commanderDeck("Krenko, Mob Boss", "1 Island", 98), "commander", noCommander).problems, []);
+  });
+});
+
+describe("effectiveFormat", () => {
+  it("picks Commander automatically for decks with a commander", () => {
+    assert.equal(effectiveFormat("auto", commanderDeck("Krenko, Mob Boss")), "commander");
+    assert.equal(effectiveFormat("auto", parseDeckText("60 Island")), null);
+    assert.equal(effectiveFormat("modern", parseDeckText("60 Island")), "modern");
+    assert.equal(effectiveFormat("unknown", parseDeckText("60 Island")), null);
+  });
+});